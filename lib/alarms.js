@@ -0,0 +1,185 @@
+'use strict';
+
+/** Clear battery, filter and CO₂ alarms above this level (%) */
+const RECOVERY_LEVEL = { batteryLow: 20, filterLow: 10, co2Low: 10 };
+
+/** Clear the frost alarm from this temperature (°C) */
+const FROST_CLEAR_TEMPERATURE = 5;
+
+/**
+ * Derived alarms: the Grohe notification codes (`<category>_<type>`) that
+ * raise them, the appliance types that get the state (101 Sense, 103 Sense
+ * Guard, 104/105 Blue), the state role and the default clear rule.
+ */
+const ALARMS = {
+	flood: { codes: ['30_0', '30_430', '30_431'], types: [101, 103], role: 'indicator.alarm.flood', clear: 'read' },
+	frost: { codes: ['20_40'], types: [101, 103], role: 'indicator.alarm', clear: 'recovery' },
+	batteryLow: {
+		codes: ['20_11', '20_12'],
+		types: [101],
+		role: 'indicator.maintenance.lowbat',
+		clear: 'recovery',
+	},
+	filterLow: { codes: ['20_550', '20_552'], types: [104, 105], role: 'indicator.maintenance', clear: 'recovery' },
+	co2Low: { codes: ['20_551', '20_553'], types: [104, 105], role: 'indicator.maintenance', clear: 'recovery' },
+	unreachable: {
+		codes: ['20_603', '20_604'],
+		types: [103],
+		role: 'indicator.maintenance.unreach',
+		clear: 'recovery',
+	},
+};
+
+/**
+ * How an active alarm clears by itself:
+ * - read:     the raising notification was read (app, markRead, …) – not
+ *             by the adapter itself, see isUnread
+ * - hours:    the raising notification is older than `hours`
+ * - recovery: the device data is back to normal (see isRecovered)
+ * - manual:   only via alarms.reset
+ */
+const CLEAR_MODES = ['read', 'hours', 'recovery', 'manual'];
+
+/**
+ * Build the clear rule per alarm from the admin table. Rows override single
+ * alarms; the others keep their default from ALARMS.
+ *
+ * @param {Array<{alarm: string, clear?: string, hours?: number | string}>} rows - admin table rows
+ * @param {{warn: (msg: string) => void}} log - logger
+ * @returns {Record<string, {clear: string, hours: number}>} clear rule per alarm
+ */
+function buildAlarmRules(rows, log) {
+	const rules = Object.fromEntries(
+		Object.entries(ALARMS).map(([name, def]) => [name, { clear: def.clear, hours: 24 }]),
+	);
+	for (const row of Array.isArray(rows) ? rows : []) {
+		if (!row || !(row.alarm in ALARMS) || !CLEAR_MODES.includes(String(row.clear))) {
+			log.warn(`Alarm rules: invalid row ${JSON.stringify(row)} ignored`);
+			continue;
+		}
+		const hours = Number(row.hours);
+		rules[row.alarm] = { clear: String(row.clear), hours: hours > 0 ? hours : 24 };
+	}
+	return rules;
+}
+
+/**
+ * @param {string} name - alarm name
+ * @param {{temperature?: number, battery?: number, remainingFilter?: number, remainingCo2?: number, valveOpen?: boolean, lastMeasurement?: string}} values - current device values
+ * @param {{timestamp: string}} trigger - newest notification that raised the alarm
+ * @returns {boolean} true when the device data no longer supports the alarm
+ */
+function isRecovered(name, values, trigger) {
+	switch (name) {
+		case 'flood':
+			// The Sense Guard shut the water off – reopening the valve ends the alarm
+			return values.valveOpen === true;
+		case 'frost':
+			return typeof values.temperature === 'number' && values.temperature >= FROST_CLEAR_TEMPERATURE;
+		case 'batteryLow':
+			return typeof values.battery === 'number' && values.battery > RECOVERY_LEVEL.batteryLow;
+		case 'filterLow':
+			return typeof values.remainingFilter === 'number' && values.remainingFilter > RECOVERY_LEVEL.filterLow;
+		case 'co2Low':
+			return typeof values.remainingCo2 === 'number' && values.remainingCo2 > RECOVERY_LEVEL.co2Low;
+		case 'unreachable':
+			return Date.parse(values.lastMeasurement || '') > Date.parse(trigger.timestamp);
+		default:
+			return false;
+	}
+}
+
+/**
+ * Unread for the alarms: not read, or marked read only by the adapter after
+ * forwarding it (notifyMarkRead) – that is no sign the user saw it.
+ *
+ * @param {{read: boolean, autoRead?: boolean}} entry - notification history entry
+ * @returns {boolean} true while the notification counts as unread
+ */
+function isUnread(entry) {
+	return !entry.read || Boolean(entry.autoRead);
+}
+
+/**
+ * Evaluate the derived alarms of one appliance.
+ *
+ * An unread notification (see isUnread) newer than `watermark` raises its alarm, unless the
+ * clear rule already holds. Without a watermark (first start) every unread
+ * notification counts. An active alarm stays active until its rule holds
+ * for the newest matching notification.
+ *
+ * @param {object} params - evaluation input
+ * @param {number} params.type - Grohe appliance type
+ * @param {Array<{timestamp: string, category: number, type: number, read: boolean, autoRead?: boolean}>} params.history - notification history (any order)
+ * @param {number | undefined} params.watermark - ms timestamp of the newest notification already evaluated
+ * @param {Record<string, boolean>} params.active - alarms active so far
+ * @param {ReturnType<typeof buildAlarmRules>} params.rules - clear rule per alarm
+ * @param {object} params.values - current device values (see isRecovered)
+ * @param {number} [params.now] - current time (ms), injectable for tests
+ * @returns {Record<string, boolean>} alarm state per alarm applicable to the type
+ */
+function evaluateAlarms({ type, history, watermark, active, rules, values, now = Date.now() }) {
+	const applicable = Object.entries(ALARMS).filter(([, def]) => def.types.includes(type));
+	return Object.fromEntries(
+		applicable.map(([name, def]) => {
+			const matching = history
+				.filter(entry => def.codes.includes(`${entry.category}_${entry.type}`))
+				.sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+			const rule = rules[name];
+			const trigger = matching[0];
+			// Without a notification left in the history only a manual alarm stays
+			const cleared =
+				rule.clear !== 'manual' &&
+				(!trigger ||
+					(rule.clear === 'read' && !matching.some(isUnread)) ||
+					(rule.clear === 'hours' && now - Date.parse(trigger.timestamp) >= rule.hours * 3600000) ||
+					(rule.clear === 'recovery' && isRecovered(name, values, trigger)));
+			const raised = matching.some(
+				entry => isUnread(entry) && (watermark === undefined || Date.parse(entry.timestamp) > watermark),
+			);
+			return [name, (raised || Boolean(active[name])) && !cleared];
+		}),
+	);
+}
+
+/**
+ * Alarm lifecycle of one appliance: active → acknowledged → cleared (null).
+ *
+ * A new unread category-30 notification (`raised`) makes the alarm active –
+ * again after an acknowledge. Once no category-30 notification is unread
+ * (`unresolved` false) the alarm is cleared.
+ *
+ * @param {{phase: 'active' | 'acknowledged', since: number} | null} current - lifecycle so far
+ * @param {{raised: boolean, unresolved: boolean, now: number}} input - evaluation input
+ * @returns {{phase: 'active' | 'acknowledged', since: number} | null} next lifecycle
+ */
+function nextLifecycle(current, { raised, unresolved, now }) {
+	if (raised && current?.phase !== 'active') {
+		return { phase: 'active', since: now };
+	}
+	return unresolved ? current : null;
+}
+
+/**
+ * Minutes until the next re-send of an unacknowledged alarm: `first` for
+ * the first reminder, then multiplied by `factor` per reminder up to `max`.
+ *
+ * @param {{first: number, factor: number, max: number}} policy - escalation settings
+ * @param {number} repeats - reminders sent so far
+ * @returns {number} delay in minutes
+ */
+function escalationDelayMinutes(policy, repeats) {
+	const first = Math.max(1, Number(policy.first) || 15);
+	const factor = Math.max(1, Number(policy.factor) || 2);
+	return Math.min(Math.max(first, Number(policy.max) || 240), first * Math.pow(factor, repeats));
+}
+
+module.exports = {
+	ALARMS,
+	CLEAR_MODES,
+	buildAlarmRules,
+	isUnread,
+	evaluateAlarms,
+	nextLifecycle,
+	escalationDelayMinutes,
+};
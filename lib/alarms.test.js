@@ -0,0 +1,130 @@
+'use strict';
+
+const { expect } = require('chai');
+const { buildAlarmRules, isUnread, evaluateAlarms, nextLifecycle, escalationDelayMinutes } = require('./alarms');
+
+describe('alarms', () => {
+	const log = { warn: () => {} };
+	const now = Date.parse('2026-01-02T12:00:00.000Z');
+	const entry = (category, type, timestamp, read = false) => ({ category, type, timestamp, read });
+
+	it('raises alarms from unread notifications newer than the watermark', () => {
+		const history = [
+			entry(20, 11, '2026-01-02T10:00:00.000Z'),
+			entry(30, 431, '2026-01-02T09:00:00.000Z', true),
+			entry(20, 40, '2026-01-01T08:00:00.000Z'),
+		];
+
+		const result = evaluateAlarms({
+			type: 101,
+			history,
+			watermark: Date.parse('2026-01-02T00:00:00.000Z'),
+			active: {},
+			rules: buildAlarmRules([], log),
+			values: { battery: 5, temperature: 1 },
+			now,
+		});
+
+		expect(result).to.deep.equal({ flood: false, frost: false, batteryLow: true });
+	});
+
+	it('clears on recovery, when read or after the configured hours', () => {
+		const rules = buildAlarmRules(
+			[
+				{ alarm: 'frost', clear: 'hours', hours: 6 },
+				{ alarm: 'flood', clear: 'read' },
+			],
+			log,
+		);
+		const active = { flood: true, frost: true, batteryLow: true };
+		const evaluate = (history, values) =>
+			evaluateAlarms({ type: 101, history, watermark: now, active, rules, values, now });
+
+		expect(
+			evaluate(
+				[
+					entry(30, 431, '2026-01-02T11:00:00.000Z', true),
+					entry(20, 40, '2026-01-02T05:00:00.000Z'),
+					entry(20, 12, '2026-01-02T06:00:00.000Z'),
+				],
+				{ battery: 100 },
+			),
+		).to.deep.equal({ flood: false, frost: false, batteryLow: false });
+		expect(
+			evaluate(
+				[
+					entry(30, 431, '2026-01-02T11:00:00.000Z'),
+					entry(20, 40, '2026-01-02T08:00:00.000Z'),
+					entry(20, 12, '2026-01-02T06:00:00.000Z'),
+				],
+				{ battery: 10 },
+			),
+		).to.deep.equal({ flood: true, frost: true, batteryLow: true });
+	});
+
+	it('keeps notifications the adapter marked read itself as unread', () => {
+		const forwarded = { ...entry(30, 0, '2026-01-02T11:00:00.000Z', true), autoRead: true };
+		const evaluate = active =>
+			evaluateAlarms({
+				type: 103,
+				history: [forwarded],
+				watermark: active.flood ? now : undefined,
+				active,
+				rules: buildAlarmRules([], log),
+				values: {},
+				now,
+			});
+
+		expect(isUnread(forwarded)).to.equal(true);
+		expect(isUnread({ ...forwarded, autoRead: undefined })).to.equal(false);
+		expect(evaluate({})).to.include({ flood: true });
+		expect(evaluate({ flood: true })).to.include({ flood: true });
+	});
+
+	it('keeps manual alarms and ignores invalid rule rows', () => {
+		const warnings = [];
+		const rules = buildAlarmRules(
+			[{ alarm: 'unreachable', clear: 'manual' }, { alarm: 'leak', clear: 'read' }, { alarm: 'co2Low' }],
+			{ warn: msg => warnings.push(msg) },
+		);
+
+		const result = evaluateAlarms({
+			type: 103,
+			history: [],
+			watermark: now,
+			active: { unreachable: true, flood: true },
+			rules,
+			values: {},
+			now,
+		});
+
+		expect(warnings).to.have.length(2);
+		expect(rules.co2Low).to.deep.equal({ clear: 'recovery', hours: 24 });
+		expect(result).to.deep.equal({ flood: false, frost: false, unreachable: true });
+	});
+
+	it('moves the lifecycle through active, acknowledged and cleared', () => {
+		const active = nextLifecycle(null, { raised: true, unresolved: true, now: 1000 });
+		const acknowledged = /** @type {{phase: 'acknowledged', since: number}} */ ({
+			phase: 'acknowledged',
+			since: 1000,
+		});
+
+		expect(active).to.deep.equal({ phase: 'active', since: 1000 });
+		expect(nextLifecycle(active, { raised: true, unresolved: true, now: 2000 })).to.equal(active);
+		expect(nextLifecycle(acknowledged, { raised: false, unresolved: true, now: 2000 })).to.equal(acknowledged);
+		expect(nextLifecycle(acknowledged, { raised: true, unresolved: true, now: 3000 })).to.deep.equal({
+			phase: 'active',
+			since: 3000,
+		});
+		expect(nextLifecycle(active, { raised: false, unresolved: false, now: 4000 })).to.equal(null);
+		expect(nextLifecycle(null, { raised: false, unresolved: true, now: 4000 })).to.equal(null);
+	});
+
+	it('grows the escalation interval up to the maximum', () => {
+		const policy = { first: 15, factor: 2, max: 100 };
+
+		expect([0, 1, 2, 3].map(repeats => escalationDelayMinutes(policy, repeats))).to.deep.equal([15, 30, 60, 100]);
+		expect(escalationDelayMinutes({ first: 0, factor: 0, max: 0 }, 1)).to.equal(30);
+	});
+});
@@ -1,7 +1,5 @@
 'use strict';
 
-const BASE = 'https://idp2-apigw.cloud.grohe.com/v3/iot';
-
 /**
  * Dumps the complete Grohe API structure to the adapter log (warn level).
  * Intended for diagnostics when the /dashboard endpoint is not available.
@@ -10,6 +8,7 @@ const BASE = 'https://idp2-apigw.cloud.grohe.com/v3/iot';
  * @param {object} log    - adapter.log compatible logger
  */
 async function dumpApiStructure(client, log) {
+	const base = client.baseUrl;
 	const userId = client._getUserIdFromToken();
 	const today = new Date().toISOString().split('T')[0];
 	const yearAgo = new Date(Date.now() - 365 * 86400000).toISOString().split('T')[0];
@@ -17,16 +16,16 @@ async function dumpApiStructure(client, log) {
 	log.warn('=== API STRUCTURE DUMP START ===');
 
 	// /users/{userId}
-	await _dump(client, log, `${BASE}/users/${userId}`);
+	await _dump(client, log, `${base}/users/${userId}`);
 
 	// /dashboard
-	await _dump(client, log, `${BASE}/dashboard`);
+	await _dump(client, log, `${base}/dashboard`);
 
 	// /locations
-	const locations = await _dump(client, log, `${BASE}/locations`);
+	const locations = await _dump(client, log, `${base}/locations`);
 
 	// /profile/notifications
-	await _dump(client, log, `${BASE}/profile/notifications?pageSize=5`);
+	await _dump(client, log, `${base}/profile/notifications?pageSize=5`);
 
 	// Discover locations via /users if /locations failed
 	let locationList = [];
@@ -44,21 +43,21 @@ async function dumpApiStructure(client, log) {
 		const locId = loc.id;
 		log.warn(`[dump] --- Location ${locId} ---`);
 
-		await _dump(client, log, `${BASE}/locations/${locId}`);
-		const rooms = await _dump(client, log, `${BASE}/locations/${locId}/rooms`);
+		await _dump(client, log, `${base}/locations/${locId}`);
+		const rooms = await _dump(client, log, `${base}/locations/${locId}/rooms`);
 		const roomList = Array.isArray(rooms) ? rooms : [];
 
 		for (const room of roomList) {
 			const roomId = room.id;
 			log.warn(`[dump] --- Location ${locId} / Room ${roomId} ---`);
 
-			await _dump(client, log, `${BASE}/locations/${locId}/rooms/${roomId}`);
-			const appliances = await _dump(client, log, `${BASE}/locations/${locId}/rooms/${roomId}/appliances`);
+			await _dump(client, log, `${base}/locations/${locId}/rooms/${roomId}`);
+			const appliances = await _dump(client, log, `${base}/locations/${locId}/rooms/${roomId}/appliances`);
 			const appList = Array.isArray(appliances) ? appliances : [];
 
 			for (const app of appList) {
 				const appId = app.appliance_id;
-				const appBase = `${BASE}/locations/${locId}/rooms/${roomId}/appliances/${appId}`;
+				const appBase = `${base}/locations/${locId}/rooms/${roomId}/appliances/${appId}`;
 				log.warn(`[dump] --- Appliance ${appId} (type=${app.type}, name=${app.name}) ---`);
 
 				await _dump(client, log, appBase);
@@ -18,23 +18,55 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const tough = require('tough-cookie');
 
-const BASE_URL = 'https://idp2-apigw.cloud.grohe.com/v3/iot';
-const LOGIN_URL = `${BASE_URL}/oidc/login`;
-const REFRESH_URL = `${BASE_URL}/oidc/refresh`;
+const DEFAULT_BASE_URL = 'https://idp2-apigw.cloud.grohe.com/v3/iot';
+
+/**
+ * Normalize a configured API base URL (trim, strip trailing slashes).
+ *
+ * @param {string} [url] - configured base URL
+ * @returns {string} base URL without trailing slash, or '' when empty or not an http(s) URL
+ */
+function normalizeBaseUrl(url) {
+	const trimmed = String(url || '')
+		.trim()
+		.replace(/\/+$/, '');
+	if (!trimmed) {
+		return '';
+	}
+	try {
+		const { protocol } = new URL(trimmed);
+		return protocol === 'https:' || protocol === 'http:' ? trimmed : '';
+	} catch {
+		return '';
+	}
+}
 
 class GroheAuth {
 	/**
 	 * @param {object} log  – adapter.log compatible logger
 	 * @param {(callback: (...args: unknown[]) => void, ms: number) => unknown} [setTimeoutFn] - adapter-aware setTimeout function
+	 * @param {object} [options] - optional settings
+	 * @param {string} [options.baseUrl] - API base URL (defaults to the Grohe cloud); OIDC endpoints are derived from it
 	 */
-	constructor(log, setTimeoutFn) {
+	constructor(log, setTimeoutFn, options = {}) {
 		this.log = log;
 		this.setTimeout = typeof setTimeoutFn === 'function' ? setTimeoutFn : globalThis.setTimeout.bind(globalThis);
 
+		const baseUrl = normalizeBaseUrl(options.baseUrl);
+		if (options.baseUrl && !baseUrl) {
+			this.log.warn(`[auth] invalid API base URL "${options.baseUrl}" – using ${DEFAULT_BASE_URL}`);
+		}
+		/** API base URL, e.g. https://idp2-apigw.cloud.grohe.com/v3/iot */
+		this.baseUrl = baseUrl || DEFAULT_BASE_URL;
+		this.loginUrl = `${this.baseUrl}/oidc/login`;
+		this.refreshUrl = `${this.baseUrl}/oidc/refresh`;
+
 		this.accessToken = null;
 		this.refreshToken = null;
 		/** expiresAt – unix-ms when the access token expires */
 		this.expiresAt = 0;
+		/** In-flight token refresh, shared by parallel callers */
+		this._refreshPromise = null;
 	}
 
 	/* ------------------------------------------------------------------ */
@@ -93,7 +125,7 @@ class GroheAuth {
 		// ────────────────────────────────────────────────────────────────
 		this.log.debug('[auth] step 1: GET login page (manual redirect chain)');
 
-		const { body: html, finalUrl } = await this._getWithJar(LOGIN_URL, jar);
+		const { body: html, finalUrl } = await this._getWithJar(this.loginUrl, jar);
 
 		if (typeof html !== 'string' || html.length === 0) {
 			throw new Error('Login page returned no HTML');
@@ -114,8 +146,8 @@ class GroheAuth {
 			throw new Error('Login form action not found in HTML');
 		}
 
-		// Use LOGIN_URL as base for urljoin (like Python)
-		const actionUrl = new URL(actionRaw.replace(/&amp;/g, '&'), LOGIN_URL).toString();
+		// Use the login URL as base for urljoin (like Python)
+		const actionUrl = new URL(actionRaw.replace(/&amp;/g, '&'), this.loginUrl).toString();
 
 		this.log.debug(`[auth] step 2: action URL = ${actionUrl}`);
 
@@ -141,7 +173,7 @@ class GroheAuth {
 				timeout: 30000,
 				headers: {
 					'Content-Type': 'application/x-www-form-urlencoded',
-					Referer: LOGIN_URL,
+					Referer: this.loginUrl,
 					Cookie: cookieHeader,
 				},
 				maxRedirects: 0,
@@ -315,10 +347,11 @@ class GroheAuth {
 	/*  Exchange ondus:// URL for tokens                                  */
 	/* ------------------------------------------------------------------ */
 	async _exchangeOndusUrl(ondusUrl) {
-		const httpsUrl = ondusUrl.replace(/^ondus:\/\//, 'https://');
+		// Same scheme as the API base URL (https for the Grohe cloud, http for a local stand-in)
+		const tokenUrl = ondusUrl.replace(/^ondus:\/\//, `${new URL(this.baseUrl).protocol}//`);
 		this.log.debug('[auth] step 5: exchanging code for tokens');
 
-		const resp = await axios.get(httpsUrl, {
+		const resp = await axios.get(tokenUrl, {
 			headers: { Accept: 'application/json' },
 			timeout: 15000,
 		});
@@ -342,13 +375,24 @@ class GroheAuth {
 	/*  Refresh tokens                                                    */
 	/* ------------------------------------------------------------------ */
 	async refresh() {
+		// Parallel requests that hit an expired token share one refresh –
+		// the refresh token rotates, so a second call would use a stale one.
+		if (!this._refreshPromise) {
+			this._refreshPromise = this._refreshTokens().finally(() => {
+				this._refreshPromise = null;
+			});
+		}
+		return this._refreshPromise;
+	}
+
+	async _refreshTokens() {
 		if (!this.refreshToken) {
 			throw new Error('No refresh token available');
 		}
 
 		this.log.debug('[auth] refreshing tokens');
 		const resp = await axios.post(
-			REFRESH_URL,
+			this.refreshUrl,
 			{ refresh_token: this.refreshToken, grant_type: 'refresh_token' },
 			{
 				headers: { 'Content-Type': 'application/json' },
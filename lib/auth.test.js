@@ -29,3 +29,65 @@ describe('GroheAuth', () => {
 		expect(timeouts).to.deep.equal([2000, 4000]);
 	});
 });
+
+describe('GroheAuth against the mock cloud', () => {
+	const { GroheCloudMock } = require('../test/groheCloudMock');
+	const log = { debug: () => {}, info: () => {}, warn: () => {} };
+	const immediate = callback => callback();
+	let cloud;
+
+	beforeEach(() => {
+		cloud = new GroheCloudMock().install();
+	});
+
+	afterEach(() => {
+		cloud.restore();
+	});
+
+	it('runs the full OIDC login chain and receives tokens', async () => {
+		const auth = new GroheAuth(log, immediate);
+
+		const result = await auth.login('user@example.com', 'secret');
+
+		expect(result.access_token).to.be.a('string');
+		expect(result.refresh_token).to.match(/^refresh-token-/);
+		expect(auth.accessToken).to.equal(result.access_token);
+		expect(cloud.requestsFor('POST', '/login-actions/authenticate')).to.have.length(1);
+		expect(cloud.requestsFor('GET', '/oidc/token')).to.have.length(1);
+	});
+
+	it('rejects invalid credentials after three attempts', async () => {
+		const auth = new GroheAuth(log, immediate);
+
+		await expect(auth.login('user@example.com', 'wrong')).to.be.rejectedWith('Invalid credentials');
+		expect(cloud.requestsFor('POST', '/login-actions/authenticate')).to.have.length(3);
+	});
+
+	it('rotates tokens via /oidc/refresh', async () => {
+		const auth = new GroheAuth(log, immediate);
+		const first = await auth.login('user@example.com', 'secret');
+
+		await auth.refresh();
+
+		expect(auth.accessToken).to.not.equal(first.access_token);
+		expect(auth.refreshToken).to.not.equal(first.refresh_token);
+	});
+
+	it('shares one refresh between parallel callers', async () => {
+		const auth = new GroheAuth(log, immediate);
+		await auth.login('user@example.com', 'secret');
+
+		const results = await Promise.all([auth.refresh(), auth.refresh(), auth.refresh()]);
+
+		expect(cloud.requestsFor('POST', '/oidc/refresh')).to.have.length(1);
+		expect(results[1].access_token).to.equal(results[0].access_token);
+	});
+
+	it('fails to refresh with a revoked refresh token', async () => {
+		const auth = new GroheAuth(log, immediate);
+		await auth.login('user@example.com', 'secret');
+		cloud.revokeRefreshTokens();
+
+		await expect(auth.refresh()).to.be.rejected;
+	});
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * What happens once the backoff delay reaches its cap:
+ * - halfDay: pause until the next 12:00 or 00:00
+ * - custom:  pause for longPauseMinutes
+ * - off:     keep retrying at the cap
+ */
+const LONG_PAUSE_MODES = ['halfDay', 'custom', 'off'];
+
+/**
+ * Read one backoff policy from the adapter config.
+ *
+ * Keys are `backoff<kind>Base`, `…Multiplier`, `…Max`, `…LongPause` and
+ * `…LongPauseMinutes`; `backoffJitter` is shared. A base of 0 means the
+ * regular poll interval.
+ *
+ * @param {object} config - adapter config
+ * @param {'403' | 'Error'} kind - policy prefix (HTTP 403 or other errors)
+ * @param {number} pollInterval - regular poll interval (seconds)
+ * @returns {{base: number, multiplier: number, max: number, jitter: number, longPause: string, longPauseMinutes: number}} policy
+ */
+function buildBackoffPolicy(config, kind, pollInterval) {
+	const num = key => Number(config[`backoff${kind}${key}`]);
+	const base = num('Base') > 0 ? num('Base') : pollInterval;
+	const longPause = config[`backoff${kind}LongPause`];
+	return {
+		base,
+		multiplier: Math.max(1, num('Multiplier') || 2),
+		max: Math.max(base, num('Max') || 3600),
+		jitter: Math.min(50, Math.max(0, Number(config.backoffJitter) || 0)),
+		longPause: LONG_PAUSE_MODES.includes(longPause) ? longPause : 'halfDay',
+		longPauseMinutes: Math.max(1, num('LongPauseMinutes') || 720),
+	};
+}
+
+/**
+ * Delay before the next attempt after `errors` consecutive failures:
+ * base × multiplier^errors, capped at max and spread by ± jitter %.
+ * Reaching the cap starts the policy's long pause instead (unless it is off).
+ *
+ * @param {ReturnType<typeof buildBackoffPolicy>} policy - backoff policy
+ * @param {number} errors - consecutive failures (≥ 1)
+ * @param {Date} [now] - current time, injectable for tests
+ * @param {() => number} [random] - random source in [0, 1), injectable for tests
+ * @returns {{delay: number, longPause: boolean}} delay in seconds
+ */
+function computeBackoff(policy, errors, now = new Date(), random = Math.random) {
+	const raw = policy.base * Math.pow(policy.multiplier, errors);
+
+	if (raw >= policy.max && policy.longPause !== 'off') {
+		if (policy.longPause === 'custom') {
+			return { delay: policy.longPauseMinutes * 60, longPause: true };
+		}
+		const target = new Date(now);
+		if (now.getHours() < 12) {
+			target.setHours(12, 0, 0, 0);
+		} else {
+			target.setDate(target.getDate() + 1);
+			target.setHours(0, 0, 0, 0);
+		}
+		return { delay: Math.round((target.getTime() - now.getTime()) / 1000), longPause: true };
+	}
+
+	const capped = Math.min(raw, policy.max);
+	const spread = ((random() * 2 - 1) * policy.jitter) / 100;
+	return { delay: Math.max(1, Math.round(capped * (1 + spread))), longPause: false };
+}
+
+module.exports = { LONG_PAUSE_MODES, buildBackoffPolicy, computeBackoff };
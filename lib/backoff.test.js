@@ -0,0 +1,42 @@
+'use strict';
+
+const { expect } = require('chai');
+const { buildBackoffPolicy, computeBackoff } = require('./backoff');
+
+describe('backoff', () => {
+	const morning = new Date(2026, 0, 1, 9, 0, 0);
+
+	it('doubles from the poll interval and pauses until noon by default', () => {
+		const policy = buildBackoffPolicy({}, '403', 300);
+
+		expect(computeBackoff(policy, 1, morning).delay).to.equal(600);
+		expect(computeBackoff(policy, 3, morning).delay).to.equal(2400);
+		expect(computeBackoff(policy, 4, morning)).to.deep.equal({ delay: 3 * 3600, longPause: true });
+	});
+
+	it('applies base, multiplier, cap and a custom or disabled long pause', () => {
+		const config = {
+			backoffErrorBase: 60,
+			backoffErrorMultiplier: 3,
+			backoffErrorMax: 900,
+			backoffErrorLongPause: 'off',
+			backoff403LongPause: 'custom',
+			backoff403LongPauseMinutes: 90,
+		};
+		const error = buildBackoffPolicy(config, 'Error', 300);
+		const forbidden = buildBackoffPolicy(config, '403', 300);
+
+		expect(computeBackoff(error, 1, morning).delay).to.equal(180);
+		expect(computeBackoff(error, 2, morning).delay).to.equal(540);
+		expect(computeBackoff(error, 5, morning)).to.deep.equal({ delay: 900, longPause: false });
+		expect(computeBackoff(forbidden, 4, morning)).to.deep.equal({ delay: 5400, longPause: true });
+	});
+
+	it('spreads the delay by the configured jitter', () => {
+		const policy = buildBackoffPolicy({ backoffJitter: 20 }, 'Error', 300);
+
+		expect(computeBackoff(policy, 1, morning, () => 0).delay).to.equal(480);
+		expect(computeBackoff(policy, 1, morning, () => 0.5).delay).to.equal(600);
+		expect(computeBackoff(policy, 1, morning, () => 0.9999).delay).to.equal(720);
+	});
+});
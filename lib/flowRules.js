@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Read the local flow rules from the admin table. A rule needs a flow limit
+ * with minutes, a volume limit, or both; other rows are dropped with a
+ * warning. An empty `guard` applies to every Sense Guard.
+ *
+ * @param {Array<{guard?: string, minFlow?: number | string, minutes?: number | string, maxVolume?: number | string, shutOff?: boolean}>} rows - admin table rows
+ * @param {{warn: (msg: string) => void}} log - logger
+ * @returns {Array<{guard: string, minFlow: number, minutes: number, maxVolume: number, shutOff: boolean}>} valid rules
+ */
+function buildFlowRules(rows, log) {
+	const rules = [];
+	for (const row of Array.isArray(rows) ? rows : []) {
+		const minFlow = Number(row?.minFlow) || 0;
+		const minutes = Number(row?.minutes) || 0;
+		const maxVolume = Number(row?.maxVolume) || 0;
+		const continuous = minFlow > 0 && minutes > 0;
+		if (!continuous && !(maxVolume > 0)) {
+			log.warn(`Flow rules: invalid row ${JSON.stringify(row)} ignored`);
+			continue;
+		}
+		rules.push({
+			guard: String(row?.guard || '').trim(),
+			minFlow: continuous ? minFlow : 0,
+			minutes: continuous ? minutes : 0,
+			maxVolume: Math.max(0, maxVolume),
+			shutOff: row?.shutOff === true,
+		});
+	}
+	return rules;
+}
+
+/**
+ * @param {ReturnType<typeof buildFlowRules>} rules - all rules
+ * @param {string} id - Sense Guard appliance ID
+ * @returns {ReturnType<typeof buildFlowRules>[number] | undefined} the rule of this Guard, else the rule for all Guards
+ */
+function flowRuleFor(rules, id) {
+	return rules.find(rule => rule.guard === id) || rules.find(rule => !rule.guard);
+}
+
+/**
+ * Whether `now` lies in the sprinkler window of the Sense Guard. A window
+ * ending before it starts runs past midnight and belongs to its start day.
+ *
+ * @param {{start: number, stop: number, days: boolean[], now: number}} input - window in minutes of the day, active days in Date#getDay order
+ * @returns {boolean} true inside the window
+ */
+function isInSprinklerWindow({ start, stop, days, now }) {
+	const d = new Date(now);
+	const minute = d.getHours() * 60 + d.getMinutes();
+	const day = d.getDay();
+	if (start <= stop) {
+		return Boolean(days[day]) && minute >= start && minute < stop;
+	}
+	return (Boolean(days[day]) && minute >= start) || (Boolean(days[(day + 6) % 7]) && minute < stop);
+}
+
+/**
+ * Evaluate a flow rule on one poll. `since` is when the flow was first seen
+ * above `minFlow` (null = not flowing); the continuous trigger needs the
+ * flow on every poll for `minutes`.
+ *
+ * @param {ReturnType<typeof buildFlowRules>[number]} rule - flow rule
+ * @param {{flowRate: number, lastVolume: number, since: number | null, now: number}} input - polled values
+ * @returns {{since: number | null, trigger: 'flow' | 'volume' | null}} updated start of the flow and what matched
+ */
+function evaluateFlowRule(rule, { flowRate, lastVolume, since, now }) {
+	const flowing = rule.minFlow > 0 && flowRate > rule.minFlow;
+	const start = flowing ? (since ?? now) : null;
+	if (start !== null && now - start >= rule.minutes * 60000) {
+		return { since: start, trigger: 'flow' };
+	}
+	if (rule.maxVolume > 0 && lastVolume > rule.maxVolume) {
+		return { since: start, trigger: 'volume' };
+	}
+	return { since: start, trigger: null };
+}
+
+module.exports = { buildFlowRules, flowRuleFor, isInSprinklerWindow, evaluateFlowRule };
@@ -0,0 +1,60 @@
+'use strict';
+
+const { expect } = require('chai');
+const { buildFlowRules, flowRuleFor, isInSprinklerWindow, evaluateFlowRule } = require('./flowRules');
+
+describe('flowRules', () => {
+	const rule = { guard: '', minFlow: 2, minutes: 10, maxVolume: 100, shutOff: false };
+
+	it('builds rules and picks the rule of a Guard first', () => {
+		const warnings = [];
+		const rules = buildFlowRules(
+			[
+				{ minFlow: 2, minutes: 10, maxVolume: 100 },
+				{ guard: 'guard-1', maxVolume: '50', shutOff: true },
+				{ minFlow: 3 },
+			],
+			{ warn: msg => warnings.push(msg) },
+		);
+
+		expect(warnings).to.have.length(1);
+		expect(flowRuleFor(rules, 'guard-1')).to.deep.equal({
+			guard: 'guard-1',
+			minFlow: 0,
+			minutes: 0,
+			maxVolume: 50,
+			shutOff: true,
+		});
+		expect(flowRuleFor(rules, 'guard-2')).to.deep.equal(rule);
+	});
+
+	it('matches continuous flow and large withdrawals', () => {
+		const t0 = Date.parse('2026-01-01T10:00:00Z');
+		const first = evaluateFlowRule(rule, { flowRate: 5, lastVolume: 10, since: null, now: t0 });
+
+		expect(first).to.deep.equal({ since: t0, trigger: null });
+		expect(evaluateFlowRule(rule, { flowRate: 5, lastVolume: 10, since: t0, now: t0 + 600000 })).to.deep.equal({
+			since: t0,
+			trigger: 'flow',
+		});
+		expect(evaluateFlowRule(rule, { flowRate: 1, lastVolume: 10, since: t0, now: t0 + 600000 })).to.deep.equal({
+			since: null,
+			trigger: null,
+		});
+		expect(evaluateFlowRule(rule, { flowRate: 0, lastVolume: 120, since: null, now: t0 }).trigger).to.equal(
+			'volume',
+		);
+	});
+
+	it('knows the sprinkler window, also past midnight', () => {
+		const mondayOnly = [false, true, false, false, false, false, false];
+		// Monday, 5 January 2026
+		const at = (day, hour) => new Date(2026, 0, 4 + day, hour, 0).getTime();
+
+		expect(isInSprinklerWindow({ start: 360, stop: 480, days: mondayOnly, now: at(1, 7) })).to.equal(true);
+		expect(isInSprinklerWindow({ start: 360, stop: 480, days: mondayOnly, now: at(1, 8) })).to.equal(false);
+		expect(isInSprinklerWindow({ start: 360, stop: 480, days: mondayOnly, now: at(2, 7) })).to.equal(false);
+		expect(isInSprinklerWindow({ start: 1320, stop: 120, days: mondayOnly, now: at(2, 1) })).to.equal(true);
+		expect(isInSprinklerWindow({ start: 1320, stop: 120, days: mondayOnly, now: at(1, 1) })).to.equal(false);
+	});
+});
@@ -10,19 +10,37 @@
 
 const axios = require('axios');
 const GroheAuth = require('./auth');
-
-const BASE = 'https://idp2-apigw.cloud.grohe.com/v3/iot';
+const RateLimiter = require('./rateLimiter');
 
 class GroheClient {
 	/**
 	 * @param {object} log – adapter.log compatible logger
 	 * @param {(callback: (...args: unknown[]) => void, ms: number) => unknown} [setTimeoutFn] - adapter-aware setTimeout function
+	 * @param {object} [options] - optional settings
+	 * @param {string} [options.baseUrl] - API base URL (defaults to the Grohe cloud)
+	 * @param {number} [options.maxRequestsPerMinute] - request rate limit (0 = unlimited)
+	 * @param {number} [options.maxRequestsPerDay] - daily request budget (0 = unlimited)
+	 * @param {(applianceId: string, length: number) => unknown} [options.onCommandQueue] - called when a command queue grows or shrinks
+	 * @param {(applianceId: string, result: object) => unknown} [options.onCommandResult] - called after each queued command
 	 */
-	constructor(log, setTimeoutFn) {
+	constructor(log, setTimeoutFn, options = {}) {
 		this.log = log;
-		this.auth = new GroheAuth(log, setTimeoutFn);
+		this.auth = new GroheAuth(log, setTimeoutFn, { baseUrl: options.baseUrl });
+		this.limiter = new RateLimiter({
+			perMinute: options.maxRequestsPerMinute,
+			perDay: options.maxRequestsPerDay,
+			setTimeoutFn,
+		});
 		this.http = axios.create({ timeout: 15000 });
 		this._useFallbackDiscovery = false;
+
+		/**
+		 * Per-appliance FIFO command queues.
+		 * Maps applianceId -> { tail: Promise, length: number }
+		 */
+		this._commandQueues = new Map();
+		this.onCommandQueue = options.onCommandQueue || null;
+		this.onCommandResult = options.onCommandResult || null;
 	}
 
 	/* ================================================================== */
@@ -49,6 +67,10 @@ class GroheClient {
 		return this.auth.refreshToken;
 	}
 
+	get baseUrl() {
+		return this.auth.baseUrl;
+	}
+
 	get usingFallbackDiscovery() {
 		return this._useFallbackDiscovery;
 	}
@@ -57,7 +79,14 @@ class GroheClient {
 	/*  Generic authenticated request (auto-refresh on 401)               */
 	/* ================================================================== */
 
-	async request(config, retry = true) {
+	/**
+	 * @param {object} config - axios request config
+	 * @param {object} [options] - request options
+	 * @param {boolean} [options.retry] - refresh the token and retry once on 401
+	 * @param {boolean} [options.essential] - command request: skips the rate limiter's wait and daily budget
+	 */
+	async request(config, { retry = true, essential = false } = {}) {
+		await this.limiter.acquire({ essential });
 		const token = await this.auth.getAccessToken();
 		config.headers = {
 			...(config.headers || {}),
@@ -72,7 +101,7 @@ class GroheClient {
 			if (status === 401 && retry) {
 				this.log.debug('[client] 401 – refreshing token and retrying');
 				await this.auth.refresh();
-				return this.request(config, false);
+				return this.request(config, { retry: false, essential });
 			}
 			if (status === 403) {
 				this.log.warn(
@@ -100,7 +129,7 @@ class GroheClient {
 	async getDashboard() {
 		if (!this._useFallbackDiscovery) {
 			try {
-				const resp = await this.request({ method: 'GET', url: `${BASE}/dashboard` });
+				const resp = await this.request({ method: 'GET', url: `${this.baseUrl}/dashboard` });
 				return resp.data;
 			} catch (err) {
 				if (err?.response?.status === 404) {
@@ -184,7 +213,7 @@ class GroheClient {
 
 	async _getLocationsViaUser() {
 		const userId = this._getUserIdFromToken();
-		const resp = await this.request({ method: 'GET', url: `${BASE}/users/${userId}` });
+		const resp = await this.request({ method: 'GET', url: `${this.baseUrl}/users/${userId}` });
 		const userData = resp.data;
 		this.log.debug(`[client] /users/${userId} response keys: ${Object.keys(userData || {}).join(', ')}`);
 
@@ -200,14 +229,14 @@ class GroheClient {
 	}
 
 	async _getRooms(locationId) {
-		const resp = await this.request({ method: 'GET', url: `${BASE}/locations/${locationId}/rooms` });
+		const resp = await this.request({ method: 'GET', url: `${this.baseUrl}/locations/${locationId}/rooms` });
 		return resp.data || [];
 	}
 
 	async _getAppliances(locationId, roomId) {
 		const resp = await this.request({
 			method: 'GET',
-			url: `${BASE}/locations/${locationId}/rooms/${roomId}/appliances`,
+			url: `${this.baseUrl}/locations/${locationId}/rooms/${roomId}/appliances`,
 		});
 		return resp.data || [];
 	}
@@ -217,12 +246,18 @@ class GroheClient {
 	/* ================================================================== */
 
 	_applianceUrl(locationId, roomId, applianceId) {
-		return `${BASE}/locations/${locationId}/rooms/${roomId}/appliances/${applianceId}`;
+		return `${this.baseUrl}/locations/${locationId}/rooms/${roomId}/appliances/${applianceId}`;
 	}
 
-	async getApplianceDetails(locationId, roomId, applianceId) {
+	/**
+	 * @param {string} locationId - The location ID
+	 * @param {string} roomId - The room ID
+	 * @param {string} applianceId - The appliance ID
+	 * @param {boolean} [essential] - readback of a command or setting, exempt from the rate limiter
+	 */
+	async getApplianceDetails(locationId, roomId, applianceId, essential = false) {
 		const url = `${this._applianceUrl(locationId, roomId, applianceId)}/details`;
-		const resp = await this.request({ method: 'GET', url });
+		const resp = await this.request({ method: 'GET', url }, { essential });
 		return resp.data;
 	}
 
@@ -236,14 +271,22 @@ class GroheClient {
 		return resp.data;
 	}
 
-	async getApplianceCommand(locationId, roomId, applianceId) {
+	/**
+	 * @param {string} locationId - The location ID
+	 * @param {string} roomId - The room ID
+	 * @param {string} applianceId - The appliance ID
+	 * @param {boolean} [essential] - readback of a command, exempt from the rate limiter
+	 */
+	async getApplianceCommand(locationId, roomId, applianceId, essential = false) {
 		const url = `${this._applianceUrl(locationId, roomId, applianceId)}/command`;
-		const resp = await this.request({ method: 'GET', url });
+		const resp = await this.request({ method: 'GET', url }, { essential });
 		return resp.data;
 	}
 
 	/**
 	 * Send a command – GET current state, merge, POST back (like Python client).
+	 * Queued per appliance, so the GET always happens after the previous command
+	 * for the same appliance has been POSTed.
 	 *
 	 * @param {string} locationId - The location ID
 	 * @param {string} roomId - The room ID
@@ -251,14 +294,88 @@ class GroheClient {
 	 * @param {object} commandFields - The command fields to merge
 	 */
 	async setApplianceCommand(locationId, roomId, applianceId, commandFields) {
+		return this._enqueueCommand(applianceId, Object.keys(commandFields).join(','), () =>
+			this._sendCommand(locationId, roomId, applianceId, commandFields),
+		);
+	}
+
+	/* ================================================================== */
+	/*  Per-appliance command queue                                       */
+	/* ================================================================== */
+
+	/**
+	 * Run a read-modify-write task after all earlier tasks for the same
+	 * appliance have finished. A failing task does not block the queue.
+	 *
+	 * @param {string} applianceId - The appliance ID
+	 * @param {string} label - Short description for lastCommandResult
+	 * @param {() => Promise<unknown>} task - Performs the GET + POST/PUT
+	 */
+	_enqueueCommand(applianceId, label, task) {
+		let queue = this._commandQueues.get(applianceId);
+		if (!queue) {
+			queue = { tail: Promise.resolve(), length: 0 };
+			this._commandQueues.set(applianceId, queue);
+		}
+		queue.length++;
+		this._emit(this.onCommandQueue, applianceId, queue.length);
+
+		const run = queue.tail.then(async () => {
+			try {
+				const result = await task();
+				this._emit(this.onCommandResult, applianceId, {
+					command: label,
+					success: true,
+					timestamp: new Date().toISOString(),
+				});
+				return result;
+			} catch (err) {
+				this._emit(this.onCommandResult, applianceId, {
+					command: label,
+					success: false,
+					error: err?.response?.status ? `HTTP ${err.response.status}` : err.message,
+					timestamp: new Date().toISOString(),
+				});
+				throw err;
+			} finally {
+				queue.length--;
+				if (queue.length === 0) {
+					this._commandQueues.delete(applianceId);
+				}
+				this._emit(this.onCommandQueue, applianceId, queue.length);
+			}
+		});
+		queue.tail = run.catch(() => undefined);
+		return run;
+	}
+
+	/**
+	 * @param {string} applianceId - The appliance ID
+	 * @returns {number} commands waiting or running for this appliance
+	 */
+	getCommandQueueLength(applianceId) {
+		return this._commandQueues.get(applianceId)?.length || 0;
+	}
+
+	_emit(callback, ...args) {
+		if (typeof callback !== 'function') {
+			return;
+		}
+		Promise.resolve()
+			.then(() => callback(...args))
+			.catch(err => this.log.debug(`[client] Command queue callback failed: ${err.message}`));
+	}
+
+	async _sendCommand(locationId, roomId, applianceId, commandFields) {
 		const url = `${this._applianceUrl(locationId, roomId, applianceId)}/command`;
-		const current = await this.request({ method: 'GET', url });
+		// Commands (valve shut-offs above all) must not wait for or fail on the rate limiter
+		const current = await this.request({ method: 'GET', url }, { essential: true });
 		const merged = current.data || {};
 		merged.command = { ...(merged.command || {}), ...commandFields };
 		if (merged.command.reason_for_change !== undefined) {
 			merged.command.reason_for_change = Number(merged.command.reason_for_change) + 1;
 		}
-		const resp = await this.request({ method: 'POST', url, data: merged });
+		const resp = await this.request({ method: 'POST', url, data: merged }, { essential: true });
 		return resp.data;
 	}
 
@@ -268,9 +385,80 @@ class GroheClient {
 		return resp.data;
 	}
 
-	async getApplianceNotifications(locationId, roomId, applianceId, pageSize = 10) {
+	/**
+	 * @param {string} locationId - The location ID
+	 * @param {string} roomId - The room ID
+	 * @param {string} applianceId - The appliance ID
+	 * @param {number} [pageSize] - Notifications per page
+	 * @param {number} [page] - Page number, starting at 1 (omitted = first page)
+	 */
+	async getApplianceNotifications(locationId, roomId, applianceId, pageSize = 10, page = undefined) {
 		const url = `${this._applianceUrl(locationId, roomId, applianceId)}/notifications`;
-		const resp = await this.request({ method: 'GET', url, params: { pageSize } });
+		const params = page === undefined ? { pageSize } : { pageSize, page };
+		const resp = await this.request({ method: 'GET', url, params });
+		return resp.data;
+	}
+
+	/**
+	 * Up to `count` notifications, newest first, fetched page by page. Stops
+	 * at a page that is short or brings nothing new (no paging support).
+	 *
+	 * @param {string} locationId - The location ID
+	 * @param {string} roomId - The room ID
+	 * @param {string} applianceId - The appliance ID
+	 * @param {number} count - Notifications wanted
+	 * @param {number} [pageSize] - Notifications per request
+	 * @returns {Promise<object[]>} notifications
+	 */
+	async getApplianceNotificationHistory(locationId, roomId, applianceId, count, pageSize = 50) {
+		const list = [];
+		const seen = new Set();
+		for (let page = 1; list.length < count; page++) {
+			const items = await this.getApplianceNotifications(locationId, roomId, applianceId, pageSize, page);
+			const fresh = (Array.isArray(items) ? items : []).filter(n => {
+				const key = n?.id ?? `${n?.timestamp}|${n?.category}|${n?.notification_type}`;
+				if (seen.has(key)) {
+					return false;
+				}
+				seen.add(key);
+				return true;
+			});
+			list.push(...fresh);
+			if (fresh.length < pageSize) {
+				break;
+			}
+		}
+		return list.slice(0, count);
+	}
+
+	async markNotificationRead(locationId, roomId, applianceId, notificationId) {
+		const url = `${this._applianceUrl(locationId, roomId, applianceId)}/notifications/${encodeURIComponent(notificationId)}`;
+		const resp = await this.request({ method: 'PUT', url, data: { is_read: true } });
+		return resp.data;
+	}
+
+	/**
+	 * Mark every unread notification of an appliance as read – the API has no
+	 * bulk call, so this is one request per notification.
+	 *
+	 * @param {string} locationId - The location ID
+	 * @param {string} roomId - The room ID
+	 * @param {string} applianceId - The appliance ID
+	 * @param {number} [pageSize] - Notifications to look at
+	 * @returns {Promise<string[]>} IDs of the notifications marked read
+	 */
+	async markAllNotificationsRead(locationId, roomId, applianceId, pageSize = 50) {
+		const list = await this.getApplianceNotifications(locationId, roomId, applianceId, pageSize);
+		const unread = (Array.isArray(list) ? list : []).filter(n => n?.id && n.is_read !== true).map(n => n.id);
+		for (const notificationId of unread) {
+			await this.markNotificationRead(locationId, roomId, applianceId, notificationId);
+		}
+		return unread;
+	}
+
+	async deleteNotification(locationId, roomId, applianceId, notificationId) {
+		const url = `${this._applianceUrl(locationId, roomId, applianceId)}/notifications/${encodeURIComponent(notificationId)}`;
+		const resp = await this.request({ method: 'DELETE', url });
 		return resp.data;
 	}
 
@@ -285,14 +473,20 @@ class GroheClient {
 	/* ================================================================== */
 
 	async setApplianceConfig(locationId, roomId, applianceId, configFields) {
+		return this._enqueueCommand(applianceId, 'config', () =>
+			this._sendConfig(locationId, roomId, applianceId, configFields),
+		);
+	}
+
+	async _sendConfig(locationId, roomId, applianceId, configFields) {
 		const detailsUrl = `${this._applianceUrl(locationId, roomId, applianceId)}/details`;
-		const current = await this.request({ method: 'GET', url: detailsUrl });
+		const current = await this.request({ method: 'GET', url: detailsUrl }, { essential: true });
 		const merged = current.data || {};
 		merged.config = { ...(merged.config || {}), ...configFields };
 		// Grohe API does not expose a writable /details endpoint.
 		// Config updates go to the base appliance URL via PUT.
 		const updateUrl = this._applianceUrl(locationId, roomId, applianceId);
-		const resp = await this.request({ method: 'PUT', url: updateUrl, data: merged });
+		const resp = await this.request({ method: 'PUT', url: updateUrl, data: merged }, { essential: true });
 		return resp.data;
 	}
 
@@ -318,19 +512,28 @@ class GroheClient {
 
 	async setSnooze(locationId, roomId, applianceId, duration) {
 		const url = `${this._applianceUrl(locationId, roomId, applianceId)}/snooze`;
-		const resp = await this.request({ method: 'PUT', url, data: { snooze_duration: duration } });
+		const resp = await this.request(
+			{ method: 'PUT', url, data: { snooze_duration: duration } },
+			{ essential: true },
+		);
 		return resp.data;
 	}
 
 	async deleteSnooze(locationId, roomId, applianceId) {
 		const url = `${this._applianceUrl(locationId, roomId, applianceId)}/snooze`;
-		const resp = await this.request({ method: 'DELETE', url });
+		const resp = await this.request({ method: 'DELETE', url }, { essential: true });
 		return resp.data;
 	}
 
-	async getSnooze(locationId, roomId, applianceId) {
+	/**
+	 * @param {string} locationId - The location ID
+	 * @param {string} roomId - The room ID
+	 * @param {string} applianceId - The appliance ID
+	 * @param {boolean} [essential] - readback of a snooze change, exempt from the rate limiter
+	 */
+	async getSnooze(locationId, roomId, applianceId, essential = false) {
 		const url = `${this._applianceUrl(locationId, roomId, applianceId)}/snooze`;
-		const resp = await this.request({ method: 'GET', url });
+		const resp = await this.request({ method: 'GET', url }, { essential });
 		return resp.data;
 	}
 
@@ -339,21 +542,25 @@ class GroheClient {
 	/* ================================================================== */
 
 	async tapWater(locationId, roomId, applianceId, tapType, amount) {
-		const result = await this.setApplianceCommand(locationId, roomId, applianceId, {
-			tap_type: tapType,
-			tap_amount: amount,
-		});
-		// Reset tap fields to zero so that subsequent get_current_measurement commands
-		// (which use the same read-modify-write pattern) do not re-trigger dispensing.
-		try {
-			await this.setApplianceCommand(locationId, roomId, applianceId, {
-				tap_type: 0,
-				tap_amount: 0,
+		// Dispense and reset occupy a single queue slot so no other command can
+		// read the snapshot in between and re-send the tap fields.
+		return this._enqueueCommand(applianceId, 'tap_type,tap_amount', async () => {
+			const result = await this._sendCommand(locationId, roomId, applianceId, {
+				tap_type: tapType,
+				tap_amount: amount,
 			});
-		} catch (err) {
-			this.log.warn(`[client] Failed to reset tap command after dispense: ${err.message}`);
-		}
-		return result;
+			// Reset tap fields to zero so that subsequent get_current_measurement commands
+			// (which use the same read-modify-write pattern) do not re-trigger dispensing.
+			try {
+				await this._sendCommand(locationId, roomId, applianceId, {
+					tap_type: 0,
+					tap_amount: 0,
+				});
+			} catch (err) {
+				this.log.warn(`[client] Failed to reset tap command after dispense: ${err.message}`);
+			}
+			return result;
+		});
 	}
 
 	async resetCo2(locationId, roomId, applianceId) {
@@ -371,7 +578,7 @@ class GroheClient {
 	async getProfileNotifications(limit = 50) {
 		const resp = await this.request({
 			method: 'GET',
-			url: `${BASE}/profile/notifications`,
+			url: `${this.baseUrl}/profile/notifications`,
 			params: { pageSize: limit },
 		});
 		return resp.data;
@@ -9,8 +9,8 @@ describe('GroheClient', () => {
 			const commandHistory = [];
 			const client = new GroheClient({ debug: () => {}, warn: () => {}, info: () => {}, error: () => {} });
 
-			// Track every setApplianceCommand call
-			client.setApplianceCommand = async (locId, roomId, appId, fields) => {
+			// Track every command sent inside the queue slot
+			client._sendCommand = async (locId, roomId, appId, fields) => {
 				commandHistory.push({ ...fields });
 			};
 
@@ -35,7 +35,7 @@ describe('GroheClient', () => {
 			});
 
 			let callCount = 0;
-			client.setApplianceCommand = async (locId, roomId, appId, fields) => {
+			client._sendCommand = async (locId, roomId, appId, fields) => {
 				callCount++;
 				if (callCount === 2) {
 					throw new Error('network error');
@@ -54,3 +54,197 @@ describe('GroheClient', () => {
 		});
 	});
 });
+
+describe('GroheClient against the mock cloud', () => {
+	const { GroheCloudMock, senseFixture, senseGuardFixture, blueFixture } = require('../test/groheCloudMock');
+	const log = { debug: () => {}, warn: () => {}, info: () => {}, error: () => {} };
+	let cloud;
+
+	async function createClient() {
+		const client = new GroheClient(log, callback => callback());
+		await client.login('user@example.com', 'secret');
+		return client;
+	}
+
+	beforeEach(() => {
+		cloud = new GroheCloudMock().install();
+		cloud.addAppliance(senseFixture());
+		cloud.addAppliance(senseGuardFixture());
+		cloud.addAppliance(blueFixture(), { roomId: 'kitchen' });
+	});
+
+	afterEach(() => {
+		cloud.restore();
+	});
+
+	it('reads all appliances from /dashboard', async () => {
+		const client = await createClient();
+
+		const dashboard = await client.getDashboard();
+
+		const rooms = dashboard.locations[0].rooms;
+		expect(rooms.map(r => r.id)).to.deep.equal(['room-1', 'kitchen']);
+		expect(rooms[0].appliances.map(a => a.appliance_id)).to.deep.equal(['sense-1', 'guard-1']);
+		expect(client.usingFallbackDiscovery).to.equal(false);
+	});
+
+	it('switches to fallback discovery when /dashboard answers 404', async () => {
+		cloud.dashboardAvailable = false;
+		const client = await createClient();
+
+		const dashboard = await client.getDashboard();
+
+		expect(client.usingFallbackDiscovery).to.equal(true);
+		const appliance = dashboard.locations[0].rooms[0].appliances[1];
+		expect(appliance.appliance_id).to.equal('guard-1');
+		expect(appliance.data_latest.measurement.pressure).to.equal(3.1);
+		expect(cloud.requestsFor('GET', '/users/user-1')).to.have.length(1);
+
+		// Once switched, /dashboard is not asked again
+		await client.getDashboard();
+		expect(cloud.requestsFor('GET', '/dashboard')).to.have.length(1);
+	});
+
+	it('refreshes the access token on 401 and retries the request', async () => {
+		const client = await createClient();
+		cloud.expireAccessTokens();
+
+		const status = await client.getApplianceStatus('loc-1', 'room-1', 'sense-1');
+
+		expect(status).to.deep.include({ type: 'connection', value: true });
+		expect(cloud.requestsFor('POST', '/oidc/refresh')).to.have.length(1);
+	});
+
+	it('merges command fields and bumps reason_for_change', async () => {
+		const client = await createClient();
+
+		await client.setValve('loc-1', 'room-1', 'guard-1', false);
+
+		const command = cloud.getAppliance('guard-1').command;
+		expect(command.valve_open).to.equal(false);
+		expect(command.measure_now).to.equal(false);
+		expect(command.reason_for_change).to.equal(2);
+	});
+
+	it('serializes concurrent commands for the same appliance', async () => {
+		const client = await createClient();
+
+		await Promise.all([
+			client.setValve('loc-1', 'room-1', 'guard-1', false),
+			client.startPressureMeasurement('loc-1', 'room-1', 'guard-1'),
+		]);
+
+		const posts = cloud.commandLog.filter(entry => entry.applianceId === 'guard-1');
+		expect(posts).to.have.length(2);
+		// The second command was merged onto the result of the first, not onto a stale snapshot
+		expect(posts[1].command.valve_open).to.equal(false);
+		expect(posts[1].command.reason_for_change).to.equal(3);
+		expect(cloud.getAppliance('guard-1').command.valve_open).to.equal(false);
+	});
+
+	it('keeps dispense and tap reset together in one queue slot', async () => {
+		const client = await createClient();
+
+		await Promise.all([
+			client.tapWater('loc-1', 'kitchen', 'blue-1', 2, 500),
+			client.setApplianceCommand('loc-1', 'kitchen', 'blue-1', { get_current_measurement: true }),
+		]);
+
+		const commands = cloud.commandLog.map(entry => entry.command);
+		expect(commands[0]).to.include({ tap_type: 2, tap_amount: 500 });
+		expect(commands[1]).to.include({ tap_type: 0, tap_amount: 0 });
+		expect(commands[2]).to.include({ get_current_measurement: true, tap_type: 0, tap_amount: 0 });
+	});
+
+	it('reports queue length and results, and continues after a failed command', async () => {
+		const lengths = [];
+		const results = [];
+		const client = new GroheClient(log, callback => callback(), {
+			onCommandQueue: (id, length) => lengths.push(length),
+			onCommandResult: (id, result) => results.push(result),
+		});
+		await client.login('user@example.com', 'secret');
+		cloud.failNext('POST', '/command', 503);
+
+		const first = client.setValve('loc-1', 'room-1', 'guard-1', false).catch(e => e);
+		const second = client.setValve('loc-1', 'room-1', 'guard-1', true);
+		expect(client.getCommandQueueLength('guard-1')).to.equal(2);
+
+		expect((await first).response.status).to.equal(503);
+		await second;
+		await new Promise(resolve => setImmediate(resolve));
+
+		expect(client.getCommandQueueLength('guard-1')).to.equal(0);
+		expect(lengths).to.deep.equal([1, 2, 1, 0]);
+		expect(results.map(r => r.success)).to.deep.equal([false, true]);
+		expect(results[0]).to.include({ command: 'valve_open', error: 'HTTP 503' });
+		expect(cloud.getAppliance('guard-1').command.valve_open).to.equal(true);
+	});
+
+	it('marks only unread notifications read and deletes by id', async () => {
+		const guard = cloud.getAppliance('guard-1');
+		guard.notifications = [
+			{ id: 'a/1', category: 30, notification_type: 0, is_read: false },
+			{ id: 'b', category: 20, notification_type: 11, is_read: true },
+			{ id: 'c', category: 20, notification_type: 40 },
+		];
+		const client = await createClient();
+
+		const ids = await client.markAllNotificationsRead('loc-1', 'room-1', 'guard-1');
+		await client.deleteNotification('loc-1', 'room-1', 'guard-1', 'b');
+
+		expect(ids).to.deep.equal(['a/1', 'c']);
+		expect(cloud.requestsFor('PUT', 'guard-1/notifications/a%2F1')).to.have.length(1);
+		expect(guard.notifications).to.deep.equal([
+			{ id: 'a/1', category: 30, notification_type: 0, is_read: true },
+			{ id: 'c', category: 20, notification_type: 40, is_read: true },
+		]);
+	});
+
+	it('propagates HTTP errors with the response status', async () => {
+		const client = await createClient();
+		cloud.failNext('GET', '/pressuremeasurement', 503);
+
+		const err = await client.getAppliancePressureMeasurement('loc-1', 'room-1', 'guard-1').catch(e => e);
+
+		expect(err.response.status).to.equal(503);
+	});
+});
+
+describe('GroheClient with a custom base URL', () => {
+	const { GroheCloudMock, senseFixture } = require('../test/groheCloudMock');
+	const log = { debug: () => {}, warn: () => {}, info: () => {}, error: () => {} };
+	let cloud;
+
+	beforeEach(() => {
+		cloud = new GroheCloudMock().install();
+		cloud.addAppliance(senseFixture());
+	});
+
+	afterEach(() => {
+		cloud.restore();
+	});
+
+	it('sends login and API requests to the configured host', async () => {
+		const client = new GroheClient(log, callback => callback(), { baseUrl: 'http://127.0.0.1:8080/v3/iot/' });
+
+		await client.login('user@example.com', 'secret');
+		await client.getDashboard();
+
+		expect(client.baseUrl).to.equal('http://127.0.0.1:8080/v3/iot');
+		const apiRequests = cloud.requests.filter(r => r.path.startsWith('/v3/iot'));
+		expect(apiRequests.map(r => r.origin)).to.satisfy(origins =>
+			origins.every(o => o === 'http://127.0.0.1:8080'),
+		);
+	});
+
+	it('falls back to the Grohe cloud for an invalid base URL', () => {
+		const warnings = [];
+		const client = new GroheClient({ ...log, warn: msg => warnings.push(msg) }, undefined, {
+			baseUrl: 'ftp://example.com',
+		});
+
+		expect(client.baseUrl).to.equal('https://idp2-apigw.cloud.grohe.com/v3/iot');
+		expect(warnings[0]).to.include('invalid API base URL');
+	});
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Trigger conditions for external leak sensors:
+ * - true / false: the state is (boolean-like) true / false
+ * - gt / lt:      the state is a number above / below `value`
+ * - eq:           the state equals `value` (compared as text)
+ */
+const LEAK_CONDITIONS = ['true', 'false', 'gt', 'lt', 'eq'];
+
+/**
+ * Read the leak sensor rules from the admin table. Rows without a state ID,
+ * with an unknown condition or without a number for gt / lt are dropped
+ * with a warning. An empty `guard` targets every Sense Guard.
+ *
+ * @param {Array<{stateId?: string, condition?: string, value?: string | number, guard?: string}>} rows - admin table rows
+ * @param {{warn: (msg: string) => void}} log - logger
+ * @returns {Array<{stateId: string, condition: string, value: string, guard: string}>} valid rules
+ */
+function buildLeakRules(rows, log) {
+	const rules = [];
+	for (const row of Array.isArray(rows) ? rows : []) {
+		const stateId = String(row?.stateId || '').trim();
+		const condition = String(row?.condition || 'true');
+		const value = String(row?.value ?? '').trim();
+		if (!stateId || !LEAK_CONDITIONS.includes(condition)) {
+			log.warn(`Leak sensors: invalid row ${JSON.stringify(row)} ignored`);
+			continue;
+		}
+		if ((condition === 'gt' || condition === 'lt') && (value === '' || !Number.isFinite(Number(value)))) {
+			log.warn(`Leak sensors: "${stateId}" needs a number for "${condition}" – ignored`);
+			continue;
+		}
+		rules.push({ stateId, condition, value, guard: String(row?.guard || '').trim() });
+	}
+	return rules;
+}
+
+/**
+ * @param {{condition: string, value: string}} rule - leak sensor rule
+ * @param {unknown} val - current value of the foreign state
+ * @returns {boolean} true when the value signals a leak
+ */
+function matchesLeakCondition(rule, val) {
+	if (val === null || val === undefined) {
+		return false;
+	}
+	const truthy = val === true || val === 1 || ['true', '1', 'on'].includes(String(val).toLowerCase());
+	switch (rule.condition) {
+		case 'true':
+			return truthy;
+		case 'false':
+			return !truthy;
+		case 'gt':
+			return Number(val) > Number(rule.value);
+		case 'lt':
+			return Number(val) < Number(rule.value);
+		case 'eq':
+			return String(val) === rule.value;
+		default:
+			return false;
+	}
+}
+
+module.exports = { LEAK_CONDITIONS, buildLeakRules, matchesLeakCondition };
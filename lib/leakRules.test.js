@@ -0,0 +1,40 @@
+'use strict';
+
+const { expect } = require('chai');
+const { buildLeakRules, matchesLeakCondition } = require('./leakRules');
+
+describe('leakRules', () => {
+	it('keeps valid rows and drops invalid ones with a warning', () => {
+		const warnings = [];
+
+		const rules = buildLeakRules(
+			[
+				{ stateId: ' zigbee.0.bath.water ', condition: 'true', guard: '' },
+				{ stateId: 'hm.0.cellar.level', condition: 'gt', value: 5, guard: 'guard-1' },
+				{ stateId: '', condition: 'true' },
+				{ stateId: 'x.0.a', condition: 'wet' },
+				{ stateId: 'x.0.b', condition: 'lt', value: 'high' },
+			],
+			{ warn: msg => warnings.push(msg) },
+		);
+
+		expect(rules).to.deep.equal([
+			{ stateId: 'zigbee.0.bath.water', condition: 'true', value: '', guard: '' },
+			{ stateId: 'hm.0.cellar.level', condition: 'gt', value: '5', guard: 'guard-1' },
+		]);
+		expect(warnings).to.have.length(3);
+	});
+
+	it('matches boolean-like, numeric and text conditions', () => {
+		const rule = (condition, value = '') => ({ condition, value });
+
+		expect(
+			[true, 1, 'on', 'TRUE', false, 0, null].map(val => matchesLeakCondition(rule('true'), val)),
+		).to.deep.equal([true, true, true, true, false, false, false]);
+		expect(matchesLeakCondition(rule('false'), false)).to.equal(true);
+		expect(matchesLeakCondition(rule('false'), undefined)).to.equal(false);
+		expect(matchesLeakCondition(rule('gt', '5'), 7.5)).to.equal(true);
+		expect(matchesLeakCondition(rule('lt', '5'), 'dry')).to.equal(false);
+		expect(matchesLeakCondition(rule('eq', 'ALARM'), 'ALARM')).to.equal(true);
+	});
+});
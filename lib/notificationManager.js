@@ -9,32 +9,41 @@
  * Supported providers: Telegram, Pushover, WhatsApp (whatsapp-cmb), Email, Signal (signal-cmb),
  * Matrix (matrix-org), Synology Chat (synochat).
  *
+ * With `providers` (e.g. the alarm escalation list) only the listed providers
+ * are used – with their configured instance, even if not enabled by checkbox.
+ *
  * @param {object} adapter - The ioBroker adapter instance.
  * @param {string} text    - The notification message to send.
+ * @param {string[]} [providers] - Lower-case provider names (telegram, pushover, …) instead of the enabled ones.
+ * @returns {Promise<boolean>} true when at least one provider accepted the message.
  */
-async function sendNotification(adapter, text) {
+async function sendNotification(adapter, text, providers) {
 	if (!adapter.config.notifyEnabled) {
-		return;
+		return false;
 	}
+	const use = name =>
+		Array.isArray(providers) ? providers.includes(name.toLowerCase()) : Boolean(adapter.config[`notifyUse${name}`]);
 	const textWithHeader = `grohe-smarthome:\n${text}`;
+	let delivered = false;
 
 	// Telegram
-	if (adapter.config.notifyUseTelegram && adapter.config.notifyInstanceTelegram) {
+	if (use('Telegram') && adapter.config.notifyInstanceTelegram) {
 		try {
 			const payload = { text: textWithHeader };
 			if (adapter.config.notifyUserTelegram) {
 				payload.user = adapter.config.notifyUserTelegram;
 			}
 			await adapter.sendToAsync(adapter.config.notifyInstanceTelegram, 'send', payload);
+			delivered = true;
 		} catch (e) {
 			adapter.log.error(`[sendNotification Telegram] ${e.message}`);
 		}
-	} else if (adapter.config.notifyUseTelegram) {
+	} else if (use('Telegram')) {
 		adapter.log.warn('[sendNotification Telegram] Telegram is enabled but no instance is configured.');
 	}
 
 	// Pushover
-	if (adapter.config.notifyUsePushover && adapter.config.notifyInstancePushover) {
+	if (use('Pushover') && adapter.config.notifyInstancePushover) {
 		try {
 			const payload = {
 				message: textWithHeader,
@@ -44,30 +53,32 @@ async function sendNotification(adapter, text) {
 				payload.device = adapter.config.notifyDevicePushover;
 			}
 			await adapter.sendToAsync(adapter.config.notifyInstancePushover, 'send', payload);
+			delivered = true;
 		} catch (e) {
 			adapter.log.error(`[sendNotification Pushover] ${e.message}`);
 		}
-	} else if (adapter.config.notifyUsePushover) {
+	} else if (use('Pushover')) {
 		adapter.log.warn('[sendNotification Pushover] Pushover is enabled but no instance is configured.');
 	}
 
 	// WhatsApp (whatsapp-cmb)
-	if (adapter.config.notifyUseWhatsapp && adapter.config.notifyInstanceWhatsapp) {
+	if (use('Whatsapp') && adapter.config.notifyInstanceWhatsapp) {
 		try {
 			const payload = { text: textWithHeader };
 			if (adapter.config.notifyPhoneWhatsapp) {
 				payload.phone = adapter.config.notifyPhoneWhatsapp;
 			}
 			await adapter.sendToAsync(adapter.config.notifyInstanceWhatsapp, 'send', payload);
+			delivered = true;
 		} catch (e) {
 			adapter.log.error(`[sendNotification WhatsApp] ${e.message}`);
 		}
-	} else if (adapter.config.notifyUseWhatsapp) {
+	} else if (use('Whatsapp')) {
 		adapter.log.warn('[sendNotification WhatsApp] WhatsApp is enabled but no instance is configured.');
 	}
 
 	// Email
-	if (adapter.config.notifyUseEmail && adapter.config.notifyInstanceEmail) {
+	if (use('Email') && adapter.config.notifyInstanceEmail) {
 		try {
 			const emailPayload = {
 				text: textWithHeader,
@@ -77,41 +88,44 @@ async function sendNotification(adapter, text) {
 				emailPayload.sendTo = adapter.config.notifyToEmail;
 			}
 			await adapter.sendToAsync(adapter.config.notifyInstanceEmail, 'send', emailPayload);
+			delivered = true;
 		} catch (e) {
 			adapter.log.error(`[sendNotification Email] ${e.message}`);
 		}
-	} else if (adapter.config.notifyUseEmail) {
+	} else if (use('Email')) {
 		adapter.log.warn('[sendNotification Email] Email is enabled but no instance is configured.');
 	}
 
 	// Signal (signal-cmb)
-	if (adapter.config.notifyUseSignal && adapter.config.notifyInstanceSignal) {
+	if (use('Signal') && adapter.config.notifyInstanceSignal) {
 		try {
 			const payload = { text: textWithHeader };
 			if (adapter.config.notifyPhoneSignal) {
 				payload.phone = adapter.config.notifyPhoneSignal;
 			}
 			await adapter.sendToAsync(adapter.config.notifyInstanceSignal, 'send', payload);
+			delivered = true;
 		} catch (e) {
 			adapter.log.error(`[sendNotification Signal] ${e.message}`);
 		}
-	} else if (adapter.config.notifyUseSignal) {
+	} else if (use('Signal')) {
 		adapter.log.warn('[sendNotification Signal] Signal is enabled but no instance is configured.');
 	}
 
 	// Matrix (matrix-org)
-	if (adapter.config.notifyUseMatrix && adapter.config.notifyInstanceMatrix) {
+	if (use('Matrix') && adapter.config.notifyInstanceMatrix) {
 		try {
 			await adapter.sendToAsync(adapter.config.notifyInstanceMatrix, 'send', { text: textWithHeader });
+			delivered = true;
 		} catch (e) {
 			adapter.log.error(`[sendNotification Matrix] ${e.message}`);
 		}
-	} else if (adapter.config.notifyUseMatrix) {
+	} else if (use('Matrix')) {
 		adapter.log.warn('[sendNotification Matrix] Matrix is enabled but no instance is configured.');
 	}
 
 	// Synology Chat
-	if (adapter.config.notifyUseSynochat && adapter.config.notifyInstanceSynochat) {
+	if (use('Synochat') && adapter.config.notifyInstanceSynochat) {
 		try {
 			if (!adapter.config.notifyChannelSynochat) {
 				adapter.log.warn('[sendNotification] Synology Chat channel is not set. Message could not be sent.');
@@ -120,13 +134,15 @@ async function sendNotification(adapter, text) {
 					`${adapter.config.notifyInstanceSynochat}.${adapter.config.notifyChannelSynochat}.message`,
 					textWithHeader,
 				);
+				delivered = true;
 			}
 		} catch (e) {
 			adapter.log.error(`[sendNotification Synology Chat] ${e.message}`);
 		}
-	} else if (adapter.config.notifyUseSynochat) {
+	} else if (use('Synochat')) {
 		adapter.log.warn('[sendNotification Synology Chat] Synology Chat is enabled but no instance is configured.');
 	}
+	return delivered;
 }
 
 module.exports = { sendNotification };
@@ -3,7 +3,7 @@
 /**
  * Localized wrapper messages for push notifications.
  *
- * Placeholder tokens: {device}, {message}, {amount}, {type}, {status}, {reason}, {time}, {count}, {interval}, {errors}
+ * Placeholder tokens: {device}, {message}, {amount}, {type}, {status}, {reason}, {time}, {count}, {interval}, {errors}, {minutes}, {sensor}, {drop}, {level}, {period}, {percent}, {limit}, {flow}
  */
 const messages = {
 	en: {
@@ -22,6 +22,31 @@ const messages = {
 		pollingRecovered: '✅ Grohe API connection restored after {count} error(s)',
 		reason403: 'Too many requests or the Grohe app/account needs checking',
 		latestMessageChanged: 'ℹ️ {device}: latest message changed to "{message}" ({timestamp})',
+		dataStale: '⚠️ {device}: no new data for {minutes} min',
+		dataRecovered: '✅ {device}: data is up to date again',
+		applianceAdded: '🆕 New Grohe device found: {device}',
+		applianceRemoved: '⚠️ {device} is no longer in the Grohe account',
+		applianceDeleted: '🗑️ Objects of {device} deleted',
+		alarmEscalation: '🚨 Alarm not acknowledged – {device}: {message} (active for {minutes} min, reminder {count})',
+		leakShutOff: '🚨 Leak sensor {sensor} triggered – valve of {device} closed. Reopen it manually.',
+		leakShutOffFailed: '🚨 Leak sensor {sensor} triggered – closing the valve of {device} FAILED: {reason}',
+		vacationStarted: '🏖️ {device}: vacation mode started – valve closed',
+		vacationEnded: '🏠 {device}: vacation mode ended – valve reopened',
+		vacationEndedAlarm: '⚠️ {device}: vacation mode ended – valve stays closed, an alarm is active',
+		vacationEndedClosed: '🏠 {device}: vacation mode ended – valve stays closed as before',
+		vacationFailed: '❌ {device}: vacation mode could not switch the valve: {reason}',
+		pressureLeakage: '💧 {device}: pressure test detected a leak (drop {drop} bar, level {level})',
+		pressureTrend: '📈 {device}: pressure drop rose in the last {count} pressure tests (now {drop} bar)',
+		budgetPeriodDay: 'day',
+		budgetPeriodWeek: 'week',
+		budgetPeriodMonth: 'month',
+		budgetThreshold: '📊 {device}: {percent}% of the water budget ({period}) used – {amount} of {limit} l',
+		budgetShutOff: '🚱 {device}: water budget ({period}) exceeded – valve closed',
+		budgetShutOffFailed: '❌ {device}: water budget ({period}) exceeded, closing the valve failed: {reason}',
+		flowRuleContinuous: '🚿 {device}: water flowing above {flow} l/min for {minutes} min – local flow rule',
+		flowRuleVolume: '🚿 {device}: a single withdrawal used {amount} l (limit {limit} l) – local flow rule',
+		flowRuleShutOff: '🚱 {device}: valve closed by the local flow rule',
+		flowRuleShutOffFailed: '❌ {device}: closing the valve for the local flow rule failed: {reason}',
 	},
 	de: {
 		alarmPrefix: '🚨 Grohe Alarm',
@@ -39,6 +64,38 @@ const messages = {
 		pollingRecovered: '✅ Grohe API-Verbindung nach {count} Fehler(n) wiederhergestellt',
 		reason403: 'Zu viele Anfragen oder das Grohe-Konto muss überprüft werden',
 		latestMessageChanged: 'ℹ️ {device}: letzte Meldung geändert zu "{message}" ({timestamp})',
+		dataStale: '⚠️ {device}: seit {minutes} Min. keine neuen Daten',
+		dataRecovered: '✅ {device}: Daten sind wieder aktuell',
+		applianceAdded: '🆕 Neues Grohe-Gerät gefunden: {device}',
+		applianceRemoved: '⚠️ {device} ist nicht mehr im Grohe-Konto',
+		applianceDeleted: '🗑️ Objekte von {device} gelöscht',
+		alarmEscalation:
+			'🚨 Alarm nicht quittiert – {device}: {message} (seit {minutes} Min. aktiv, Erinnerung {count})',
+		leakShutOff:
+			'🚨 Wassersensor {sensor} ausgelöst – Ventil von {device} geschlossen. Bitte manuell wieder öffnen.',
+		leakShutOffFailed:
+			'🚨 Wassersensor {sensor} ausgelöst – Schließen des Ventils von {device} FEHLGESCHLAGEN: {reason}',
+		vacationStarted: '🏖️ {device}: Urlaubsmodus gestartet – Ventil geschlossen',
+		vacationEnded: '🏠 {device}: Urlaubsmodus beendet – Ventil wieder geöffnet',
+		vacationEndedAlarm: '⚠️ {device}: Urlaubsmodus beendet – Ventil bleibt geschlossen, ein Alarm ist aktiv',
+		vacationEndedClosed: '🏠 {device}: Urlaubsmodus beendet – Ventil bleibt wie vorher geschlossen',
+		vacationFailed: '❌ {device}: Urlaubsmodus konnte das Ventil nicht schalten: {reason}',
+		pressureLeakage: '💧 {device}: Drucktest hat ein Leck erkannt (Druckabfall {drop} bar, Stufe {level})',
+		pressureTrend: '📈 {device}: Druckabfall ist in den letzten {count} Drucktests gestiegen (jetzt {drop} bar)',
+		budgetPeriodDay: 'Tag',
+		budgetPeriodWeek: 'Woche',
+		budgetPeriodMonth: 'Monat',
+		budgetThreshold: '📊 {device}: {percent}% des Wasserbudgets ({period}) verbraucht – {amount} von {limit} l',
+		budgetShutOff: '🚱 {device}: Wasserbudget ({period}) überschritten – Ventil geschlossen',
+		budgetShutOffFailed:
+			'❌ {device}: Wasserbudget ({period}) überschritten, Schließen des Ventils fehlgeschlagen: {reason}',
+		flowRuleContinuous:
+			'🚿 {device}: Wasser fließt seit {minutes} Min. mit über {flow} l/min – lokale Durchflussregel',
+		flowRuleVolume:
+			'🚿 {device}: eine einzelne Entnahme hat {amount} l verbraucht (Limit {limit} l) – lokale Durchflussregel',
+		flowRuleShutOff: '🚱 {device}: Ventil durch die lokale Durchflussregel geschlossen',
+		flowRuleShutOffFailed:
+			'❌ {device}: Schließen des Ventils für die lokale Durchflussregel fehlgeschlagen: {reason}',
 	},
 	fr: {
 		alarmPrefix: '🚨 Alarme Grohe',
@@ -56,6 +113,37 @@ const messages = {
 		pollingRecovered: '✅ Connexion API Grohe restaurée après {count} erreur(s)',
 		reason403: 'Trop de requêtes ou le compte Grohe doit être vérifié',
 		latestMessageChanged: 'ℹ️ {device} : dernier message changé en « {message} » ({timestamp})',
+		dataStale: '⚠️ {device} : aucune nouvelle donnée depuis {minutes} min',
+		dataRecovered: '✅ {device} : les données sont de nouveau à jour',
+		applianceAdded: '🆕 Nouvel appareil Grohe trouvé : {device}',
+		applianceRemoved: '⚠️ {device} ne figure plus dans le compte Grohe',
+		applianceDeleted: '🗑️ Objets de {device} supprimés',
+		alarmEscalation: '🚨 Alarme non acquittée – {device} : {message} (active depuis {minutes} min, rappel {count})',
+		leakShutOff: '🚨 Capteur de fuite {sensor} déclenché – vanne de {device} fermée. Rouvrez-la manuellement.',
+		leakShutOffFailed:
+			'🚨 Capteur de fuite {sensor} déclenché – ÉCHEC de la fermeture de la vanne de {device} : {reason}',
+		vacationStarted: '🏖️ {device} : mode vacances activé – vanne fermée',
+		vacationEnded: '🏠 {device} : mode vacances terminé – vanne rouverte',
+		vacationEndedAlarm: '⚠️ {device} : mode vacances terminé – la vanne reste fermée, une alarme est active',
+		vacationEndedClosed: '🏠 {device} : mode vacances terminé – la vanne reste fermée comme avant',
+		vacationFailed: "❌ {device} : le mode vacances n'a pas pu commuter la vanne : {reason}",
+		pressureLeakage: '💧 {device} : le test de pression a détecté une fuite (chute {drop} bar, niveau {level})',
+		pressureTrend:
+			'📈 {device} : la chute de pression a augmenté lors des {count} derniers tests (maintenant {drop} bar)',
+		budgetPeriodDay: 'jour',
+		budgetPeriodWeek: 'semaine',
+		budgetPeriodMonth: 'mois',
+		budgetThreshold: "📊 {device} : {percent}% du budget d'eau ({period}) utilisé – {amount} sur {limit} l",
+		budgetShutOff: "🚱 {device} : budget d'eau ({period}) dépassé – vanne fermée",
+		budgetShutOffFailed:
+			"❌ {device} : budget d'eau ({period}) dépassé, échec de la fermeture de la vanne : {reason}",
+		flowRuleContinuous:
+			"🚿 {device} : l'eau coule à plus de {flow} l/min depuis {minutes} min – règle de débit locale",
+		flowRuleVolume:
+			'🚿 {device} : un seul prélèvement a utilisé {amount} l (limite {limit} l) – règle de débit locale',
+		flowRuleShutOff: '🚱 {device} : vanne fermée par la règle de débit locale',
+		flowRuleShutOffFailed:
+			'❌ {device} : échec de la fermeture de la vanne pour la règle de débit locale : {reason}',
 	},
 	es: {
 		alarmPrefix: '🚨 Alarma Grohe',
@@ -73,6 +161,34 @@ const messages = {
 		pollingRecovered: '✅ Conexión API Grohe restaurada tras {count} error(es)',
 		reason403: 'Demasiadas solicitudes o la cuenta Grohe necesita atención',
 		latestMessageChanged: 'ℹ️ {device}: último mensaje cambiado a "{message}" ({timestamp})',
+		dataStale: '⚠️ {device}: sin datos nuevos desde hace {minutes} min',
+		dataRecovered: '✅ {device}: los datos vuelven a estar actualizados',
+		applianceAdded: '🆕 Nuevo dispositivo Grohe encontrado: {device}',
+		applianceRemoved: '⚠️ {device} ya no está en la cuenta de Grohe',
+		applianceDeleted: '🗑️ Objetos de {device} eliminados',
+		alarmEscalation:
+			'🚨 Alarma no confirmada – {device}: {message} (activa desde hace {minutes} min, recordatorio {count})',
+		leakShutOff: '🚨 Sensor de fugas {sensor} activado – válvula de {device} cerrada. Ábrala manualmente.',
+		leakShutOffFailed: '🚨 Sensor de fugas {sensor} activado – FALLÓ el cierre de la válvula de {device}: {reason}',
+		vacationStarted: '🏖️ {device}: modo vacaciones iniciado – válvula cerrada',
+		vacationEnded: '🏠 {device}: modo vacaciones finalizado – válvula abierta de nuevo',
+		vacationEndedAlarm: '⚠️ {device}: modo vacaciones finalizado – la válvula sigue cerrada, hay una alarma activa',
+		vacationEndedClosed: '🏠 {device}: modo vacaciones finalizado – la válvula sigue cerrada como antes',
+		vacationFailed: '❌ {device}: el modo vacaciones no pudo accionar la válvula: {reason}',
+		pressureLeakage: '💧 {device}: la prueba de presión detectó una fuga (caída {drop} bar, nivel {level})',
+		pressureTrend: '📈 {device}: la caída de presión aumentó en las últimas {count} pruebas (ahora {drop} bar)',
+		budgetPeriodDay: 'día',
+		budgetPeriodWeek: 'semana',
+		budgetPeriodMonth: 'mes',
+		budgetThreshold: '📊 {device}: {percent}% del presupuesto de agua ({period}) usado – {amount} de {limit} l',
+		budgetShutOff: '🚱 {device}: presupuesto de agua ({period}) superado – válvula cerrada',
+		budgetShutOffFailed:
+			'❌ {device}: presupuesto de agua ({period}) superado, no se pudo cerrar la válvula: {reason}',
+		flowRuleContinuous:
+			'🚿 {device}: el agua fluye a más de {flow} l/min desde hace {minutes} min – regla de caudal local',
+		flowRuleVolume: '🚿 {device}: una sola extracción usó {amount} l (límite {limit} l) – regla de caudal local',
+		flowRuleShutOff: '🚱 {device}: válvula cerrada por la regla de caudal local',
+		flowRuleShutOffFailed: '❌ {device}: no se pudo cerrar la válvula por la regla de caudal local: {reason}',
 	},
 	it: {
 		alarmPrefix: '🚨 Allarme Grohe',
@@ -90,6 +206,36 @@ const messages = {
 		pollingRecovered: '✅ Connessione API Grohe ripristinata dopo {count} errore/i',
 		reason403: "Troppe richieste o l'account Grohe richiede attenzione",
 		latestMessageChanged: 'ℹ️ {device}: ultimo messaggio cambiato in "{message}" ({timestamp})',
+		dataStale: '⚠️ {device}: nessun dato nuovo da {minutes} min',
+		dataRecovered: '✅ {device}: i dati sono di nuovo aggiornati',
+		applianceAdded: '🆕 Nuovo dispositivo Grohe trovato: {device}',
+		applianceRemoved: "⚠️ {device} non è più nell'account Grohe",
+		applianceDeleted: '🗑️ Oggetti di {device} eliminati',
+		alarmEscalation:
+			'🚨 Allarme non confermato – {device}: {message} (attivo da {minutes} min, promemoria {count})',
+		leakShutOff: '🚨 Sensore perdite {sensor} attivato – valvola di {device} chiusa. Riaprirla manualmente.',
+		leakShutOffFailed:
+			'🚨 Sensore perdite {sensor} attivato – chiusura della valvola di {device} NON RIUSCITA: {reason}',
+		vacationStarted: '🏖️ {device}: modalità vacanza avviata – valvola chiusa',
+		vacationEnded: '🏠 {device}: modalità vacanza terminata – valvola riaperta',
+		vacationEndedAlarm: '⚠️ {device}: modalità vacanza terminata – la valvola resta chiusa, un allarme è attivo',
+		vacationEndedClosed: '🏠 {device}: modalità vacanza terminata – la valvola resta chiusa come prima',
+		vacationFailed: '❌ {device}: la modalità vacanza non ha potuto azionare la valvola: {reason}',
+		pressureLeakage: '💧 {device}: il test di pressione ha rilevato una perdita (calo {drop} bar, livello {level})',
+		pressureTrend: '📈 {device}: il calo di pressione è aumentato negli ultimi {count} test (ora {drop} bar)',
+		budgetPeriodDay: 'giorno',
+		budgetPeriodWeek: 'settimana',
+		budgetPeriodMonth: 'mese',
+		budgetThreshold: "📊 {device}: {percent}% del budget d'acqua ({period}) usato – {amount} di {limit} l",
+		budgetShutOff: "🚱 {device}: budget d'acqua ({period}) superato – valvola chiusa",
+		budgetShutOffFailed:
+			"❌ {device}: budget d'acqua ({period}) superato, chiusura della valvola non riuscita: {reason}",
+		flowRuleContinuous: '🚿 {device}: acqua oltre {flow} l/min da {minutes} min – regola di flusso locale',
+		flowRuleVolume:
+			'🚿 {device}: un singolo prelievo ha usato {amount} l (limite {limit} l) – regola di flusso locale',
+		flowRuleShutOff: '🚱 {device}: valvola chiusa dalla regola di flusso locale',
+		flowRuleShutOffFailed:
+			'❌ {device}: chiusura della valvola per la regola di flusso locale non riuscita: {reason}',
 	},
 	nl: {
 		alarmPrefix: '🚨 Grohe alarm',
@@ -107,6 +253,34 @@ const messages = {
 		pollingRecovered: '✅ Grohe API-verbinding hersteld na {count} fout(en)',
 		reason403: 'Te veel verzoeken of het Grohe-account heeft aandacht nodig',
 		latestMessageChanged: 'ℹ️ {device}: laatste bericht gewijzigd naar "{message}" ({timestamp})',
+		dataStale: '⚠️ {device}: al {minutes} min geen nieuwe gegevens',
+		dataRecovered: '✅ {device}: gegevens zijn weer actueel',
+		applianceAdded: '🆕 Nieuw Grohe-apparaat gevonden: {device}',
+		applianceRemoved: '⚠️ {device} staat niet meer in het Grohe-account',
+		applianceDeleted: '🗑️ Objecten van {device} verwijderd',
+		alarmEscalation:
+			'🚨 Alarm niet bevestigd – {device}: {message} (actief sinds {minutes} min, herinnering {count})',
+		leakShutOff: '🚨 Lekkagesensor {sensor} geactiveerd – klep van {device} gesloten. Handmatig weer openen.',
+		leakShutOffFailed: '🚨 Lekkagesensor {sensor} geactiveerd – sluiten van de klep van {device} MISLUKT: {reason}',
+		vacationStarted: '🏖️ {device}: vakantiemodus gestart – klep gesloten',
+		vacationEnded: '🏠 {device}: vakantiemodus beëindigd – klep weer geopend',
+		vacationEndedAlarm: '⚠️ {device}: vakantiemodus beëindigd – klep blijft dicht, er is een alarm actief',
+		vacationEndedClosed: '🏠 {device}: vakantiemodus beëindigd – klep blijft dicht zoals voorheen',
+		vacationFailed: '❌ {device}: vakantiemodus kon de klep niet schakelen: {reason}',
+		pressureLeakage: '💧 {device}: druktest heeft een lek gedetecteerd (daling {drop} bar, niveau {level})',
+		pressureTrend: '📈 {device}: drukdaling is gestegen in de laatste {count} druktests (nu {drop} bar)',
+		budgetPeriodDay: 'dag',
+		budgetPeriodWeek: 'week',
+		budgetPeriodMonth: 'maand',
+		budgetThreshold: '📊 {device}: {percent}% van het waterbudget ({period}) verbruikt – {amount} van {limit} l',
+		budgetShutOff: '🚱 {device}: waterbudget ({period}) overschreden – klep gesloten',
+		budgetShutOffFailed: '❌ {device}: waterbudget ({period}) overschreden, sluiten van de klep mislukt: {reason}',
+		flowRuleContinuous:
+			'🚿 {device}: water stroomt al {minutes} min met meer dan {flow} l/min – lokale doorstroomregel',
+		flowRuleVolume:
+			'🚿 {device}: één enkele afname verbruikte {amount} l (limiet {limit} l) – lokale doorstroomregel',
+		flowRuleShutOff: '🚱 {device}: klep gesloten door de lokale doorstroomregel',
+		flowRuleShutOffFailed: '❌ {device}: sluiten van de klep voor de lokale doorstroomregel mislukt: {reason}',
 	},
 	pl: {
 		alarmPrefix: '🚨 Alarm Grohe',
@@ -124,6 +298,32 @@ const messages = {
 		pollingRecovered: '✅ Połączenie z API Grohe przywrócone po {count} błędzie/błędach',
 		reason403: 'Zbyt wiele żądań lub konto Grohe wymaga sprawdzenia',
 		latestMessageChanged: 'ℹ️ {device}: ostatnia wiadomość zmieniona na „{message}" ({timestamp})',
+		dataStale: '⚠️ {device}: brak nowych danych od {minutes} min',
+		dataRecovered: '✅ {device}: dane są znowu aktualne',
+		applianceAdded: '🆕 Znaleziono nowe urządzenie Grohe: {device}',
+		applianceRemoved: '⚠️ {device} nie ma już na koncie Grohe',
+		applianceDeleted: '🗑️ Obiekty {device} usunięte',
+		alarmEscalation:
+			'🚨 Alarm niepotwierdzony – {device}: {message} (aktywny od {minutes} min, przypomnienie {count})',
+		leakShutOff: '🚨 Czujnik wycieku {sensor} zadziałał – zawór {device} zamknięty. Otwórz go ręcznie.',
+		leakShutOffFailed: '🚨 Czujnik wycieku {sensor} zadziałał – zamknięcie zaworu {device} NIEUDANE: {reason}',
+		vacationStarted: '🏖️ {device}: tryb urlopowy włączony – zawór zamknięty',
+		vacationEnded: '🏠 {device}: tryb urlopowy zakończony – zawór ponownie otwarty',
+		vacationEndedAlarm: '⚠️ {device}: tryb urlopowy zakończony – zawór pozostaje zamknięty, alarm jest aktywny',
+		vacationEndedClosed: '🏠 {device}: tryb urlopowy zakończony – zawór pozostaje zamknięty jak wcześniej',
+		vacationFailed: '❌ {device}: tryb urlopowy nie mógł przełączyć zaworu: {reason}',
+		pressureLeakage: '💧 {device}: test ciśnienia wykrył wyciek (spadek {drop} bar, poziom {level})',
+		pressureTrend: '📈 {device}: spadek ciśnienia rósł w ostatnich {count} testach (teraz {drop} bar)',
+		budgetPeriodDay: 'dzień',
+		budgetPeriodWeek: 'tydzień',
+		budgetPeriodMonth: 'miesiąc',
+		budgetThreshold: '📊 {device}: zużyto {percent}% budżetu wody ({period}) – {amount} z {limit} l',
+		budgetShutOff: '🚱 {device}: przekroczono budżet wody ({period}) – zawór zamknięty',
+		budgetShutOffFailed: '❌ {device}: przekroczono budżet wody ({period}), nie udało się zamknąć zaworu: {reason}',
+		flowRuleContinuous: '🚿 {device}: woda płynie ponad {flow} l/min od {minutes} min – lokalna reguła przepływu',
+		flowRuleVolume: '🚿 {device}: pojedynczy pobór zużył {amount} l (limit {limit} l) – lokalna reguła przepływu',
+		flowRuleShutOff: '🚱 {device}: zawór zamknięty przez lokalną regułę przepływu',
+		flowRuleShutOffFailed: '❌ {device}: nie udało się zamknąć zaworu dla lokalnej reguły przepływu: {reason}',
 	},
 	pt: {
 		alarmPrefix: '🚨 Alarme Grohe',
@@ -141,6 +341,32 @@ const messages = {
 		pollingRecovered: '✅ Ligação à API Grohe restaurada após {count} erro(s)',
 		reason403: 'Demasiados pedidos ou a conta Grohe precisa de atenção',
 		latestMessageChanged: 'ℹ️ {device}: última mensagem alterada para "{message}" ({timestamp})',
+		dataStale: '⚠️ {device}: sem dados novos há {minutes} min',
+		dataRecovered: '✅ {device}: os dados estão novamente atualizados',
+		applianceAdded: '🆕 Novo dispositivo Grohe encontrado: {device}',
+		applianceRemoved: '⚠️ {device} já não está na conta Grohe',
+		applianceDeleted: '🗑️ Objetos de {device} eliminados',
+		alarmEscalation: '🚨 Alarme não confirmado – {device}: {message} (ativo há {minutes} min, lembrete {count})',
+		leakShutOff: '🚨 Sensor de fuga {sensor} acionado – válvula de {device} fechada. Reabra-a manualmente.',
+		leakShutOffFailed: '🚨 Sensor de fuga {sensor} acionado – FALHOU o fecho da válvula de {device}: {reason}',
+		vacationStarted: '🏖️ {device}: modo férias iniciado – válvula fechada',
+		vacationEnded: '🏠 {device}: modo férias terminado – válvula reaberta',
+		vacationEndedAlarm: '⚠️ {device}: modo férias terminado – a válvula continua fechada, há um alarme ativo',
+		vacationEndedClosed: '🏠 {device}: modo férias terminado – a válvula continua fechada como antes',
+		vacationFailed: '❌ {device}: o modo férias não conseguiu comutar a válvula: {reason}',
+		pressureLeakage: '💧 {device}: o teste de pressão detetou uma fuga (queda {drop} bar, nível {level})',
+		pressureTrend: '📈 {device}: a queda de pressão aumentou nos últimos {count} testes (agora {drop} bar)',
+		budgetPeriodDay: 'dia',
+		budgetPeriodWeek: 'semana',
+		budgetPeriodMonth: 'mês',
+		budgetThreshold: '📊 {device}: {percent}% do orçamento de água ({period}) usado – {amount} de {limit} l',
+		budgetShutOff: '🚱 {device}: orçamento de água ({period}) excedido – válvula fechada',
+		budgetShutOffFailed: '❌ {device}: orçamento de água ({period}) excedido, falha ao fechar a válvula: {reason}',
+		flowRuleContinuous: '🚿 {device}: água a correr acima de {flow} l/min há {minutes} min – regra de caudal local',
+		flowRuleVolume:
+			'🚿 {device}: uma única utilização gastou {amount} l (limite {limit} l) – regra de caudal local',
+		flowRuleShutOff: '🚱 {device}: válvula fechada pela regra de caudal local',
+		flowRuleShutOffFailed: '❌ {device}: falha ao fechar a válvula pela regra de caudal local: {reason}',
 	},
 	ru: {
 		alarmPrefix: '🚨 Тревога Grohe',
@@ -158,6 +384,33 @@ const messages = {
 		pollingRecovered: '✅ Подключение к API Grohe восстановлено после {count} ошибки/ошибок',
 		reason403: 'Слишком много запросов или требуется проверка аккаунта Grohe',
 		latestMessageChanged: 'ℹ️ {device}: последнее сообщение изменено на «{message}» ({timestamp})',
+		dataStale: '⚠️ {device}: нет новых данных уже {minutes} мин',
+		dataRecovered: '✅ {device}: данные снова актуальны',
+		applianceAdded: '🆕 Найдено новое устройство Grohe: {device}',
+		applianceRemoved: '⚠️ {device} больше нет в учётной записи Grohe',
+		applianceDeleted: '🗑️ Объекты {device} удалены',
+		alarmEscalation:
+			'🚨 Тревога не подтверждена – {device}: {message} (активна {minutes} мин, напоминание {count})',
+		leakShutOff: '🚨 Датчик протечки {sensor} сработал – клапан {device} закрыт. Откройте его вручную.',
+		leakShutOffFailed: '🚨 Датчик протечки {sensor} сработал – закрыть клапан {device} НЕ УДАЛОСЬ: {reason}',
+		vacationStarted: '🏖️ {device}: режим отпуска включён – клапан закрыт',
+		vacationEnded: '🏠 {device}: режим отпуска завершён – клапан снова открыт',
+		vacationEndedAlarm: '⚠️ {device}: режим отпуска завершён – клапан остаётся закрытым, активна тревога',
+		vacationEndedClosed: '🏠 {device}: режим отпуска завершён – клапан остаётся закрытым, как и раньше',
+		vacationFailed: '❌ {device}: режим отпуска не смог переключить клапан: {reason}',
+		pressureLeakage: '💧 {device}: тест давления обнаружил утечку (падение {drop} бар, уровень {level})',
+		pressureTrend: '📈 {device}: падение давления росло в последних {count} тестах (сейчас {drop} бар)',
+		budgetPeriodDay: 'день',
+		budgetPeriodWeek: 'неделя',
+		budgetPeriodMonth: 'месяц',
+		budgetThreshold: '📊 {device}: израсходовано {percent}% бюджета воды ({period}) – {amount} из {limit} л',
+		budgetShutOff: '🚱 {device}: бюджет воды ({period}) превышен – клапан закрыт',
+		budgetShutOffFailed: '❌ {device}: бюджет воды ({period}) превышен, закрыть клапан не удалось: {reason}',
+		flowRuleContinuous: '🚿 {device}: вода течёт более {flow} л/мин уже {minutes} мин – локальное правило потока',
+		flowRuleVolume:
+			'🚿 {device}: один забор воды израсходовал {amount} л (лимит {limit} л) – локальное правило потока',
+		flowRuleShutOff: '🚱 {device}: клапан закрыт локальным правилом потока',
+		flowRuleShutOffFailed: '❌ {device}: не удалось закрыть клапан по локальному правилу потока: {reason}',
 	},
 	uk: {
 		alarmPrefix: '🚨 Тривога Grohe',
@@ -175,6 +428,32 @@ const messages = {
 		pollingRecovered: "✅ З'єднання з API Grohe відновлено після {count} помилки/помилок",
 		reason403: 'Забагато запитів або обліковий запис Grohe потребує перевірки',
 		latestMessageChanged: 'ℹ️ {device}: останнє повідомлення змінено на «{message}» ({timestamp})',
+		dataStale: '⚠️ {device}: немає нових даних уже {minutes} хв',
+		dataRecovered: '✅ {device}: дані знову актуальні',
+		applianceAdded: '🆕 Знайдено новий пристрій Grohe: {device}',
+		applianceRemoved: '⚠️ {device} більше немає в обліковому записі Grohe',
+		applianceDeleted: '🗑️ Об’єкти {device} видалено',
+		alarmEscalation: '🚨 Тривогу не підтверджено – {device}: {message} (активна {minutes} хв, нагадування {count})',
+		leakShutOff: '🚨 Датчик протікання {sensor} спрацював – клапан {device} закрито. Відкрийте його вручну.',
+		leakShutOffFailed: '🚨 Датчик протікання {sensor} спрацював – закрити клапан {device} НЕ ВДАЛОСЯ: {reason}',
+		vacationStarted: '🏖️ {device}: режим відпустки ввімкнено – клапан закрито',
+		vacationEnded: '🏠 {device}: режим відпустки завершено – клапан знову відкрито',
+		vacationEndedAlarm: '⚠️ {device}: режим відпустки завершено – клапан залишається закритим, активна тривога',
+		vacationEndedClosed: '🏠 {device}: режим відпустки завершено – клапан залишається закритим, як і раніше',
+		vacationFailed: '❌ {device}: режим відпустки не зміг перемкнути клапан: {reason}',
+		pressureLeakage: '💧 {device}: тест тиску виявив витік (падіння {drop} бар, рівень {level})',
+		pressureTrend: '📈 {device}: падіння тиску зростало в останніх {count} тестах (зараз {drop} бар)',
+		budgetPeriodDay: 'день',
+		budgetPeriodWeek: 'тиждень',
+		budgetPeriodMonth: 'місяць',
+		budgetThreshold: '📊 {device}: використано {percent}% бюджету води ({period}) – {amount} з {limit} л',
+		budgetShutOff: '🚱 {device}: бюджет води ({period}) перевищено – клапан закрито',
+		budgetShutOffFailed: '❌ {device}: бюджет води ({period}) перевищено, закрити клапан не вдалося: {reason}',
+		flowRuleContinuous: '🚿 {device}: вода тече понад {flow} л/хв уже {minutes} хв – локальне правило потоку',
+		flowRuleVolume:
+			'🚿 {device}: один забір води використав {amount} л (ліміт {limit} л) – локальне правило потоку',
+		flowRuleShutOff: '🚱 {device}: клапан закрито локальним правилом потоку',
+		flowRuleShutOffFailed: '❌ {device}: не вдалося закрити клапан за локальним правилом потоку: {reason}',
 	},
 	'zh-cn': {
 		alarmPrefix: '🚨 Grohe 警报',
@@ -192,6 +471,31 @@ const messages = {
 		pollingRecovered: '✅ Grohe API 连接已在 {count} 次错误后恢复',
 		reason403: '请求过于频繁或需要检查 Grohe 账户',
 		latestMessageChanged: 'ℹ️ {device}：最新消息已更改为「{message}」（{timestamp}）',
+		dataStale: '⚠️ {device}：已 {minutes} 分钟没有新数据',
+		dataRecovered: '✅ {device}：数据已恢复最新',
+		applianceAdded: '🆕 发现新的 Grohe 设备：{device}',
+		applianceRemoved: '⚠️ {device} 已不在 Grohe 账户中',
+		applianceDeleted: '🗑️ 已删除 {device} 的对象',
+		alarmEscalation: '🚨 警报未确认 – {device}：{message}（已持续 {minutes} 分钟，第 {count} 次提醒）',
+		leakShutOff: '🚨 漏水传感器 {sensor} 已触发 – {device} 的阀门已关闭。请手动重新打开。',
+		leakShutOffFailed: '🚨 漏水传感器 {sensor} 已触发 – 关闭 {device} 的阀门失败：{reason}',
+		vacationStarted: '🏖️ {device}：度假模式已开始 – 阀门已关闭',
+		vacationEnded: '🏠 {device}：度假模式已结束 – 阀门已重新打开',
+		vacationEndedAlarm: '⚠️ {device}：度假模式已结束 – 有警报处于激活状态，阀门保持关闭',
+		vacationEndedClosed: '🏠 {device}：度假模式已结束 – 阀门保持之前的关闭状态',
+		vacationFailed: '❌ {device}：度假模式无法切换阀门：{reason}',
+		pressureLeakage: '💧 {device}：压力测试检测到泄漏（压降 {drop} bar，等级 {level}）',
+		pressureTrend: '📈 {device}：最近 {count} 次压力测试中压降持续上升（当前 {drop} bar）',
+		budgetPeriodDay: '日',
+		budgetPeriodWeek: '周',
+		budgetPeriodMonth: '月',
+		budgetThreshold: '📊 {device}：用水预算（{period}）已使用 {percent}% – {amount} / {limit} 升',
+		budgetShutOff: '🚱 {device}：用水预算（{period}）已超出 – 阀门已关闭',
+		budgetShutOffFailed: '❌ {device}：用水预算（{period}）已超出，关闭阀门失败：{reason}',
+		flowRuleContinuous: '🚿 {device}：水流超过 {flow} 升/分钟已持续 {minutes} 分钟 – 本地流量规则',
+		flowRuleVolume: '🚿 {device}：单次用水 {amount} 升（上限 {limit} 升）– 本地流量规则',
+		flowRuleShutOff: '🚱 {device}：本地流量规则已关闭阀门',
+		flowRuleShutOffFailed: '❌ {device}：按本地流量规则关闭阀门失败：{reason}',
 	},
 };
 
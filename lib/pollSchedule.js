@@ -0,0 +1,61 @@
+'use strict';
+
+/** Shortest interval (seconds) accepted for any endpoint */
+const MIN_INTERVAL = 60;
+
+/**
+ * Endpoints with their own poll interval. `factor` gives the default as a
+ * multiple of the dashboard interval (the former every-n-th-poll schedule).
+ */
+const ENDPOINTS = {
+	dashboard: { factor: 1, flag: null },
+	status: { factor: 5, flag: 'fetchStatus' },
+	command: { factor: 3, flag: 'fetchCommand' },
+	pressure: { factor: 10, flag: 'fetchPressure' },
+	consumption: { factor: 5, flag: 'fetchConsumption' },
+	config: { factor: 10, flag: 'fetchConfig' },
+	blueMeasurement: { factor: 3, flag: 'fetchBlueMeasurement' },
+};
+
+/** Endpoints skipped while the daily API budget is low */
+const DEFERRABLE_ENDPOINTS = ['status', 'pressure', 'config'];
+
+/**
+ * Build the per-endpoint interval table from the adapter config.
+ *
+ * Rows in `rows` override single endpoints; missing endpoints keep their
+ * default multiple of the dashboard interval, which itself defaults to
+ * `pollInterval`. Intervals below MIN_INTERVAL are raised with a warning.
+ *
+ * @param {number} pollInterval - configured poll interval (seconds)
+ * @param {Array<{endpoint: string, interval: number | string}>} rows - admin table rows
+ * @param {{warn: (msg: string) => void}} log - logger
+ * @returns {Record<string, number>} interval in seconds per endpoint
+ */
+function buildPollSchedule(pollInterval, rows, log) {
+	const overrides = {};
+	for (const row of Array.isArray(rows) ? rows : []) {
+		if (!row || !(row.endpoint in ENDPOINTS)) {
+			log.warn(`Poll schedule: unknown endpoint "${row?.endpoint}" ignored`);
+			continue;
+		}
+		const interval = Number(row.interval);
+		if (!Number.isFinite(interval) || interval <= 0) {
+			log.warn(`Poll schedule: invalid interval "${row.interval}" for ${row.endpoint} ignored`);
+			continue;
+		}
+		if (interval < MIN_INTERVAL) {
+			log.warn(
+				`Poll schedule: interval for ${row.endpoint} raised from ${interval}s to the minimum of ${MIN_INTERVAL}s`,
+			);
+		}
+		overrides[row.endpoint] = Math.max(MIN_INTERVAL, Math.round(interval));
+	}
+
+	const base = overrides.dashboard ?? Math.max(MIN_INTERVAL, Number(pollInterval) > 0 ? Number(pollInterval) : 300);
+	return Object.fromEntries(
+		Object.entries(ENDPOINTS).map(([endpoint, { factor }]) => [endpoint, overrides[endpoint] ?? base * factor]),
+	);
+}
+
+module.exports = { MIN_INTERVAL, ENDPOINTS, DEFERRABLE_ENDPOINTS, buildPollSchedule };
@@ -0,0 +1,59 @@
+'use strict';
+
+const { expect } = require('chai');
+const { buildPollSchedule } = require('./pollSchedule');
+
+describe('buildPollSchedule', () => {
+	const createLog = () => {
+		const warnings = [];
+		return { warnings, warn: msg => warnings.push(msg) };
+	};
+
+	it('derives the defaults from the poll interval', () => {
+		const schedule = buildPollSchedule(300, [], createLog());
+
+		expect(schedule).to.deep.equal({
+			dashboard: 300,
+			status: 1500,
+			command: 900,
+			pressure: 3000,
+			consumption: 1500,
+			config: 3000,
+			blueMeasurement: 900,
+		});
+	});
+
+	it('applies table rows and scales the remaining defaults with the dashboard row', () => {
+		const schedule = buildPollSchedule(
+			300,
+			[
+				{ endpoint: 'dashboard', interval: 120 },
+				{ endpoint: 'pressure', interval: 86400 },
+			],
+			createLog(),
+		);
+
+		expect(schedule.dashboard).to.equal(120);
+		expect(schedule.status).to.equal(600);
+		expect(schedule.pressure).to.equal(86400);
+	});
+
+	it('raises intervals below the minimum and ignores invalid rows', () => {
+		const log = createLog();
+
+		const schedule = buildPollSchedule(
+			300,
+			[
+				{ endpoint: 'command', interval: 10 },
+				{ endpoint: 'status', interval: 'abc' },
+				{ endpoint: 'weather', interval: 600 },
+			],
+			log,
+		);
+
+		expect(schedule.command).to.equal(60);
+		expect(schedule.status).to.equal(1500);
+		expect(log.warnings).to.have.length(3);
+		expect(log.warnings[0]).to.include('minimum of 60s');
+	});
+});
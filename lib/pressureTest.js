@@ -0,0 +1,62 @@
+'use strict';
+
+/** Weekday names in Date#getDay order, used for the controls.pressureTest.active<Day> switches */
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Next scheduled pressure test after `now` (local time). Without a selected
+ * weekday the test runs every day.
+ *
+ * @param {{hour: number, minute: number, days: boolean[], now: number}} input - schedule (days in Date#getDay order) and current time
+ * @returns {number} unix ms of the next run
+ */
+function nextPressureTest({ hour, minute, days, now }) {
+	const h = Math.min(23, Math.max(0, Math.floor(Number(hour) || 0)));
+	const m = Math.min(59, Math.max(0, Math.floor(Number(minute) || 0)));
+	const everyDay = !days.some(Boolean);
+	const today = new Date(now);
+	let run = now;
+	for (let offset = 0; offset <= 7; offset++) {
+		run = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset, h, m, 0, 0).getTime();
+		if (run > now && (everyDay || days[new Date(run).getDay()])) {
+			break;
+		}
+	}
+	return run;
+}
+
+/**
+ * Add a result to the rolling history (newest first). A result with the
+ * timestamp of the newest entry is already known and not added again.
+ *
+ * @template {{timestamp: string}} T
+ * @param {T[]} history - results so far, newest first
+ * @param {T} entry - new result
+ * @param {number} max - history size
+ * @returns {T[] | null} new history, null when the result is already known
+ */
+function appendPressureHistory(history, entry, max) {
+	if (!entry.timestamp || history[0]?.timestamp === entry.timestamp) {
+		return null;
+	}
+	return [entry, ...history].slice(0, Math.max(1, Math.floor(Number(max) || 30)));
+}
+
+/**
+ * Whether the pressure drop trends upward: each of the newest `count`
+ * results shows a higher drop than the one before.
+ *
+ * @param {Array<{dropOfPressure: number}>} history - results, newest first
+ * @param {number} count - results to compare (below 2 disables the check)
+ * @returns {boolean} true when the drop rose `count - 1` times in a row
+ */
+function isRisingTrend(history, count) {
+	const n = Math.floor(Number(count) || 0);
+	const recent = history.slice(0, n).map(entry => Number(entry.dropOfPressure));
+	if (n < 2 || recent.length < n || recent.some(drop => !Number.isFinite(drop))) {
+		return false;
+	}
+	return recent.every((drop, i) => i === n - 1 || drop > recent[i + 1]);
+}
+
+module.exports = { WEEKDAYS, nextPressureTest, appendPressureHistory, isRisingTrend };
@@ -0,0 +1,45 @@
+'use strict';
+
+const { expect } = require('chai');
+const { nextPressureTest, appendPressureHistory, isRisingTrend } = require('./pressureTest');
+
+describe('pressureTest', () => {
+	// Thursday, 1 January 2026
+	const evening = new Date(2026, 0, 1, 22, 0, 0).getTime();
+	const none = [false, false, false, false, false, false, false];
+
+	it('schedules the next run at the configured time and weekdays', () => {
+		const saturday = [...none];
+		saturday[6] = true;
+
+		expect(nextPressureTest({ hour: 3, minute: 30, days: none, now: evening })).to.equal(
+			new Date(2026, 0, 2, 3, 30).getTime(),
+		);
+		expect(nextPressureTest({ hour: 23, minute: 0, days: none, now: evening })).to.equal(
+			new Date(2026, 0, 1, 23, 0).getTime(),
+		);
+		expect(nextPressureTest({ hour: 3, minute: 0, days: saturday, now: evening })).to.equal(
+			new Date(2026, 0, 3, 3, 0).getTime(),
+		);
+	});
+
+	it('keeps a rolling history without duplicates', () => {
+		const first = appendPressureHistory([], { timestamp: 'a' }, 2) || [];
+		const second = appendPressureHistory(first, { timestamp: 'b' }, 2) || [];
+
+		expect(appendPressureHistory(second, { timestamp: 'b' }, 2)).to.equal(null);
+		expect(appendPressureHistory(second, { timestamp: 'c' }, 2)).to.deep.equal([
+			{ timestamp: 'c' },
+			{ timestamp: 'b' },
+		]);
+	});
+
+	it('detects a rising pressure drop over the newest results', () => {
+		const history = [0.3, 0.2, 0.1, 0.4].map(dropOfPressure => ({ dropOfPressure }));
+
+		expect(isRisingTrend(history, 3)).to.equal(true);
+		expect(isRisingTrend(history, 4)).to.equal(false);
+		expect(isRisingTrend(history, 5)).to.equal(false);
+		expect(isRisingTrend(history, 0)).to.equal(false);
+	});
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+/** Share of the daily budget kept for essential requests (dashboard, commands) */
+const RESERVE_RATIO = 0.1;
+
+/**
+ * Client-side request rate limiter for the Grohe API.
+ *
+ * Combines a token bucket (max requests per minute, refilled continuously)
+ * with a daily budget (max requests per local calendar day).
+ *
+ * - When the bucket is empty, acquire() waits until a token is available.
+ * - When the daily budget is used up, acquire() throws – the poll loop then
+ *   pauses until the counter resets at local midnight.
+ * - Once less than RESERVE_RATIO of the daily budget is left, budgetLow turns
+ *   true so callers can defer non-essential requests.
+ * - Essential requests (commands such as closing a valve) are counted, but
+ *   never wait for the bucket and never fail on the daily budget.
+ *
+ * A limit of 0 disables the respective check.
+ */
+class RateLimiter {
+	/**
+	 * @param {object} [options] - limiter settings
+	 * @param {number} [options.perMinute] - max requests per minute (0 = unlimited)
+	 * @param {number} [options.perDay] - max requests per day (0 = unlimited)
+	 * @param {(callback: (...args: unknown[]) => void, ms: number) => unknown} [options.setTimeoutFn] - adapter-aware setTimeout function
+	 * @param {() => number} [options.now] - clock (unix-ms), injectable for tests
+	 */
+	constructor(options = {}) {
+		this.perMinute = Math.max(0, Number(options.perMinute) || 0);
+		this.perDay = Math.max(0, Number(options.perDay) || 0);
+		this.setTimeout =
+			typeof options.setTimeoutFn === 'function' ? options.setTimeoutFn : globalThis.setTimeout.bind(globalThis);
+		this.now = typeof options.now === 'function' ? options.now : Date.now;
+
+		this._tokens = this.perMinute;
+		this._lastRefill = this.now();
+		this._day = this._dayKey(this._lastRefill);
+		this._callsToday = 0;
+	}
+
+	/** Requests made since local midnight */
+	get callsToday() {
+		this._rollDay();
+		return this._callsToday;
+	}
+
+	/** Requests left today, or -1 when there is no daily limit */
+	get remainingToday() {
+		if (!this.perDay) {
+			return -1;
+		}
+		return Math.max(0, this.perDay - this.callsToday);
+	}
+
+	/** True when the daily budget is used up */
+	get exhausted() {
+		return this.perDay > 0 && this.callsToday >= this.perDay;
+	}
+
+	/** True once the remaining daily budget falls below the reserve */
+	get budgetLow() {
+		if (!this.perDay) {
+			return false;
+		}
+		return this.remainingToday < Math.ceil(this.perDay * RESERVE_RATIO);
+	}
+
+	/**
+	 * Restore today's call count (e.g. after an adapter restart).
+	 *
+	 * @param {number} count - calls already made today
+	 */
+	restore(count) {
+		this._rollDay();
+		this._callsToday = Math.max(this._callsToday, Number(count) || 0);
+	}
+
+	/**
+	 * Take one request slot. Waits for the per-minute bucket, throws when the
+	 * daily budget is exhausted – unless the request is essential.
+	 *
+	 * @param {object} [options] - request options
+	 * @param {boolean} [options.essential] - true for commands that must not be delayed or refused
+	 */
+	async acquire({ essential = false } = {}) {
+		if (this.exhausted && !essential) {
+			throw new Error(`Daily API budget exhausted (${this.perDay} requests)`);
+		}
+
+		if (this.perMinute) {
+			this._refill();
+			while (this._tokens < 1 && !essential) {
+				const waitMs = Math.ceil(((1 - this._tokens) * 60000) / this.perMinute);
+				await new Promise(resolve => this.setTimeout(resolve, waitMs));
+				this._refill();
+			}
+			this._tokens = Math.max(0, this._tokens - 1);
+		}
+
+		this._rollDay();
+		this._callsToday++;
+	}
+
+	/** Add the tokens accrued since the last refill (capped at perMinute). */
+	_refill() {
+		const now = this.now();
+		const elapsed = Math.max(0, now - this._lastRefill);
+		this._tokens = Math.min(this.perMinute, this._tokens + (elapsed * this.perMinute) / 60000);
+		this._lastRefill = now;
+	}
+
+	/** Reset the daily counter when the local date has changed. */
+	_rollDay() {
+		const day = this._dayKey(this.now());
+		if (day !== this._day) {
+			this._day = day;
+			this._callsToday = 0;
+		}
+	}
+
+	/**
+	 * @param {number} ms - unix-ms timestamp
+	 * @returns {string} local calendar day key
+	 */
+	_dayKey(ms) {
+		const d = new Date(ms);
+		return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+	}
+}
+
+module.exports = RateLimiter;
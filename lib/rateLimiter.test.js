@@ -0,0 +1,101 @@
+'use strict';
+
+const { expect } = require('chai');
+const RateLimiter = require('./rateLimiter');
+
+describe('RateLimiter', () => {
+	function createClock(start = new Date(2026, 0, 15, 10, 0, 0).getTime()) {
+		const clock = { now: start, waits: /** @type {number[]} */ ([]) };
+		clock.fn = () => clock.now;
+		// Fake setTimeout: advance the clock instead of waiting
+		clock.setTimeout = (callback, ms) => {
+			clock.waits.push(ms);
+			clock.now += ms;
+			callback();
+		};
+		return clock;
+	}
+
+	it('delays requests once the per-minute bucket is empty', async () => {
+		const clock = createClock();
+		const limiter = new RateLimiter({ perMinute: 2, setTimeoutFn: clock.setTimeout, now: clock.fn });
+
+		await limiter.acquire();
+		await limiter.acquire();
+		expect(clock.waits).to.deep.equal([]);
+
+		await limiter.acquire();
+		expect(clock.waits).to.deep.equal([30000]);
+		expect(limiter.callsToday).to.equal(3);
+	});
+
+	it('throws when the daily budget is exhausted', async () => {
+		const clock = createClock();
+		const limiter = new RateLimiter({ perDay: 2, now: clock.fn });
+
+		await limiter.acquire();
+		await limiter.acquire();
+
+		expect(limiter.exhausted).to.equal(true);
+		expect(limiter.remainingToday).to.equal(0);
+		await expect(limiter.acquire()).to.be.rejectedWith('Daily API budget exhausted');
+	});
+
+	it('lets essential requests through without waiting or a daily budget', async () => {
+		const clock = createClock();
+		const limiter = new RateLimiter({ perMinute: 1, perDay: 1, setTimeoutFn: clock.setTimeout, now: clock.fn });
+
+		await limiter.acquire();
+		await limiter.acquire({ essential: true });
+		await limiter.acquire({ essential: true });
+
+		expect(clock.waits).to.deep.equal([]);
+		expect(limiter.callsToday).to.equal(3);
+		await expect(limiter.acquire()).to.be.rejectedWith('Daily API budget exhausted');
+	});
+
+	it('reports a low budget once less than 10% is left', async () => {
+		const clock = createClock();
+		const limiter = new RateLimiter({ perDay: 20, now: clock.fn });
+
+		for (let i = 0; i < 18; i++) {
+			await limiter.acquire();
+		}
+		expect(limiter.budgetLow).to.equal(false);
+
+		await limiter.acquire();
+		expect(limiter.budgetLow).to.equal(true);
+	});
+
+	it('resets the daily counter at local midnight', async () => {
+		const clock = createClock(new Date(2026, 0, 15, 23, 59, 0).getTime());
+		const limiter = new RateLimiter({ perDay: 1, now: clock.fn });
+
+		await limiter.acquire();
+		expect(limiter.exhausted).to.equal(true);
+
+		clock.now += 2 * 60000;
+		expect(limiter.callsToday).to.equal(0);
+		await limiter.acquire();
+	});
+
+	it('restores a call count carried over from before a restart', () => {
+		const limiter = new RateLimiter({ perDay: 100 });
+
+		limiter.restore(40);
+
+		expect(limiter.callsToday).to.equal(40);
+		expect(limiter.remainingToday).to.equal(60);
+	});
+
+	it('does not limit anything with both limits set to 0', async () => {
+		const limiter = new RateLimiter();
+
+		for (let i = 0; i < 100; i++) {
+			await limiter.acquire();
+		}
+
+		expect(limiter.remainingToday).to.equal(-1);
+		expect(limiter.budgetLow).to.equal(false);
+	});
+});
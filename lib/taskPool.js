@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * Run `worker` for every item with at most `limit` calls in flight.
+ *
+ * Like Promise.allSettled(): a rejected worker does not stop the others, and
+ * the result array holds one settled entry per item in input order.
+ *
+ * @template T, R
+ * @param {T[]} items - Work items
+ * @param {number} limit - Max. concurrent workers (values < 1 are treated as 1)
+ * @param {(item: T, index: number) => Promise<R>} worker - Async task per item
+ * @returns {Promise<PromiseSettledResult<R>[]>} Settled results in input order
+ */
+async function runWithConcurrency(items, limit, worker) {
+	const results = new Array(items.length);
+	const workerCount = Math.min(items.length, Math.max(1, Math.floor(Number(limit) || 1)));
+	let next = 0;
+
+	const runWorker = async () => {
+		while (next < items.length) {
+			const index = next++;
+			try {
+				results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+			} catch (reason) {
+				results[index] = { status: 'rejected', reason };
+			}
+		}
+	};
+
+	await Promise.all(Array.from({ length: workerCount }, runWorker));
+	return results;
+}
+
+module.exports = { runWithConcurrency };
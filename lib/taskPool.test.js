@@ -0,0 +1,54 @@
+'use strict';
+
+const { expect } = require('chai');
+const { runWithConcurrency } = require('./taskPool');
+
+describe('runWithConcurrency', () => {
+	const tick = () => new Promise(resolve => setImmediate(resolve));
+
+	it('never runs more than the given number of workers at once', async () => {
+		let running = 0;
+		let peak = 0;
+
+		const results = await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async item => {
+			running++;
+			peak = Math.max(peak, running);
+			await tick();
+			running--;
+			return item * 2;
+		});
+
+		expect(peak).to.equal(3);
+		expect(results.map(r => r.status === 'fulfilled' && r.value)).to.deep.equal([2, 4, 6, 8, 10, 12, 14]);
+	});
+
+	it('isolates failures and keeps the input order', async () => {
+		const results = await runWithConcurrency(['a', 'b', 'c'], 2, async item => {
+			await tick();
+			if (item === 'b') {
+				throw new Error('boom');
+			}
+			return item.toUpperCase();
+		});
+
+		expect(results[0]).to.deep.equal({ status: 'fulfilled', value: 'A' });
+		expect(results[1].status).to.equal('rejected');
+		expect(results[1].status === 'rejected' && results[1].reason.message).to.equal('boom');
+		expect(results[2]).to.deep.equal({ status: 'fulfilled', value: 'C' });
+	});
+
+	it('runs sequentially for a limit below 1 and handles empty input', async () => {
+		let running = 0;
+		let peak = 0;
+
+		await runWithConcurrency([1, 2, 3], 0, async () => {
+			running++;
+			peak = Math.max(peak, running);
+			await tick();
+			running--;
+		});
+
+		expect(peak).to.equal(1);
+		expect(await runWithConcurrency([], 4, async () => 1)).to.deep.equal([]);
+	});
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+/** Longest timer armed for the next vacation check (setTimeout overflows after ~24.8 days) */
+const MAX_CHECK_DELAY_MS = 24 * 3600 * 1000;
+
+/**
+ * Parse a vacation start / end value: unix ms or a date string such as
+ * `2026-08-01T08:00` (local time) or an ISO timestamp.
+ *
+ * @param {unknown} val - state value
+ * @returns {number | null} unix ms, null when empty or invalid
+ */
+function parseVacationTime(val) {
+	if (val === null || val === undefined || val === '' || val === 0) {
+		return null;
+	}
+	const ms = typeof val === 'number' ? val : /^\d+$/.test(String(val)) ? Number(val) : Date.parse(String(val));
+	return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * A presence state reports "away" when it is false, 0, 'false', 'off' or 'away'.
+ *
+ * @param {unknown} val - presence state value
+ * @returns {boolean} true when nobody is at home
+ */
+function isPresenceAway(val) {
+	if (val === null || val === undefined) {
+		return false;
+	}
+	return val === false || val === 0 || ['false', '0', 'off', 'away'].includes(String(val).toLowerCase());
+}
+
+/**
+ * Whether the valve should be closed for vacation: enabled and either inside
+ * the window [start, end) or the linked presence state reports "away".
+ * A window without an end lasts until it is disabled.
+ *
+ * @param {{enabled: boolean, start: number | null, end: number | null, presenceAway: boolean, now: number}} input - vacation settings
+ * @returns {boolean} true while away
+ */
+function isVacationAway({ enabled, start, end, presenceAway, now }) {
+	if (!enabled) {
+		return false;
+	}
+	const inWindow = start !== null && now >= start && (end === null || now < end);
+	return inWindow || presenceAway;
+}
+
+/**
+ * Delay until the vacation state has to be checked again: the next future
+ * window boundary, capped at MAX_CHECK_DELAY_MS. Null without a boundary.
+ *
+ * @param {{start: number | null, end: number | null, now: number}} input - window and current time
+ * @returns {number | null} delay in ms
+ */
+function nextVacationCheck({ start, end, now }) {
+	const upcoming = [start, end].map(t => t ?? -Infinity).filter(t => t > now);
+	if (upcoming.length === 0) {
+		return null;
+	}
+	return Math.min(MAX_CHECK_DELAY_MS, Math.min(...upcoming) - now);
+}
+
+module.exports = { parseVacationTime, isPresenceAway, isVacationAway, nextVacationCheck };
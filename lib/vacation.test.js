@@ -0,0 +1,38 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parseVacationTime, isPresenceAway, isVacationAway, nextVacationCheck } = require('./vacation');
+
+describe('vacation', () => {
+	const now = Date.parse('2026-08-01T12:00:00.000Z');
+	const hour = 3600 * 1000;
+
+	it('parses start / end values and presence states', () => {
+		expect(parseVacationTime('2026-08-01T12:00:00.000Z')).to.equal(now);
+		expect(parseVacationTime(now)).to.equal(now);
+		expect(parseVacationTime(String(now))).to.equal(now);
+		expect([null, '', 0, 'soon'].map(parseVacationTime)).to.deep.equal([null, null, null, null]);
+
+		expect([false, 0, 'away', 'OFF'].every(isPresenceAway)).to.equal(true);
+		expect([true, 1, 'home', null].some(isPresenceAway)).to.equal(false);
+	});
+
+	it('is away inside the window or while presence reports away', () => {
+		const away = input =>
+			isVacationAway({ enabled: true, start: null, end: null, presenceAway: false, now, ...input });
+
+		expect(away({ start: now - hour, end: now + hour })).to.equal(true);
+		expect(away({ start: now - hour })).to.equal(true);
+		expect(away({ start: now + hour, end: now + 2 * hour })).to.equal(false);
+		expect(away({ start: now - 2 * hour, end: now })).to.equal(false);
+		expect(away({ presenceAway: true })).to.equal(true);
+		expect(away({ enabled: false, start: now - hour, presenceAway: true })).to.equal(false);
+	});
+
+	it('checks again at the next window boundary, at most once a day', () => {
+		expect(nextVacationCheck({ start: now + hour, end: now + 2 * hour, now })).to.equal(hour);
+		expect(nextVacationCheck({ start: now - hour, end: now + 2 * hour, now })).to.equal(2 * hour);
+		expect(nextVacationCheck({ start: now + 30 * 24 * hour, end: null, now })).to.equal(24 * hour);
+		expect(nextVacationCheck({ start: now - hour, end: null, now })).to.equal(null);
+	});
+});
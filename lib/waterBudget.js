@@ -0,0 +1,142 @@
+'use strict';
+
+/** Budget periods: the current day, the week since Monday and the calendar month */
+const BUDGET_PERIODS = ['day', 'week', 'month'];
+
+/**
+ * Read the water budgets from the admin table. Rows with an unknown period
+ * or without a positive limit are dropped with a warning. An empty `guard`
+ * applies to every Sense Guard.
+ *
+ * @param {Array<{guard?: string, period?: string, limit?: number | string, shutOff?: boolean}>} rows - admin table rows
+ * @param {{warn: (msg: string) => void}} log - logger
+ * @returns {Array<{guard: string, period: string, limit: number, shutOff: boolean}>} valid budgets
+ */
+function buildBudgetRules(rows, log) {
+	const rules = [];
+	for (const row of Array.isArray(rows) ? rows : []) {
+		const period = String(row?.period || 'day');
+		const limit = Number(row?.limit);
+		if (!BUDGET_PERIODS.includes(period) || !(limit > 0)) {
+			log.warn(`Water budgets: invalid row ${JSON.stringify(row)} ignored`);
+			continue;
+		}
+		rules.push({ guard: String(row?.guard || '').trim(), period, limit, shutOff: row?.shutOff === true });
+	}
+	return rules;
+}
+
+/**
+ * Budget per period for one Sense Guard: a row for this Guard wins over a
+ * row for all Guards.
+ *
+ * @param {ReturnType<typeof buildBudgetRules>} rules - all budgets
+ * @param {string} id - Sense Guard appliance ID
+ * @returns {ReturnType<typeof buildBudgetRules>} at most one budget per period
+ */
+function budgetsFor(rules, id) {
+	return BUDGET_PERIODS.map(
+		period =>
+			rules.find(rule => rule.period === period && rule.guard === id) ||
+			rules.find(rule => rule.period === period && !rule.guard),
+	).filter(rule => rule !== undefined);
+}
+
+/**
+ * Parse a list of percent thresholds such as `80, 100`.
+ *
+ * @param {unknown} text - config value
+ * @returns {number[]} positive thresholds, ascending
+ */
+function parseThresholds(text) {
+	return [
+		...new Set(
+			String(text ?? '')
+				.split(/[,;\s]+/)
+				.map(Number)
+				.filter(n => Number.isFinite(n) && n > 0),
+		),
+	].sort((a, b) => a - b);
+}
+
+/**
+ * Parse the allowed hours of the budget shut-off, e.g. `6-8, 18-22, 23`.
+ * A range includes its start hour and ends before its end hour; `22-6`
+ * wraps around midnight. Ranges ending on their start hour (`6-6`, `0-24`)
+ * and hours above 24 are ignored.
+ *
+ * @param {unknown} text - config value
+ * @returns {boolean[]} 24 flags, true = hour allowed
+ */
+function parseAllowedHours(text) {
+	const hours = new Array(24).fill(false);
+	for (const part of String(text ?? '').split(/[,;\s]+/)) {
+		const match = /^(\d{1,2})(?:-(\d{1,2}))?$/.exec(part);
+		if (!match) {
+			continue;
+		}
+		const from = Number(match[1]);
+		const end = match[2] === undefined ? from + 1 : Number(match[2]);
+		const to = end % 24;
+		if (from > 23 || end > 24 || to === from) {
+			continue;
+		}
+		let h = from;
+		do {
+			hours[h] = true;
+			h = (h + 1) % 24;
+		} while (h !== to);
+	}
+	return hours;
+}
+
+/**
+ * @param {Date} date - local date
+ * @returns {string} YYYY-MM-DD in local time
+ */
+function localDate(date) {
+	const pad = n => String(n).padStart(2, '0');
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * First day of the period containing `now` (local time, weeks start on Monday).
+ *
+ * @param {string} period - day, week or month
+ * @param {number} now - current time (ms)
+ * @returns {string} YYYY-MM-DD
+ */
+function periodStart(period, now) {
+	const d = new Date(now);
+	if (period === 'week') {
+		return localDate(new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7)));
+	}
+	if (period === 'month') {
+		return localDate(new Date(d.getFullYear(), d.getMonth(), 1));
+	}
+	return localDate(d);
+}
+
+/**
+ * @param {{consumption: number, limit: number, thresholds: number[]}} input - litres used, budget and thresholds (%)
+ * @returns {{usedPercent: number, remaining: number, level: number}} usage; level = highest threshold reached (0 = none)
+ */
+function evaluateBudget({ consumption, limit, thresholds }) {
+	const usedPercent = Math.round((consumption / limit) * 1000) / 10;
+	return {
+		usedPercent,
+		remaining: Math.max(0, Math.round((limit - consumption) * 100) / 100),
+		level: thresholds.filter(t => usedPercent >= t).reduce((max, t) => Math.max(max, t), 0),
+	};
+}
+
+module.exports = {
+	BUDGET_PERIODS,
+	buildBudgetRules,
+	budgetsFor,
+	parseThresholds,
+	parseAllowedHours,
+	localDate,
+	periodStart,
+	evaluateBudget,
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+const { expect } = require('chai');
+const {
+	buildBudgetRules,
+	budgetsFor,
+	parseThresholds,
+	parseAllowedHours,
+	periodStart,
+	evaluateBudget,
+} = require('./waterBudget');
+
+describe('waterBudget', () => {
+	it('picks the budget of a Guard over the one for all Guards', () => {
+		const warnings = [];
+		const rules = buildBudgetRules(
+			[
+				{ period: 'day', limit: 300 },
+				{ guard: 'guard-1', period: 'day', limit: 200, shutOff: true },
+				{ period: 'month', limit: '6000' },
+				{ period: 'year', limit: 100 },
+				{ period: 'week', limit: 0 },
+			],
+			{ warn: msg => warnings.push(msg) },
+		);
+
+		expect(warnings).to.have.length(2);
+		expect(budgetsFor(rules, 'guard-1')).to.deep.equal([
+			{ guard: 'guard-1', period: 'day', limit: 200, shutOff: true },
+			{ guard: '', period: 'month', limit: 6000, shutOff: false },
+		]);
+		expect(budgetsFor(rules, 'guard-2').map(rule => rule.limit)).to.deep.equal([300, 6000]);
+	});
+
+	it('parses thresholds and allowed hours', () => {
+		const hours = parseAllowedHours('6-9, 22-1, 13, x');
+
+		expect(parseThresholds('100; 80, 80 abc')).to.deep.equal([80, 100]);
+		expect(hours.map((allowed, hour) => (allowed ? hour : -1)).filter(hour => hour >= 0)).to.deep.equal([
+			0, 6, 7, 8, 13, 22, 23,
+		]);
+		expect(parseAllowedHours('').some(Boolean)).to.equal(false);
+		expect(parseAllowedHours('6-6, 6-30, 0-24, 25').some(Boolean)).to.equal(false);
+		expect(parseAllowedHours('22-24').filter(Boolean)).to.have.length(2);
+	});
+
+	it('computes period starts and budget usage', () => {
+		// Wednesday, 14 October 2026
+		const now = new Date(2026, 9, 14, 12, 0).getTime();
+
+		expect(periodStart('day', now)).to.equal('2026-10-14');
+		expect(periodStart('week', now)).to.equal('2026-10-12');
+		expect(periodStart('month', now)).to.equal('2026-10-01');
+		expect(evaluateBudget({ consumption: 250, limit: 300, thresholds: [80, 100] })).to.deep.equal({
+			usedPercent: 83.3,
+			remaining: 50,
+			level: 80,
+		});
+		expect(evaluateBudget({ consumption: 320, limit: 300, thresholds: [80, 100] })).to.include({
+			remaining: 0,
+			level: 100,
+		});
+	});
+});
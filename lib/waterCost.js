@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * Parse a time of day such as `22:00` or `6`.
+ *
+ * @param {unknown} val - config value
+ * @returns {number | null} minutes of the day, null when invalid
+ */
+function parseDayTime(val) {
+	const match = /^(\d{1,2})(?::(\d{2}))?$/.exec(String(val ?? '').trim());
+	if (!match) {
+		return null;
+	}
+	const minutes = Number(match[1]) * 60 + Number(match[2] || 0);
+	return Number(match[1]) <= 24 && Number(match[2] || 0) < 60 && minutes <= 1440 ? minutes : null;
+}
+
+/**
+ * Build the water tariff from the Consumption tab. Time-of-use rows replace
+ * the base prices between `from` and `to` (past midnight when `to` is
+ * earlier); an empty price keeps the base price. Invalid rows are dropped
+ * with a warning.
+ *
+ * @param {{costFreshWater?: number, costWasteWater?: number, costMonthlyFee?: number, costTariffs?: Array<{from?: string, to?: string, freshWater?: number | string, wasteWater?: number | string}>}} config - adapter config
+ * @param {{warn: (msg: string) => void}} log - logger
+ * @returns {{fresh: number, waste: number, fee: number, periods: Array<{start: number, stop: number, fresh: number, waste: number}>} | null} tariff, null without any price
+ */
+function buildTariff(config, log) {
+	const price = val => (val === '' || val === null || val === undefined ? null : Number(val));
+	const fresh = Math.max(0, Number(config.costFreshWater) || 0);
+	const waste = Math.max(0, Number(config.costWasteWater) || 0);
+	const fee = Math.max(0, Number(config.costMonthlyFee) || 0);
+	if (fresh === 0 && waste === 0 && fee === 0) {
+		return null;
+	}
+	const periods = [];
+	for (const row of Array.isArray(config.costTariffs) ? config.costTariffs : []) {
+		const start = parseDayTime(row?.from);
+		const stop = parseDayTime(row?.to);
+		const rowFresh = price(row?.freshWater);
+		const rowWaste = price(row?.wasteWater);
+		if (
+			start === null ||
+			stop === null ||
+			start === stop ||
+			[rowFresh, rowWaste].some(p => p !== null && !(Number.isFinite(p) && p >= 0))
+		) {
+			log.warn(`Water cost: invalid tariff row ${JSON.stringify(row)} ignored`);
+			continue;
+		}
+		periods.push({ start, stop, fresh: rowFresh ?? fresh, waste: rowWaste ?? waste });
+	}
+	return { fresh, waste, fee, periods };
+}
+
+/**
+ * @param {NonNullable<ReturnType<typeof buildTariff>>} tariff - water tariff
+ * @param {number} [time] - unix ms; without it the base price
+ * @returns {number} fresh water plus wastewater price per m³ at that time
+ */
+function priceAt(tariff, time) {
+	if (time !== undefined) {
+		const d = new Date(time);
+		const minute = d.getHours() * 60 + d.getMinutes();
+		const period = tariff.periods.find(p =>
+			p.start < p.stop ? minute >= p.start && minute < p.stop : minute >= p.start || minute < p.stop,
+		);
+		if (period) {
+			return period.fresh + period.waste;
+		}
+	}
+	return tariff.fresh + tariff.waste;
+}
+
+/**
+ * Calendar months touched from `from` to `to` (local time), both included.
+ *
+ * @param {number} from - unix ms
+ * @param {number} to - unix ms
+ * @returns {number} 1 for the same month, 0 when `to` is before `from`
+ */
+function monthsBetween(from, to) {
+	const a = new Date(from);
+	const b = new Date(to);
+	return Math.max(0, (b.getFullYear() - a.getFullYear()) * 12 + b.getMonth() - a.getMonth() + 1);
+}
+
+/**
+ * Carry the accumulated cost of one Sense Guard over to `time`: reset the
+ * periods that ended since `last`, add the monthly fee for each new month
+ * and price the litres used since the last calculation. Those litres get the
+ * tariff of the measurement time, so time-of-use prices are only as exact as
+ * the poll interval.
+ *
+ * On a new day `lastDay` (litres of the day of `last` from aggregated data)
+ * prices the rest of that day, used between the last poll and midnight, at
+ * the tariff just before midnight. Without it these litres are not priced.
+ *
+ * @param {NonNullable<ReturnType<typeof buildTariff>>} tariff - water tariff
+ * @param {{today: number, month: number, year: number, total: number, volume: number, last: number}} current - cost so far; volume = litres of the day already priced
+ * @param {{daily: number, time: number, lastDay?: number}} input - litres used on the day of `time` (consumption.daily), the measurement time and the litres of the day of `last`
+ * @returns {{today: number, month: number, year: number, total: number, volume: number, last: number}} new cost
+ */
+function accumulateCost(tariff, current, { daily, time, lastDay }) {
+	const next = { ...current, last: Math.max(current.last, time) };
+	const then = new Date(current.last);
+	const now = new Date(next.last);
+	const newMonths = monthsBetween(current.last, next.last) - 1;
+	if (then.toDateString() !== now.toDateString()) {
+		if (typeof lastDay === 'number') {
+			const midnight = new Date(then.getFullYear(), then.getMonth(), then.getDate() + 1).getTime();
+			const rest = (Math.max(0, lastDay - current.volume) / 1000) * priceAt(tariff, midnight - 1);
+			next.month += rest;
+			next.year += rest;
+			next.total += rest;
+		}
+		next.today = 0;
+		next.volume = 0;
+	}
+	if (newMonths > 0) {
+		next.month = tariff.fee;
+		next.year =
+			then.getFullYear() === now.getFullYear()
+				? next.year + tariff.fee * newMonths
+				: tariff.fee * (now.getMonth() + 1);
+		next.total += tariff.fee * newMonths;
+	}
+	const litres = Math.max(0, daily - next.volume);
+	const cost = (litres / 1000) * priceAt(tariff, next.last);
+	next.volume = Math.max(next.volume, daily);
+	next.today += cost;
+	next.month += cost;
+	next.year += cost;
+	next.total += cost;
+	return next;
+}
+
+module.exports = { parseDayTime, buildTariff, priceAt, monthsBetween, accumulateCost };
@@ -0,0 +1,76 @@
+'use strict';
+
+const { expect } = require('chai');
+const { buildTariff, priceAt, monthsBetween, accumulateCost } = require('./waterCost');
+
+describe('waterCost', () => {
+	const log = { warn: () => {} };
+	const at = (month, day, hour) => new Date(2026, month, day, hour, 0).getTime();
+	const tariff = /** @type {NonNullable<ReturnType<typeof buildTariff>>} */ (
+		buildTariff(
+			{
+				costFreshWater: 2,
+				costWasteWater: 3,
+				costMonthlyFee: 10,
+				costTariffs: [{ from: '22:00', to: '6', freshWater: 1, wasteWater: '' }],
+			},
+			log,
+		)
+	);
+
+	it('builds the tariff and picks the time-of-use price', () => {
+		const warnings = [];
+		const invalid = buildTariff(
+			{
+				costFreshWater: 2,
+				costTariffs: [
+					{ from: '25:00', to: '06:00' },
+					{ from: '8', to: '8' },
+					{ from: '8', to: '9', freshWater: 'x' },
+				],
+			},
+			{ warn: msg => warnings.push(msg) },
+		);
+
+		expect(buildTariff({}, log)).to.equal(null);
+		expect(warnings).to.have.length(3);
+		expect(invalid?.periods).to.deep.equal([]);
+		expect(priceAt(tariff, at(0, 5, 23))).to.equal(4);
+		expect(priceAt(tariff, at(0, 5, 5))).to.equal(4);
+		expect(priceAt(tariff, at(0, 5, 12))).to.equal(5);
+		expect(priceAt(tariff)).to.equal(5);
+	});
+
+	it('prices the litres used since the last poll at the current tariff', () => {
+		const start = { today: 0, month: 10, year: 10, total: 100, volume: 0, last: at(0, 5, 12) };
+		const noon = accumulateCost(tariff, start, { daily: 200, time: at(0, 5, 12) });
+		const night = accumulateCost(tariff, noon, { daily: 700, time: at(0, 5, 23) });
+
+		expect(noon).to.deep.equal({ today: 1, month: 11, year: 11, total: 101, volume: 200, last: at(0, 5, 12) });
+		expect(night).to.include({ today: 3, month: 13, year: 13, total: 103, volume: 700 });
+	});
+
+	it('resets the periods and adds the monthly fee for new months', () => {
+		const december = { today: 3, month: 40, year: 400, total: 1000, volume: 700, last: at(11, 31, 12) };
+		const nextDay = accumulateCost(tariff, december, { daily: 100, time: at(12, 1, 12) });
+		const march = accumulateCost(tariff, nextDay, { daily: 0, time: at(14, 2, 12) });
+
+		expect(monthsBetween(at(0, 31, 0), at(2, 1, 0))).to.equal(3);
+		expect(nextDay).to.include({ today: 0.5, month: 10.5, year: 10.5, total: 1010.5, volume: 100 });
+		expect(march).to.include({ today: 0, month: 10, year: 30.5, total: 1030.5, volume: 0 });
+	});
+
+	it('prices the rest of the last day from the aggregated litres on a new day', () => {
+		const evening = { today: 3, month: 40, year: 400, total: 1000, volume: 700, last: at(0, 5, 20) };
+		const nextDay = accumulateCost(tariff, evening, { daily: 100, time: at(0, 6, 12), lastDay: 950 });
+		const newYear = accumulateCost(
+			tariff,
+			{ ...evening, last: at(11, 31, 20) },
+			{ daily: 0, time: at(12, 1, 12), lastDay: 950 },
+		);
+
+		// 250 l at the night tariff, then 100 l of the new day
+		expect(nextDay).to.include({ today: 0.5, month: 41.5, year: 401.5, total: 1001.5, volume: 100 });
+		expect(newYear).to.include({ today: 0, month: 10, year: 10, total: 1011 });
+	});
+});
@@ -11,6 +11,47 @@ const {
 	getLocalizedCategoryName,
 } = require('./lib/notificationMessages');
 const { dumpApiStructure } = require('./lib/apiDump');
+const { runWithConcurrency } = require('./lib/taskPool');
+const { ENDPOINTS, DEFERRABLE_ENDPOINTS, buildPollSchedule } = require('./lib/pollSchedule');
+const {
+	ALARMS,
+	buildAlarmRules,
+	isUnread,
+	evaluateAlarms,
+	nextLifecycle,
+	escalationDelayMinutes,
+} = require('./lib/alarms');
+const { buildLeakRules, matchesLeakCondition } = require('./lib/leakRules');
+const { parseVacationTime, isPresenceAway, isVacationAway, nextVacationCheck } = require('./lib/vacation');
+const { WEEKDAYS, nextPressureTest, appendPressureHistory, isRisingTrend } = require('./lib/pressureTest');
+const {
+	buildBudgetRules,
+	budgetsFor,
+	parseThresholds,
+	parseAllowedHours,
+	localDate,
+	periodStart,
+	evaluateBudget,
+} = require('./lib/waterBudget');
+const { buildFlowRules, flowRuleFor, isInSprinklerWindow, evaluateFlowRule } = require('./lib/flowRules');
+const { buildTariff, priceAt, monthsBetween, accumulateCost } = require('./lib/waterCost');
+const { buildBackoffPolicy, computeBackoff } = require('./lib/backoff');
+
+/** Endpoints due within this margin are fetched in the current cycle (timer drift) */
+const SCHEDULE_TOLERANCE_MS = 5000;
+
+/** Notifications fetched per device to replay what arrived while the adapter was stopped */
+const REPLAY_PAGE_SIZE = 50;
+
+/** Checks for the result of a pressure test before giving up (the test takes a few minutes) */
+const PRESSURE_VERIFY_ATTEMPTS = 10;
+
+/** sendTo commands acting on Grohe notifications -> action of _notificationAction */
+const NOTIFICATION_COMMANDS = {
+	markNotificationRead: 'read',
+	markAllNotificationsRead: 'readAll',
+	deleteNotification: 'delete',
+};
 
 // Device type constants (same as GroheTypes in Python grohe package)
 const GROHE_SENSE = 101;
@@ -26,27 +67,120 @@ class GroheSmarthome extends utils.Adapter {
 		this.client = null;
 		this.deviceManagement = new GroheDeviceManagement(this);
 		this.pollTimer = null;
+		/** Poll cycle currently running – the next one (timer or manual refresh) waits for it */
+		this._pollInFlight = null;
 		this.baseInterval = Math.max(60, Number(this.config.pollInterval) || 300);
 
 		/** Device registry – maps appliance_id to { locationId, roomId, applianceId, type, name } */
 		this.devices = new Map();
 
+		/** Poll cycle counter (first poll = 1) */
+		this.pollCount = 0;
+
 		/**
-		 * Poll cycle counter – used to reduce API calls for slowly changing data.
-		 * - Dashboard: every poll (core sensor data)
-		 * - Status (online/wifi/update): every 5th poll
-		 * - Command (valve state): every 3rd poll
-		 * - Pressure measurement: every 10th poll
+		 * Poll interval in seconds per endpoint (see lib/pollSchedule.js), built
+		 * from config.pollInterval and the config.pollSchedule table in onReady.
+		 * The dashboard interval is the poll timer; the other endpoints are
+		 * fetched once their due time per appliance has passed.
 		 */
-		this.pollCount = 0;
+		this.pollSchedule = buildPollSchedule(300, [], this.log);
+
+		/** Backoff policies (see lib/backoff.js) for HTTP 403 and for 5xx / network errors */
+		this.backoffPolicies = {
+			forbidden: buildBackoffPolicy({}, '403', 300),
+			error: buildBackoffPolicy({}, 'Error', 300),
+		};
+
+		/** Clear rule per derived alarm (see lib/alarms.js), built from config.alarmRules in onReady */
+		this.alarmRules = buildAlarmRules([], this.log);
+
+		/**
+		 * External leak sensors (see lib/leakRules.js), built from config.leakRules in onReady.
+		 * _leakMatched: rule index -> last match, so only a change to "leak" closes the valve.
+		 */
+		this.leakRules = [];
+		this._leakMatched = new Map();
+
+		/**
+		 * Vacation mode per Sense Guard (controls.vacation.*). The settings live in
+		 * the states, so they survive restarts; these Maps only hold runtime data.
+		 * - _vacationTimers: applianceId -> timer for the next window boundary
+		 * - _vacationPresence: applianceId -> subscribed foreign presence state
+		 * - _vacationBusy: applianceId -> promise of the vacation check in progress
+		 * - _vacationRerun: appliances whose check was requested again while one was in progress
+		 * - _vacationFailed: applianceId -> direction (true = close) whose failure was already reported
+		 */
+		this._vacationTimers = new Map();
+		this._vacationPresence = new Map();
+		this._vacationBusy = new Map();
+		this._vacationRerun = new Set();
+		this._vacationFailed = new Map();
+
+		/**
+		 * Scheduled pressure test per Sense Guard (controls.pressureTest.*), settings in the states.
+		 * - _pressureTestTimers: applianceId -> timer for the next scheduled test
+		 * - _pressureVerify: applianceId -> timer of the running wait for the test result
+		 * - _pressureTestScheduled: appliances whose schedule was read – re-read only on a change
+		 */
+		this._pressureTestTimers = new Map();
+		this._pressureVerify = new Map();
+		this._pressureTestScheduled = new Set();
+
+		/**
+		 * Water budgets per Sense Guard (see lib/waterBudget.js), built from config.waterBudgets in onReady.
+		 * _budgetBase: applianceId -> { date, day, week, month } – litres of each period before today,
+		 * fetched from /data/aggregated once per day.
+		 */
+		this.budgetRules = [];
+		this.budgetThresholds = parseThresholds('80, 100');
+		this.budgetAllowedHours = parseAllowedHours('');
+		this._budgetBase = new Map();
+		/** Budget channels (`<id>.budget.<period>`) whose failed shut-off was already reported */
+		this._budgetShutOffFailed = new Set();
+
+		/**
+		 * Local flow rules per Sense Guard (see lib/flowRules.js), built from config.flowRules in onReady.
+		 * - _flowSince: applianceId -> unix ms the flow was first seen above the rule's limit
+		 * - _flowWithdrawal: applianceId -> { volume, inWindow } of the last withdrawal and
+		 *   whether it was first seen in the sprinkler window (then it never matches)
+		 * - _flowShutOffFailed: appliances whose failed shut-off was already reported, retried while the rule matches
+		 */
+		this.flowRules = [];
+		this._flowSince = new Map();
+		this._flowWithdrawal = new Map();
+		this._flowShutOffFailed = new Set();
+
+		/**
+		 * Water cost (see lib/waterCost.js): tariff built from the Consumption tab in onReady (null = off).
+		 * _costState: applianceId -> { today, month, year, total, volume, last }, restored from cost.*.
+		 */
+		this.waterTariff = null;
+		this._costState = new Map();
+
+		/** Next due time per appliance and endpoint – applianceId -> { [endpoint]: unix-ms } */
+		this._dueTimes = new Map();
 
 		/**
 		 * Exponential backoff state for polling errors.
 		 * On each consecutive failure the interval doubles (up to 1 hour).
 		 * A successful poll resets it back to the configured interval.
+		 * - consecutiveErrors: all failures since the last successful poll
+		 * - _policyErrors: the same per backoff policy, so 5xx and 403 runs do not inflate each other
 		 */
 		this.consecutiveErrors = 0;
+		this._policyErrors = { forbidden: 0, error: 0 };
 		this.currentPollInterval = 0; // set in onReady from config
+		/** Interval (s) the poll timer was last armed with – fast or regular */
+		this.scheduledInterval = 0;
+
+		/**
+		 * Adaptive fast polling while a Guard reports flow or an alarm is unresolved.
+		 * - _fastPollReason: why fast mode is wanted after the last poll (null = not wanted)
+		 * - _fastPollUsed: fast-mode seconds scheduled today, capped by config.fastPollMaxMinutesPerDay
+		 */
+		this._fastPollReason = null;
+		this._fastPollActive = false;
+		this._fastPollUsed = { day: '', seconds: 0, capLogged: false };
 
 		/**
 		 * Total consumption cache per Sense Guard.
@@ -63,21 +197,78 @@ class GroheSmarthome extends utils.Adapter {
 		 */
 		this._blueRefreshRunning = new Map();
 
+		/** Delay between readbacks while waiting for a command to be confirmed */
+		this.commandConfirmIntervalMs = 5000;
+
+		/** Delay between checks for the result of a pressure test */
+		this.pressureVerifyIntervalMs = 60000;
+
 		/**
 		 * Tracks the timestamp of the last seen Grohe notification per device.
 		 * Used to detect new notifications and avoid sending duplicates.
 		 * Maps applianceId -> ISO timestamp string.
-		 * Reset on adapter restart (any missed notifications during downtime are skipped).
+		 * Restored on startup from notifications.latestTimestamp; notifications that
+		 * arrived in the meantime are replayed on the first poll (_replayPending).
 		 */
 		this._notifLastSeen = new Map();
+		this._replayPending = new Set();
+
+		/** Notification history per device (newest first) – applianceId -> entries, mirrored in notifications.history */
+		this._notifHistory = new Map();
 
 		/**
 		 * Tracks the last known online status per device for change detection.
 		 * Maps applianceId -> boolean (true = online, false = offline).
-		 * Reset on adapter restart.
+		 * Restored on startup from status.online.
 		 */
 		this._deviceOnlineState = new Map();
 
+		/**
+		 * Stale-data watchdog: last known stale flag per device, for change detection.
+		 * Maps applianceId -> boolean (true = lastMeasurement older than the max. age).
+		 */
+		this._dataStale = new Map();
+
+		/**
+		 * Derived alarms: newest notification timestamp (ms) already evaluated per device.
+		 * Restored on startup from notifications.latestTimestamp.
+		 */
+		this._alarmWatermark = new Map();
+
+		/**
+		 * Derived alarm states per device: applianceId -> { [alarm name]: boolean }, including
+		 * localFlowRule. Read from alarms.* once per device, then kept in sync on every write.
+		 */
+		this._alarmStates = new Map();
+
+		/**
+		 * Alarm lifecycle per device (category-30 notifications):
+		 * applianceId -> { phase: 'active' | 'acknowledged', since, repeats, timer }.
+		 * Restored on startup from alarms.active / alarms.acknowledged / alarms.since.
+		 */
+		this._alarmLifecycle = new Map();
+
+		/**
+		 * Appliance reconciliation against the dashboard.
+		 * - _knownDevices: applianceId -> name, seeded from the device objects on startup
+		 * - _missingPolls: applianceId -> consecutive polls the appliance was missing
+		 */
+		this._knownDevices = new Map();
+		this._missingPolls = new Map();
+		this._reconciledOnce = false;
+
+		/**
+		 * Write-on-change caches (reset on adapter restart).
+		 * - _objectCache: object ID -> JSON of the last ensured definition
+		 * - _stateCache: state ID -> last value written with ack=true
+		 * - _subscribed: state IDs already subscribed
+		 * _writesSaved counts the object and state writes skipped in the current poll cycle.
+		 */
+		this._objectCache = new Map();
+		this._stateCache = new Map();
+		this._subscribed = new Set();
+		this._writesSaved = 0;
+
 		/** ioBroker system language, read at startup from system.config */
 		this.systemLanguage = 'en';
 
@@ -103,6 +294,25 @@ class GroheSmarthome extends utils.Adapter {
 			this.systemLanguage = 'en';
 		}
 
+		this.pollSchedule = buildPollSchedule(this.config.pollInterval, this.config.pollSchedule, this.log);
+		this.baseInterval = this.pollSchedule.dashboard;
+		this.currentPollInterval = this.baseInterval;
+		this.backoffPolicies = {
+			forbidden: buildBackoffPolicy(this.config, '403', this.baseInterval),
+			error: buildBackoffPolicy(this.config, 'Error', this.baseInterval),
+		};
+		this.log.debug(`Poll schedule (s): ${JSON.stringify(this.pollSchedule)}`);
+		this.alarmRules = buildAlarmRules(this.config.alarmRules, this.log);
+		this.leakRules = buildLeakRules(this.config.leakRules, this.log);
+		this.budgetRules = buildBudgetRules(this.config.waterBudgets, this.log);
+		this.budgetThresholds = parseThresholds(this.config.budgetThresholds ?? '80, 100');
+		this.budgetAllowedHours = parseAllowedHours(this.config.budgetAllowedHours);
+		this.flowRules = buildFlowRules(this.config.flowRules, this.log);
+		this.waterTariff = buildTariff(this.config, this.log);
+
+		await this.subscribeStatesAsync('info.refreshNow');
+		await this._initLeakSensors();
+
 		await this.setObjectNotExistsAsync('auth.refreshToken', {
 			type: 'state',
 			common: { name: 'Refresh Token (encrypted)', type: 'string', role: 'text', read: true, write: false },
@@ -110,7 +320,17 @@ class GroheSmarthome extends utils.Adapter {
 		});
 
 		try {
-			this.client = new GroheClient(this.log, this.setTimeout.bind(this));
+			this.client = new GroheClient(this.log, this.setTimeout.bind(this), {
+				baseUrl: this.config.apiBaseUrl,
+				maxRequestsPerMinute: Number(this.config.maxRequestsPerMinute) || 0,
+				maxRequestsPerDay: Number(this.config.maxRequestsPerDay) || 0,
+				onCommandQueue: (applianceId, length) => this._updateCommandQueueState(applianceId, length),
+				onCommandResult: (applianceId, result) => this._updateCommandResultState(applianceId, result),
+			});
+			if (this.config.apiBaseUrl) {
+				this.log.info(`Using custom API base URL: ${this.client.baseUrl}`);
+			}
+			await this._restoreApiBudget();
 
 			const email = (this.config.email || '').trim();
 			const password = this.config.password || '';
@@ -154,17 +374,17 @@ class GroheSmarthome extends utils.Adapter {
 			await this.setState('info.connection', { val: true, ack: true });
 
 			// 3) Initial poll
-			await this.pollDevices();
+			await this._loadKnownDevices();
+			await this._restoreTracking();
+			// Through _runPoll, so a refresh requested meanwhile waits for it
+			await this._runPoll();
 
-			// 4) Set up polling interval (minimum 60s)
-			const configuredInterval = this.config.pollInterval;
-			this.log.debug(`Config pollInterval: ${configuredInterval} (type: ${typeof configuredInterval})`);
-			this.baseInterval = Math.max(60, Number(configuredInterval) > 0 ? Number(configuredInterval) : 300);
-			this.currentPollInterval = this.baseInterval;
+			// 4) Set up polling interval (dashboard interval, minimum 60s; longer after a failed first poll)
 			this._schedulePoll();
 			this.log.info(`Polling active: every ${this.baseInterval}s`);
 		} catch (err) {
 			await this.setState('info.connection', { val: false, ack: true });
+			await this._setLastError(err?.response?.status, err.message);
 			this.log.warn(`Initialization failed: ${err.message}`);
 		}
 	}
@@ -174,37 +394,171 @@ class GroheSmarthome extends utils.Adapter {
 	/* ================================================================== */
 
 	/**
-	 * Schedule the next poll using the current (possibly backed-off) interval.
+	 * Schedule the next poll using the current (possibly backed-off) interval,
+	 * or the fast interval while adaptive polling is active.
 	 */
 	_schedulePoll() {
 		if (this.pollTimer) {
 			this.clearTimeout(this.pollTimer);
 		}
+		this.scheduledInterval = this._nextPollInterval();
+		// Not awaited – the timer is armed right away; a failed write (e.g. during unload) is only logged
+		const logFailure = err => this.log.debug(`Publishing the poll schedule failed: ${err.message}`);
+		this.setState('info.currentInterval', { val: this.scheduledInterval, ack: true }).catch(logFailure);
+		this.setState('info.nextPoll', { val: Date.now() + this.scheduledInterval * 1000, ack: true }).catch(
+			logFailure,
+		);
 		this.pollTimer = this.setTimeout(async () => {
-			await this.pollDevices();
+			await this._runPoll();
+			this._schedulePoll();
+		}, this.scheduledInterval * 1000);
+	}
+
+	/**
+	 * Run a poll cycle once the one in progress has finished, so two cycles
+	 * never update due times and backoff state at the same time.
+	 *
+	 * @param {Parameters<GroheSmarthome['pollDevices']>[0]} [options] - manual refresh options
+	 */
+	async _runPoll(options) {
+		while (this._pollInFlight) {
+			await this._pollInFlight;
+		}
+		this._pollInFlight = this.pollDevices(options).finally(() => {
+			this._pollInFlight = null;
+		});
+		await this._pollInFlight;
+	}
+
+	/**
+	 * Poll immediately with every endpoint due (as on the first poll) and
+	 * re-arm the regular timer. Requests still pass the rate limiter.
+	 *
+	 * @param {string} [applianceId] - only refresh this appliance
+	 * @returns {Promise<{success: boolean, error?: string}>} outcome of the refresh
+	 */
+	async refreshNow(applianceId) {
+		if (!this.client) {
+			return { success: false, error: 'Not connected' };
+		}
+		if (applianceId && !this.devices.has(applianceId)) {
+			return { success: false, error: `Unknown appliance ${applianceId}` };
+		}
+		if (this.client.limiter.exhausted) {
+			return { success: false, error: `Daily API budget exhausted (${this.client.limiter.perDay} requests)` };
+		}
+		this.log.info(`Manual refresh${applianceId ? ` of ${applianceId}` : ''} requested`);
+		await this._runPoll({ applianceId, full: true });
+		if (this.client) {
 			this._schedulePoll();
-		}, this.currentPollInterval * 1000);
+		}
+		return this.consecutiveErrors === 0 ? { success: true } : { success: false, error: 'Polling failed' };
+	}
+
+	/**
+	 * Pick the fast interval while water flows or an alarm is unresolved –
+	 * never during backoff, a budget pause or a low API budget, and only until
+	 * the daily fast-mode allowance is used up.
+	 */
+	_nextPollInterval() {
+		const fastInterval = Math.max(30, Number(this.config.fastPollInterval) || 60);
+		const wantFast =
+			!!this.config.fastPollEnabled &&
+			!!this._fastPollReason &&
+			this.consecutiveErrors === 0 &&
+			!this._budgetPaused &&
+			!this.client?.limiter.budgetLow &&
+			fastInterval < this.currentPollInterval;
+
+		const today = new Date().toDateString();
+		if (this._fastPollUsed.day !== today) {
+			this._fastPollUsed = { day: today, seconds: 0, capLogged: false };
+		}
+		const capSeconds = Math.max(0, Number(this.config.fastPollMaxMinutesPerDay) || 0) * 60;
+		const capReached = this._fastPollUsed.seconds + fastInterval > capSeconds;
+		if (wantFast && capReached && !this._fastPollUsed.capLogged) {
+			this.log.info(
+				`Fast polling allowance of ${capSeconds / 60} min used up for today – staying at ${this.currentPollInterval}s`,
+			);
+			this._fastPollUsed.capLogged = true;
+		}
+
+		if (!wantFast || capReached) {
+			if (this._fastPollActive) {
+				this.log.info(`Fast polling ended – back to ${this.currentPollInterval}s`);
+				this._fastPollActive = false;
+			}
+			return this.currentPollInterval;
+		}
+
+		this._fastPollUsed.seconds += fastInterval;
+		if (!this._fastPollActive) {
+			this.log.info(`Fast polling every ${fastInterval}s: ${this._fastPollReason}`);
+			this._fastPollActive = true;
+		}
+		return fastInterval;
+	}
+
+	/**
+	 * @param {Array<{appliance: object}>} jobs - appliances from this poll cycle
+	 * @returns {string | null} reason for fast polling, or null when nothing is going on
+	 */
+	_detectFastPollReason(jobs) {
+		for (const { appliance } of jobs) {
+			const name = appliance.name || appliance.appliance_id;
+			if (appliance.type === GROHE_SENSE_GUARD && Number(appliance.data_latest?.measurement?.flowrate) > 0) {
+				return `water flowing at ${name}`;
+			}
+			const notifications = Array.isArray(appliance.notifications) ? appliance.notifications : [];
+			if (notifications.some(n => n.category === 30 && !n.is_read)) {
+				return `unresolved alarm at ${name}`;
+			}
+		}
+		return null;
 	}
 
-	async pollDevices() {
+	/**
+	 * @param {object} [options] - manual refresh options
+	 * @param {string} [options.applianceId] - only process this appliance
+	 * @param {boolean} [options.full] - fetch every endpoint regardless of its due time
+	 */
+	async pollDevices(options = {}) {
 		if (!this.client) {
 			return;
 		}
 
+		// Daily API budget used up: skip polling until the counter resets at midnight
+		if (this.client.limiter.exhausted) {
+			this._pauseForBudget();
+			await this._updateApiBudgetStates();
+			return;
+		}
+		if (this._budgetPaused) {
+			this._budgetPaused = false;
+			this.currentPollInterval = this.baseInterval;
+		}
+
 		this.pollCount++;
-		// Determine which extra endpoints to fetch this cycle
-		const isFirstPoll = this.pollCount === 1;
-		const fetchStatus = isFirstPoll || this.pollCount % 5 === 0;
-		const fetchCommand = isFirstPoll || this.pollCount % 3 === 0;
-		const fetchPressure = isFirstPoll || this.pollCount % 10 === 0;
-		const fetchConsumption = isFirstPoll || this.pollCount % 5 === 0;
-		const fetchConfig = isFirstPoll || this.pollCount % 10 === 0;
 
-		this.log.debug(
-			`Poll cycle #${this.pollCount} (status=${fetchStatus}, command=${fetchCommand}, ` +
-				`pressure=${fetchPressure}, consumption=${fetchConsumption}, config=${fetchConfig})`,
-		);
+		// Daily API budget nearly used up: defer non-essential endpoints
+		const budgetLow = this.client.limiter.budgetLow;
+		if (budgetLow) {
+			if (!this._budgetLowLogged) {
+				this.log.info(
+					`API budget low (${this.client.limiter.remainingToday} requests left today) – ` +
+						'deferring status, pressure and config queries',
+				);
+				this._budgetLowLogged = true;
+			}
+		} else {
+			this._budgetLowLogged = false;
+		}
+
+		this.log.debug(`Poll cycle #${this.pollCount}`);
 
+		const pollStart = Date.now();
+		this._writesSaved = 0;
+		let pollFailed = false;
 		try {
 			const dashboard = await this.client.getDashboard();
 			if (this.client.usingFallbackDiscovery && !this._fallbackLogged) {
@@ -249,9 +603,12 @@ class GroheSmarthome extends utils.Adapter {
 					);
 				}
 				this.consecutiveErrors = 0;
+				this._policyErrors = { forbidden: 0, error: 0 };
 				this.currentPollInterval = this.baseInterval;
 			}
 
+			const jobs = [];
+			const listedIds = [];
 			const locations = dashboard?.locations || [];
 			for (const location of locations) {
 				const locationId = location.id;
@@ -262,77 +619,215 @@ class GroheSmarthome extends utils.Adapter {
 					const appliances = room.appliances || [];
 
 					for (const appliance of appliances) {
+						listedIds.push(appliance.appliance_id);
 						if (appliance.registration_complete === false) {
 							this.log.debug(`Appliance ${appliance.appliance_id} not registered – skipped`);
 							continue;
 						}
-						await this._processAppliance(locationId, roomId, appliance, {
-							fetchStatus,
-							fetchCommand,
-							fetchPressure,
-							fetchConsumption,
-							fetchConfig,
-						});
+						jobs.push({ locationId, roomId, appliance });
 					}
 				}
 			}
-		} catch (err) {
-			await this.setState('info.connection', { val: false, ack: true });
 
-			// Exponential backoff: double the interval on each consecutive failure
-			this.consecutiveErrors++;
-			const MAX_BACKOFF = 3600; // 1 hour
-			const backoff = Math.min(MAX_BACKOFF, this.baseInterval * Math.pow(2, this.consecutiveErrors));
-
-			if (backoff >= MAX_BACKOFF) {
-				// After reaching 1h backoff: pause until 12:00 or 00:00
-				// This avoids further spam and gives the API a full rest period.
-				const now = new Date();
-				const target = new Date(now);
-				if (now.getHours() < 12) {
-					target.setHours(12, 0, 0, 0);
-				} else {
-					target.setDate(target.getDate() + 1);
-					target.setHours(0, 0, 0, 0);
+			this._fastPollReason = this._detectFastPollReason(jobs);
+
+			const selected = options.applianceId
+				? jobs.filter(job => job.appliance.appliance_id === options.applianceId)
+				: jobs;
+			if (options.full) {
+				selected.forEach(job => this._dueTimes.delete(job.appliance.appliance_id));
+			}
+
+			// Process appliances in parallel (bounded) – a failing device does not hold up the others
+			const results = await runWithConcurrency(selected, this.config.pollConcurrency, job =>
+				this._processAppliance(
+					job.locationId,
+					job.roomId,
+					job.appliance,
+					this._takeDueEndpoints(job.appliance.appliance_id, pollStart, budgetLow),
+				),
+			);
+			const failures = [];
+			results.forEach((result, i) => {
+				if (result.status === 'rejected') {
+					failures.push(result.reason);
+					this.log.warn(`Processing ${selected[i].appliance.appliance_id} failed: ${result.reason?.message}`);
 				}
-				this.currentPollInterval = Math.round((target.getTime() - now.getTime()) / 1000);
+			});
+			// Only a cycle in which every appliance failed counts as a polling error – except auth
+			// and 403 errors, which concern the whole account and must reach the backoff
+			const accountError = failures.find(err => [401, 403].includes(err?.response?.status));
+			if (accountError) {
+				throw accountError;
+			}
+			if (failures.length > 0 && failures.length === selected.length) {
+				throw failures[0];
+			}
+
+			await this._reconcileAppliances(listedIds);
+			await this._updateLocationCosts(locations);
+		} catch (err) {
+			pollFailed = true;
+			if (this.client.limiter.exhausted) {
+				// The budget ran out during this cycle – no connection problem, so no backoff
+				this.log.debug(`Poll cycle #${this.pollCount} stopped: ${err.message}`);
+				this._pauseForBudget();
 			} else {
-				this.currentPollInterval = backoff;
+				await this._handlePollError(err);
 			}
+		}
+		if (!this._budgetPaused && this.client?.limiter.exhausted) {
+			this._pauseForBudget();
+		}
 
-			const nextTryDate = new Date(Date.now() + this.currentPollInterval * 1000);
-			const nextTryStr = nextTryDate.toLocaleTimeString(this.systemLanguage || undefined, {
-				hour: '2-digit',
-				minute: '2-digit',
-				second: '2-digit',
-			});
+		await this.setState('info.pollDuration', { val: Date.now() - pollStart, ack: true });
+		await this.setState('info.writesSaved', { val: this._writesSaved, ack: true });
+		await this.setState('info.consecutiveErrors', { val: this.consecutiveErrors, ack: true });
+		if (!pollFailed) {
+			await this.setState('info.lastSuccessfulPoll', { val: Date.now(), ack: true });
+		}
+		await this._updateApiBudgetStates();
+	}
 
-			const httpStatus = err?.response?.status;
-			const reason =
-				httpStatus === 403
-					? 'HTTP 403 (Forbidden). This may be caused by too frequent polling or the Grohe app/account may need checking'
-					: err.message;
+	/**
+	 * Stop polling until the daily API budget resets at midnight.
+	 */
+	_pauseForBudget() {
+		const midnight = new Date();
+		midnight.setHours(24, 0, 5, 0);
+		this.currentPollInterval = Math.max(60, Math.round((midnight.getTime() - Date.now()) / 1000));
+		if (!this._budgetPaused) {
 			this.log.warn(
-				`Polling failed: ${reason}. ` +
-					`Next try at ${nextTryStr} (interval: ${this.currentPollInterval}s, errors: ${this.consecutiveErrors})`,
+				`Daily API budget of ${this.client?.limiter.perDay} requests used up – polling paused until midnight`,
 			);
+			this._budgetPaused = true;
+		}
+	}
 
-			// Send connection-error notification on every polling failure
-			if (this.config.notifyEnabled && this.config.notifyOnConnError) {
-				const notifReason =
-					httpStatus === 403 ? getNotificationMessage(this, 'reason403') : err.message || String(err);
-				const localReason = getNotificationMessage(this, 'pollingError', {
-					status: httpStatus || '?',
-					reason: notifReason,
-				});
-				const localRetry = getNotificationMessage(this, 'pollingRetry', {
-					time: nextTryStr,
-					interval: this.currentPollInterval,
-					errors: this.consecutiveErrors,
-				});
-				await sendNotification(this, `${localReason}\n${localRetry}`);
+	/**
+	 * Back off after a failed poll cycle, publish the error and notify.
+	 *
+	 * @param {Error & {response?: {status?: number}}} err - error of the cycle
+	 */
+	async _handlePollError(err) {
+		await this.setState('info.connection', { val: false, ack: true });
+
+		// Exponential backoff – HTTP 403 (rate limit / account) and other errors have separate policies
+		this.consecutiveErrors++;
+		const httpStatus = err?.response?.status;
+		const policyKey = httpStatus === 403 ? 'forbidden' : 'error';
+		const policy = this.backoffPolicies[policyKey];
+		this._policyErrors[policyKey]++;
+		const { delay, longPause } = computeBackoff(policy, this._policyErrors[policyKey]);
+		this.currentPollInterval = delay;
+		if (longPause) {
+			this.log.info(`Backoff reached its cap of ${policy.max}s – long pause of ${delay}s`);
+		}
+
+		const nextTryDate = new Date(Date.now() + this.currentPollInterval * 1000);
+		const nextTryStr = nextTryDate.toLocaleTimeString(this.systemLanguage || undefined, {
+			hour: '2-digit',
+			minute: '2-digit',
+			second: '2-digit',
+		});
+
+		const reason =
+			httpStatus === 403
+				? 'HTTP 403 (Forbidden). This may be caused by too frequent polling or the Grohe app/account may need checking'
+				: err.message;
+		this.log.warn(
+			`Polling failed: ${reason}. ` +
+				`Next try at ${nextTryStr} (interval: ${this.currentPollInterval}s, errors: ${this.consecutiveErrors})`,
+		);
+		await this._setLastError(httpStatus, reason);
+
+		// Send connection-error notification on every polling failure
+		if (this.config.notifyEnabled && this.config.notifyOnConnError) {
+			const notifReason =
+				httpStatus === 403 ? getNotificationMessage(this, 'reason403') : err.message || String(err);
+			const localReason = getNotificationMessage(this, 'pollingError', {
+				status: httpStatus || '?',
+				reason: notifReason,
+			});
+			const localRetry = getNotificationMessage(this, 'pollingRetry', {
+				time: nextTryStr,
+				interval: this.currentPollInterval,
+				errors: this.consecutiveErrors,
+			});
+			await sendNotification(this, `${localReason}\n${localRetry}`);
+		}
+	}
+
+	/**
+	 * Publish the last polling / login error.
+	 *
+	 * @param {number | undefined} httpStatus - HTTP status, undefined when no response arrived
+	 * @param {string} reason - error description
+	 */
+	async _setLastError(httpStatus, reason) {
+		await this.setState('info.lastErrorStatus', { val: httpStatus || 0, ack: true });
+		await this.setState('info.lastErrorReason', { val: reason, ack: true });
+	}
+
+	/**
+	 * Decide which endpoints are due for an appliance in this cycle and move
+	 * their due time one interval ahead. Endpoints deferred because of a low
+	 * API budget stay due and are fetched once the budget allows it.
+	 *
+	 * @returns {object} fetchStatus, fetchCommand, ... flags
+	 */
+	_takeDueEndpoints(applianceId, now, budgetLow) {
+		let due = this._dueTimes.get(applianceId);
+		if (!due) {
+			due = {};
+			this._dueTimes.set(applianceId, due);
+		}
+		const flags = {};
+		const taken = [];
+		for (const [endpoint, { flag }] of Object.entries(ENDPOINTS)) {
+			if (!flag) {
+				continue;
+			}
+			const isDue = due[endpoint] === undefined || now + SCHEDULE_TOLERANCE_MS >= due[endpoint];
+			flags[flag] = isDue && !(budgetLow && DEFERRABLE_ENDPOINTS.includes(endpoint));
+			if (flags[flag]) {
+				due[endpoint] = now + this.pollSchedule[endpoint] * 1000;
+				taken.push(endpoint);
 			}
 		}
+		this.log.debug(`Due endpoints for ${applianceId}: ${taken.join(', ') || 'none'}`);
+		return flags;
+	}
+
+	/* ================================================================== */
+	/*  API budget (rate limiter)                                         */
+	/* ================================================================== */
+
+	/**
+	 * Publish the limiter counters as info.apiCallsToday / info.apiBudgetRemaining.
+	 */
+	async _updateApiBudgetStates() {
+		if (!this.client) {
+			return;
+		}
+		const limiter = this.client.limiter;
+		await this.setState('info.apiCallsToday', { val: limiter.callsToday, ack: true });
+		await this.setState('info.apiBudgetRemaining', { val: limiter.remainingToday, ack: true });
+	}
+
+	/**
+	 * Carry today's call count over an adapter restart so the daily budget
+	 * cannot be bypassed by restarting the instance.
+	 */
+	async _restoreApiBudget() {
+		if (!this.client) {
+			return;
+		}
+		const state = await this.getStateAsync('info.apiCallsToday');
+		if (state && typeof state.val === 'number' && new Date(state.ts).toDateString() === new Date().toDateString()) {
+			this.client.limiter.restore(state.val);
+			this.log.debug(`Restored API call count for today: ${state.val}`);
+		}
 	}
 
 	/* ================================================================== */
@@ -346,7 +841,7 @@ class GroheSmarthome extends utils.Adapter {
 
 		this.devices.set(id, { locationId, roomId, applianceId: id, type, name });
 
-		// Fetch status only every 5th poll (online/wifi/update change slowly)
+		// Fetch status only when due (online/wifi/update change slowly)
 		let status = null;
 		if (flags.fetchStatus && this.client) {
 			try {
@@ -366,12 +861,16 @@ class GroheSmarthome extends utils.Adapter {
 				break;
 			case GROHE_BLUE_HOME:
 			case GROHE_BLUE_PROFESSIONAL:
-				await this._updateBlue(id, name, appliance, type, status, locationId, roomId);
+				await this._updateBlue(id, name, appliance, type, status, locationId, roomId, flags);
 				break;
 			default:
 				await this._ensureDevice(id, name, `UNKNOWN_${type}`);
 				this.log.debug(`Unknown device type ${type} for ${id}`);
+				return;
 		}
+
+		await this._checkDataAge(id, type);
+		await this._evaluateAlarms(id);
 	}
 
 	/**
@@ -457,7 +956,7 @@ class GroheSmarthome extends utils.Adapter {
 			dl.average_monthly_consumption,
 		);
 		// Total water consumption (calculated from /data/aggregated, like HA integration)
-		// Fetched every 5th poll – consumption changes slowly and uses extra API calls
+		// Fetched on the consumption schedule – changes slowly and uses extra API calls
 		if (flags.fetchConsumption) {
 			await this._updateTotalConsumption(id, locationId, roomId, appliance);
 		}
@@ -480,8 +979,11 @@ class GroheSmarthome extends utils.Adapter {
 			'value',
 			w.maxflowrate,
 		);
+		await this._updateWaterBudgets(id, locationId, roomId, dl.daily_consumption);
+		await this._evaluateFlowRule(id, m.flowrate, w.waterconsumption);
+		await this._updateWaterCost(id, locationId, roomId, appliance, dl.daily_consumption, m.timestamp);
 
-		// Valve state from command endpoint (every 3rd poll – rarely changes)
+		// Valve state from command endpoint (command schedule – rarely changes)
 		if (flags.fetchCommand && this.client) {
 			try {
 				const cmd = await this.client.getApplianceCommand(locationId, roomId, id);
@@ -491,7 +993,7 @@ class GroheSmarthome extends utils.Adapter {
 				this.log.warn(`Command query for ${id} failed: ${err.message}`);
 			}
 
-			// Snooze status (every 3rd poll – snooze is temporary, changes after start/stop)
+			// Snooze status (command schedule – snooze is temporary, changes after start/stop)
 			try {
 				const snooze = await this.client.getSnooze(locationId, roomId, id);
 				const isActive = !!(snooze && (snooze.snooze_active || snooze.snooze_duration));
@@ -506,43 +1008,13 @@ class GroheSmarthome extends utils.Adapter {
 			}
 		}
 
-		// Pressure measurement results (every 10th poll – only changes after manual trigger)
+		// Pressure measurement results (pressure schedule – only changes after manual trigger)
 		if (flags.fetchPressure && this.client) {
 			try {
 				const pm = await this.client.getAppliancePressureMeasurement(locationId, roomId, id);
 				const items = Array.isArray(pm) ? pm : pm?.items || pm?.data || [];
 				if (items.length > 0) {
-					const latest = items[0];
-					await this._ensureChannel(`${id}.pressureMeasurement`, 'Pressure measurement');
-					await this._setNum(
-						`${id}.pressureMeasurement`,
-						'dropOfPressure',
-						'Pressure drop',
-						'bar',
-						'value',
-						latest.drop_of_pressure,
-					);
-					await this._setBool(
-						`${id}.pressureMeasurement`,
-						'isLeakage',
-						'Leakage detected',
-						'indicator',
-						latest.leakage,
-					);
-					await this._setStr(
-						`${id}.pressureMeasurement`,
-						'leakageLevel',
-						'Leakage level',
-						'text',
-						latest.level,
-					);
-					await this._setStr(
-						`${id}.pressureMeasurement`,
-						'startTime',
-						'Measurement time',
-						'date',
-						latest.start_time,
-					);
+					await this._updatePressureMeasurement(id, items[0]);
 				}
 			} catch (err) {
 				if (err?.response?.status === 404) {
@@ -569,6 +1041,7 @@ class GroheSmarthome extends utils.Adapter {
 			'Start pressure measurement',
 			'button',
 		);
+		await this._ensureCommandStates(id);
 
 		// Snooze sub-channel inside controls
 		await this._ensureChannel(`${id}.controls.snooze`, 'Snooze');
@@ -587,7 +1060,7 @@ class GroheSmarthome extends utils.Adapter {
 			write: false,
 		});
 
-		// Sprinkler sub-channel inside controls – states always present; values refreshed every 10th poll
+		// Sprinkler sub-channel inside controls – states always present; values refreshed on the config schedule
 		const sprinklerDays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
 		await this._ensureChannel(`${id}.controls.sprinkler`, 'Sprinkler mode');
 		await this._ensureWritableNum(`${id}.controls.sprinkler`, 'startHour', 'Start time – hours', 'value', 0, {
@@ -615,6 +1088,62 @@ class GroheSmarthome extends utils.Adapter {
 			await this._ensureWritableBool(`${id}.controls.sprinkler`, `active${cap}`, `Active on ${cap}`, 'switch');
 		}
 		await this._ensureWritableBool(`${id}.controls.sprinkler`, 'save', 'Save sprinkler settings', 'button');
+
+		// Vacation sub-channel inside controls – the settings are kept in the states
+		await this._ensureChannel(`${id}.controls.vacation`, 'Vacation mode');
+		await this._ensureWritableBool(`${id}.controls.vacation`, 'enabled', 'Vacation mode enabled', 'switch');
+		await this._ensureWritableStr(`${id}.controls.vacation`, 'start', 'Vacation start', 'date.start');
+		await this._ensureWritableStr(`${id}.controls.vacation`, 'end', 'Vacation end', 'date.end');
+		await this._ensureWritableStr(
+			`${id}.controls.vacation`,
+			'presenceState',
+			'Presence state ID (optional)',
+			'text',
+		);
+		await this._ensureState(`${id}.controls.vacation.active`, {
+			name: 'Valve closed for vacation',
+			type: 'boolean',
+			role: 'indicator',
+			read: true,
+			write: false,
+			def: false,
+		});
+		await this._ensureState(`${id}.controls.vacation.closedValve`, {
+			name: 'Valve closed by vacation mode',
+			type: 'boolean',
+			role: 'indicator',
+			read: true,
+			write: false,
+			def: false,
+		});
+		// Switching the valve waits for its confirmation – do not hold up the poll of the other devices
+		this._evaluateVacation(id).catch(err => this.log.warn(`Vacation check for ${id} failed: ${err.message}`));
+
+		// Pressure test schedule inside controls – settings kept in the states, the timer armed once
+		await this._ensureChannel(`${id}.controls.pressureTest`, 'Scheduled pressure test');
+		await this._ensureWritableBool(
+			`${id}.controls.pressureTest`,
+			'enabled',
+			'Scheduled pressure test enabled',
+			'switch',
+		);
+		await this._ensureWritableNum(`${id}.controls.pressureTest`, 'hour', 'Test time – hours', 'value', 3, {
+			min: 0,
+			max: 23,
+			unit: 'h',
+		});
+		await this._ensureWritableNum(`${id}.controls.pressureTest`, 'minute', 'Test time – minutes', 'value', 0, {
+			min: 0,
+			max: 59,
+			unit: 'min',
+		});
+		for (const day of WEEKDAYS) {
+			const cap = day.charAt(0).toUpperCase() + day.slice(1);
+			await this._ensureWritableBool(`${id}.controls.pressureTest`, `active${cap}`, `Test on ${cap}`, 'switch');
+		}
+		if (!this._pressureTestScheduled.has(id)) {
+			await this._schedulePressureTest(id);
+		}
 		await this._ensureWritableNum(
 			`${id}.controls`,
 			'withdrawalAmountLimit',
@@ -630,38 +1159,23 @@ class GroheSmarthome extends utils.Adapter {
 				const cfg = details?.config || {};
 				if (cfg.sprinkler_mode_start_time !== undefined) {
 					const totalMin = Number(cfg.sprinkler_mode_start_time);
-					await this.setState(`${id}.controls.sprinkler.startHour`, {
-						val: Math.floor(totalMin / 60),
-						ack: true,
-					});
-					await this.setState(`${id}.controls.sprinkler.startMinute`, {
-						val: totalMin % 60,
-						ack: true,
-					});
+					await this._writeState(`${id}.controls.sprinkler.startHour`, Math.floor(totalMin / 60));
+					await this._writeState(`${id}.controls.sprinkler.startMinute`, totalMin % 60);
 				}
 				if (cfg.sprinkler_mode_stop_time !== undefined) {
 					const totalMin = Number(cfg.sprinkler_mode_stop_time);
-					await this.setState(`${id}.controls.sprinkler.stopHour`, {
-						val: Math.floor(totalMin / 60),
-						ack: true,
-					});
-					await this.setState(`${id}.controls.sprinkler.stopMinute`, {
-						val: totalMin % 60,
-						ack: true,
-					});
+					await this._writeState(`${id}.controls.sprinkler.stopHour`, Math.floor(totalMin / 60));
+					await this._writeState(`${id}.controls.sprinkler.stopMinute`, totalMin % 60);
 				}
 				for (const day of sprinklerDays) {
 					const cap = day.charAt(0).toUpperCase() + day.slice(1);
 					const apiVal = cfg[`sprinkler_mode_active_${day}`];
 					if (apiVal !== undefined) {
-						await this.setState(`${id}.controls.sprinkler.active${cap}`, { val: !!apiVal, ack: true });
+						await this._writeState(`${id}.controls.sprinkler.active${cap}`, !!apiVal);
 					}
 				}
 				if (cfg.withdrawel_amount_limit !== undefined) {
-					await this.setState(`${id}.controls.withdrawalAmountLimit`, {
-						val: Number(cfg.withdrawel_amount_limit),
-						ack: true,
-					});
+					await this._writeState(`${id}.controls.withdrawalAmountLimit`, Number(cfg.withdrawel_amount_limit));
 				}
 			} catch (err) {
 				this.log.warn(`Config query for ${id} failed: ${err.message}`);
@@ -675,7 +1189,7 @@ class GroheSmarthome extends utils.Adapter {
 	/*  Blue Home / Professional (type 104/105)                           */
 	/* ================================================================== */
 
-	async _updateBlue(id, name, appliance, type, status, locationId, roomId) {
+	async _updateBlue(id, name, appliance, type, status, locationId, roomId, flags) {
 		const typeStr = type === GROHE_BLUE_HOME ? 'Blue Home' : 'Blue Professional';
 		await this._ensureDevice(id, `${name} (${typeStr})`, typeStr.toUpperCase().replace(' ', '_'));
 
@@ -687,8 +1201,8 @@ class GroheSmarthome extends utils.Adapter {
 
 		// Blue devices do NOT push measurements automatically – the device must
 		// be explicitly asked via get_current_measurement (the Grohe app does this too).
-		// Trigger a refresh every 3rd poll (including first poll after restart).
-		if (this.pollCount % 3 === 0 && locationId && roomId && this.client) {
+		// Trigger a refresh on the blueMeasurement schedule (including first poll after restart).
+		if (flags.fetchBlueMeasurement && locationId && roomId && this.client) {
 			const oldTimestamp = m.timestamp || null;
 			try {
 				await this.client.setApplianceCommand(locationId, roomId, id, {
@@ -815,37 +1329,258 @@ class GroheSmarthome extends utils.Adapter {
 		await this._ensureWritableBool(`${id}.controls`, 'dispenseTrigger', 'Dispense', 'button');
 		await this._ensureWritableBool(`${id}.controls`, 'resetCo2', 'Reset CO₂', 'button');
 		await this._ensureWritableBool(`${id}.controls`, 'resetFilter', 'Reset filter', 'button');
+		await this._ensureCommandStates(id);
 
 		// Raw measurement data (optional)
 	}
 
 	/* ================================================================== */
-	/*  Blue – Background refresh-and-verify                              */
+	/*  Pressure test (Sense Guard)                                       */
 	/* ================================================================== */
 
 	/**
-	 * Start a non-blocking background loop that polls the /details endpoint
-	 * until a newer measurement timestamp appears (or gives up after 30s).
+	 * Write the latest pressure measurement to pressureMeasurement.* and add a
+	 * new result to pressureMeasurement.history. Leakage and a rising pressure
+	 * drop are notified – not for the first result ever seen, which may be old.
 	 *
-	 * This mirrors the HA ha-grohe_smarthome BlueHomeCoordinator pattern:
-	 * after sending get_current_measurement, the Grohe cloud needs time to
-	 * fetch data from the device. We poll /details every 10s up to 3 times.
+	 * @param {string} id - Sense Guard appliance ID
+	 * @param {{start_time?: string, drop_of_pressure?: number, leakage?: boolean, level?: string}} latest - newest result of the cloud
+	 * @returns {Promise<boolean>} true when the result was new
+	 */
+	async _updatePressureMeasurement(id, latest) {
+		await this._ensureChannel(`${id}.pressureMeasurement`, 'Pressure measurement');
+		await this._setNum(
+			`${id}.pressureMeasurement`,
+			'dropOfPressure',
+			'Pressure drop',
+			'bar',
+			'value',
+			latest.drop_of_pressure,
+		);
+		await this._setBool(`${id}.pressureMeasurement`, 'isLeakage', 'Leakage detected', 'indicator', latest.leakage);
+		await this._setStr(`${id}.pressureMeasurement`, 'leakageLevel', 'Leakage level', 'text', latest.level);
+		await this._setStr(`${id}.pressureMeasurement`, 'startTime', 'Measurement time', 'date', latest.start_time);
+
+		const raw = (await this.getStateAsync(`${id}.pressureMeasurement.history`))?.val;
+		let history = [];
+		try {
+			const parsed = raw ? JSON.parse(String(raw)) : [];
+			history = Array.isArray(parsed) ? parsed : [];
+		} catch {
+			this.log.debug(`Pressure history of ${id} unreadable – starting a new one`);
+		}
+		const next = appendPressureHistory(
+			history,
+			{
+				timestamp: String(latest.start_time || ''),
+				dropOfPressure: Number(latest.drop_of_pressure),
+				isLeakage: latest.leakage === true,
+				leakageLevel: latest.level,
+			},
+			Number(this.config.pressureHistorySize) || 30,
+		);
+		if (!next) {
+			return false;
+		}
+		await this._ensureState(`${id}.pressureMeasurement.history`, {
+			name: 'Pressure test history (JSON)',
+			type: 'string',
+			role: 'json',
+			read: true,
+			write: false,
+		});
+		await this.setState(`${id}.pressureMeasurement.history`, { val: JSON.stringify(next), ack: true });
+		if (history.length === 0 || !this.config.notifyEnabled) {
+			return true;
+		}
+
+		const device = this.devices.get(id)?.name || id;
+		const params = { device, drop: Number(latest.drop_of_pressure), level: String(latest.level ?? '') };
+		if (latest.leakage === true && this.config.notifyOnAlarms) {
+			await sendNotification(this, getNotificationMessage(this, 'pressureLeakage', params));
+		} else if (isRisingTrend(next, Number(this.config.pressureTrendCount)) && this.config.notifyOnWarnings) {
+			const count = Math.floor(Number(this.config.pressureTrendCount));
+			await sendNotification(this, getNotificationMessage(this, 'pressureTrend', { ...params, count }));
+		}
+		return true;
+	}
+
+	/**
+	 * Arm the timer for the next scheduled pressure test from
+	 * controls.pressureTest.* and publish it in controls.pressureTest.nextRun.
 	 *
-	 * A guard flag prevents multiple concurrent verify loops for the same device.
+	 * @param {string} id - Sense Guard appliance ID
 	 */
-	_startBlueVerify(applianceId, locationId, roomId, oldTimestamp) {
-		if (this._blueRefreshRunning.get(applianceId)) {
-			this.log.debug(`Blue verify already running for ${applianceId}, skipping`);
+	async _schedulePressureTest(id) {
+		if (this._pressureTestTimers.has(id)) {
+			this.clearTimeout(this._pressureTestTimers.get(id));
+			this._pressureTestTimers.delete(id);
+		}
+		if (!this.devices.has(id) || this._isRemoved(id)) {
 			return;
 		}
+		this._pressureTestScheduled.add(id);
+		const base = `${id}.controls.pressureTest`;
+		const read = async name => (await this.getStateAsync(`${base}.${name}`))?.val;
+		let nextRun = '';
+		if ((await read('enabled')) === true) {
+			const days = [];
+			for (const day of WEEKDAYS) {
+				days.push((await read(`active${day.charAt(0).toUpperCase()}${day.slice(1)}`)) === true);
+			}
+			const now = Date.now();
+			const run = nextPressureTest({
+				hour: Number(await read('hour')),
+				minute: Number(await read('minute')),
+				days,
+				now,
+			});
+			nextRun = new Date(run).toISOString();
+			this._pressureTestTimers.set(
+				id,
+				this.setTimeout(() => {
+					this._pressureTestTimers.delete(id);
+					this._runPressureTest(id)
+						.catch(err => this.log.warn(`Scheduled pressure test for ${id} failed: ${err.message}`))
+						.finally(() =>
+							this._schedulePressureTest(id).catch(err =>
+								this.log.warn(`Pressure test schedule for ${id} failed: ${err.message}`),
+							),
+						);
+				}, run - now),
+			);
+		}
+		await this._setStr(base, 'nextRun', 'Next scheduled pressure test', 'date', nextRun);
+	}
 
-		this._blueRefreshRunning.set(applianceId, true);
-
-		const POLL_INTERVAL_MS = 10000; // 10 seconds between checks
-		const MAX_ATTEMPTS = 3; // total wait: up to 30s
-		let attempt = 0;
+	/**
+	 * Scheduled pressure test: skipped while water flows, otherwise started
+	 * and followed by the wait for its result.
+	 *
+	 * @param {string} id - Sense Guard appliance ID
+	 */
+	async _runPressureTest(id) {
+		const dev = this.devices.get(id);
+		const client = this.client;
+		if (!dev || !client) {
+			this.log.debug(`Scheduled pressure test for ${id} skipped: not connected`);
+			return;
+		}
+		const flowRate = Number((await this.getStateAsync(`${id}.flowRate`))?.val) || 0;
+		if (flowRate > 0) {
+			this.log.info(`${dev.name || id}: scheduled pressure test skipped – water is flowing (${flowRate} l/min)`);
+			return;
+		}
+		this.log.info(`${dev.name || id}: starting scheduled pressure test`);
+		await this._startPressureTest(id);
+	}
 
-		const poll = () => {
+	/**
+	 * Start a pressure measurement and wait for its result in the background.
+	 *
+	 * @param {string} id - Sense Guard appliance ID
+	 */
+	async _startPressureTest(id) {
+		const dev = this.devices.get(id);
+		const client = this.client;
+		if (!dev || !client) {
+			return;
+		}
+		const { locationId, roomId } = dev;
+		const oldStartTime = (await this.getStateAsync(`${id}.pressureMeasurement.startTime`))?.val;
+		await client.startPressureMeasurement(locationId, roomId, id);
+		this._startPressureVerify(id, locationId, roomId, oldStartTime ? String(oldStartTime) : undefined);
+	}
+
+	/**
+	 * Non-blocking loop like _startBlueVerify: polls the pressure measurements
+	 * every pressureVerifyIntervalMs until a result newer than `oldStartTime`
+	 * appears (or gives up after PRESSURE_VERIFY_ATTEMPTS checks).
+	 *
+	 * @param {string} id - Sense Guard appliance ID
+	 * @param {string} locationId - location of the appliance
+	 * @param {string} roomId - room of the appliance
+	 * @param {string} [oldStartTime] - start time of the result before the test
+	 */
+	_startPressureVerify(id, locationId, roomId, oldStartTime) {
+		if (this._pressureVerify.has(id)) {
+			this.log.debug(`Pressure test verify already running for ${id}, skipping`);
+			return;
+		}
+		let attempt = 0;
+
+		const poll = () => {
+			attempt++;
+			this._pressureVerify.set(
+				id,
+				this.setTimeout(async () => {
+					try {
+						if (!this.client || !this.devices.has(id)) {
+							this._pressureVerify.delete(id);
+							return;
+						}
+						const pm = await this.client.getAppliancePressureMeasurement(locationId, roomId, id);
+						const items = Array.isArray(pm) ? pm : pm?.items || pm?.data || [];
+						const latest = items[0];
+						if (latest?.start_time && latest.start_time !== oldStartTime) {
+							this._pressureVerify.delete(id);
+							this.log.info(
+								`${id}: pressure test result – drop ${latest.drop_of_pressure} bar, ` +
+									`leakage ${latest.leakage ? 'yes' : 'no'} (${latest.level})`,
+							);
+							await this._updatePressureMeasurement(id, latest);
+							return;
+						}
+						if (attempt < PRESSURE_VERIFY_ATTEMPTS) {
+							this.log.debug(
+								`${id}: no pressure test result yet (attempt ${attempt}/${PRESSURE_VERIFY_ATTEMPTS})`,
+							);
+							poll();
+						} else {
+							this._pressureVerify.delete(id);
+							this.log.warn(
+								`${id}: no pressure test result after ${PRESSURE_VERIFY_ATTEMPTS} checks ` +
+									`(start time still ${oldStartTime || 'unknown'})`,
+							);
+						}
+					} catch (err) {
+						this._pressureVerify.delete(id);
+						this.log.warn(`Pressure test verify for ${id} failed: ${err.message}`);
+					}
+				}, this.pressureVerifyIntervalMs),
+			);
+		};
+
+		poll();
+	}
+
+	/* ================================================================== */
+	/*  Blue – Background refresh-and-verify                              */
+	/* ================================================================== */
+
+	/**
+	 * Start a non-blocking background loop that polls the /details endpoint
+	 * until a newer measurement timestamp appears (or gives up after 30s).
+	 *
+	 * This mirrors the HA ha-grohe_smarthome BlueHomeCoordinator pattern:
+	 * after sending get_current_measurement, the Grohe cloud needs time to
+	 * fetch data from the device. We poll /details every 10s up to 3 times.
+	 *
+	 * A guard flag prevents multiple concurrent verify loops for the same device.
+	 */
+	_startBlueVerify(applianceId, locationId, roomId, oldTimestamp) {
+		if (this._blueRefreshRunning.get(applianceId)) {
+			this.log.debug(`Blue verify already running for ${applianceId}, skipping`);
+			return;
+		}
+
+		this._blueRefreshRunning.set(applianceId, true);
+
+		const POLL_INTERVAL_MS = 10000; // 10 seconds between checks
+		const MAX_ATTEMPTS = 3; // total wait: up to 30s
+		let attempt = 0;
+
+		const poll = () => {
 			attempt++;
 			this.setTimeout(async () => {
 				try {
@@ -928,12 +1663,503 @@ class GroheSmarthome extends utils.Adapter {
 		}
 	}
 
+	/* ================================================================== */
+	/*  Appliance reconciliation                                          */
+	/* ================================================================== */
+
+	/**
+	 * Seed the known appliances from the device objects of this instance, so
+	 * appliances removed while the adapter was stopped are noticed as well.
+	 */
+	async _loadKnownDevices() {
+		const prefix = `${this.namespace}.`;
+		for (const obj of await this.getDevicesAsync()) {
+			const id = String(obj._id || '').slice(prefix.length);
+			if (id && !id.includes('.')) {
+				const name = obj.common?.name;
+				this._knownDevices.set(id, typeof name === 'string' ? name : id);
+			}
+		}
+	}
+
+	/**
+	 * Restore the notification and online tracking of the known appliances
+	 * from their states, so changes during a restart are not lost.
+	 */
+	async _restoreTracking() {
+		for (const id of this._knownDevices.keys()) {
+			const lastSeen = await this.getStateAsync(`${id}.notifications.latestTimestamp`);
+			if (lastSeen?.val) {
+				this._notifLastSeen.set(id, String(lastSeen.val));
+				this._replayPending.add(id);
+				this._alarmWatermark.set(id, Date.parse(String(lastSeen.val)));
+			}
+			const online = await this.getStateAsync(`${id}.status.online`);
+			if (typeof online?.val === 'boolean') {
+				this._deviceOnlineState.set(id, online.val);
+			}
+			const alarmActive = await this.getStateAsync(`${id}.alarms.active`);
+			if (alarmActive?.val === true) {
+				const acknowledged = await this.getStateAsync(`${id}.alarms.acknowledged`);
+				const since = await this.getStateAsync(`${id}.alarms.since`);
+				this._alarmLifecycle.set(id, {
+					phase: acknowledged?.val === true ? 'acknowledged' : 'active',
+					since: Number(since?.val) || Date.now(),
+					repeats: 0,
+					timer: null,
+				});
+			}
+		}
+		this.log.debug(
+			`Restored tracking: ${this._notifLastSeen.size} notification timestamp(s), ${this._deviceOnlineState.size} online state(s)`,
+		);
+	}
+
+	/**
+	 * Compare the appliances listed by the dashboard with the known ones.
+	 * New appliances are announced (not on the very first run of a fresh
+	 * instance). Appliances missing for config.removedAfterPolls polls get
+	 * status.removed = true and, after config.removedDeleteAfterHours, their
+	 * objects are deleted.
+	 *
+	 * @param {string[]} listedIds - appliance IDs in the current dashboard
+	 */
+	async _reconcileAppliances(listedIds) {
+		if (listedIds.length === 0) {
+			// An empty list is more likely a cloud hiccup than an emptied account
+			this.log.debug('Dashboard lists no appliances – reconciliation skipped');
+			return;
+		}
+		const listed = new Set(listedIds);
+		const announce = this._reconciledOnce || this._knownDevices.size > 0;
+		this._reconciledOnce = true;
+
+		for (const id of listed) {
+			const dev = this.devices.get(id);
+			if (!dev) {
+				continue; // not registered – no objects
+			}
+			if (!this._knownDevices.has(id)) {
+				this._knownDevices.set(id, dev.name);
+				if (announce) {
+					this.log.info(`New appliance found: ${dev.name} (${id})`);
+					await this._notifyReconcile('applianceAdded', dev.name);
+				}
+			}
+			if (this._missingPolls.has(id)) {
+				this._missingPolls.delete(id);
+				if (this._isRemoved(id)) {
+					this.log.info(`Appliance ${dev.name} (${id}) is back in the account`);
+				}
+			}
+			await this._ensureChannel(`${id}.status`, 'Status');
+			await this._setBool(`${id}.status`, 'removed', 'Removed from the Grohe account', 'indicator', false);
+			await this._setNum(`${id}.status`, 'removedSince', 'Missing since', '', 'value.time', 0);
+		}
+
+		const threshold = Math.max(1, Number(this.config.removedAfterPolls) || 3);
+		const deleteAfterMs = Math.max(0, Number(this.config.removedDeleteAfterHours) || 0) * 3600000;
+		for (const [id, knownName] of [...this._knownDevices]) {
+			if (listed.has(id)) {
+				continue;
+			}
+			const name = this.devices.get(id)?.name || knownName;
+			const missed = (this._missingPolls.get(id) || 0) + 1;
+			this._missingPolls.set(id, missed);
+			if (missed < threshold) {
+				this.log.debug(`Appliance ${id} missing from the dashboard (${missed}/${threshold})`);
+				continue;
+			}
+
+			const removed = await this.getStateAsync(`${id}.status.removed`);
+			if (removed?.val !== true) {
+				this.log.warn(`Appliance ${name} (${id}) is no longer in the Grohe account`);
+				await this._ensureChannel(`${id}.status`, 'Status');
+				await this._setBool(`${id}.status`, 'removed', 'Removed from the Grohe account', 'indicator', true);
+				await this._setNum(`${id}.status`, 'removedSince', 'Missing since', '', 'value.time', Date.now());
+				await this._stopApplianceTimers(id);
+				await this._notifyReconcile('applianceRemoved', name);
+				continue;
+			}
+
+			const since = Number((await this.getStateAsync(`${id}.status.removedSince`))?.val) || 0;
+			if (deleteAfterMs > 0 && since > 0 && Date.now() - since >= deleteAfterMs) {
+				await this._deleteAppliance(id, name);
+			}
+		}
+	}
+
+	/**
+	 * Stop the vacation, pressure test and alarm reminder timers and the
+	 * presence subscription of an appliance that left the account. The next
+	 * poll that lists it again arms them anew.
+	 *
+	 * @param {string} id - appliance ID
+	 */
+	async _stopApplianceTimers(id) {
+		for (const timers of [this._vacationTimers, this._pressureTestTimers, this._pressureVerify]) {
+			if (timers.has(id)) {
+				this.clearTimeout(timers.get(id));
+				timers.delete(id);
+			}
+		}
+		this._pressureTestScheduled.delete(id);
+		const lifecycle = this._alarmLifecycle.get(id);
+		if (lifecycle?.timer) {
+			this.clearTimeout(lifecycle.timer);
+			lifecycle.timer = null;
+		}
+		await this._linkVacationPresence(id, '');
+	}
+
+	/**
+	 * @param {string} id - appliance ID
+	 * @returns {boolean} true while the appliance is flagged as removed from the account
+	 */
+	_isRemoved(id) {
+		return this._stateCache.get(`${id}.status.removed`) === true;
+	}
+
+	/**
+	 * Delete all objects of a removed appliance and forget its runtime state.
+	 *
+	 * @param {string} id - appliance ID
+	 * @param {string} name - display name for log and notification
+	 */
+	async _deleteAppliance(id, name) {
+		this.log.warn(`Deleting objects of removed appliance ${name} (${id})`);
+		// Stop the timers and subscriptions first – they would rebuild objects or send commands
+		await this._stopApplianceTimers(id);
+
+		await this.delObjectAsync(id, { recursive: true });
+		this._forgetObjects(id);
+		for (const map of [
+			this.devices,
+			this._knownDevices,
+			this._missingPolls,
+			this._dueTimes,
+			this._dataStale,
+			this._deviceOnlineState,
+			this._notifLastSeen,
+			this._notifHistory,
+			this._replayPending,
+			this._alarmWatermark,
+			this._alarmStates,
+			this._alarmLifecycle,
+			this._vacationTimers,
+			this._vacationRerun,
+			this._vacationFailed,
+			this._pressureTestTimers,
+			this._pressureTestScheduled,
+			this._pressureVerify,
+			this._budgetBase,
+			this._flowSince,
+			this._flowWithdrawal,
+			this._flowShutOffFailed,
+			this._costState,
+			this.totalConsumptionCache,
+		]) {
+			map.delete(id);
+		}
+		for (const channel of this._budgetShutOffFailed) {
+			if (channel.startsWith(`${id}.`)) {
+				this._budgetShutOffFailed.delete(channel);
+			}
+		}
+		await this._notifyReconcile('applianceDeleted', name);
+	}
+
+	/**
+	 * @param {string} msgKey - notification message key
+	 * @param {string} device - device name
+	 */
+	async _notifyReconcile(msgKey, device) {
+		if (this.config.notifyEnabled && this.config.notifyOnWarnings) {
+			await sendNotification(this, getNotificationMessage(this, msgKey, { device }));
+		}
+	}
+
+	/* ================================================================== */
+	/*  Stale-data watchdog (all devices)                                 */
+	/* ================================================================== */
+
+	/**
+	 * Compare the device's lastMeasurement with the max. age configured for
+	 * its type and publish status.dataStale / status.dataAgeMinutes. Sends a
+	 * warning when the data becomes stale and when it is current again.
+	 *
+	 * @param {string} id - appliance ID
+	 * @param {number} type - Grohe appliance type
+	 */
+	async _checkDataAge(id, type) {
+		const maxAge = {
+			[GROHE_SENSE]: this.config.staleMaxAgeSense,
+			[GROHE_SENSE_GUARD]: this.config.staleMaxAgeGuard,
+			[GROHE_BLUE_HOME]: this.config.staleMaxAgeBlue,
+			[GROHE_BLUE_PROFESSIONAL]: this.config.staleMaxAgeBlue,
+		}[type];
+		if (!(Number(maxAge) > 0)) {
+			return;
+		}
+
+		// Read the state, not the dashboard: the Blue verify loop updates it between polls
+		const lastMeasurement = await this._readState(`${id}.lastMeasurement`);
+		const measuredAt = lastMeasurement ? new Date(String(lastMeasurement)).getTime() : NaN;
+		if (!Number.isFinite(measuredAt)) {
+			return;
+		}
+
+		const ageMinutes = Math.max(0, Math.floor((Date.now() - measuredAt) / 60000));
+		const stale = ageMinutes > Number(maxAge);
+		await this._ensureChannel(`${id}.status`, 'Status');
+		await this._setNum(`${id}.status`, 'dataAgeMinutes', 'Age of the last measurement', 'min', 'value', ageMinutes);
+		await this._setBool(
+			`${id}.status`,
+			'dataStale',
+			'Data older than the max. age',
+			'indicator.maintenance',
+			stale,
+		);
+
+		const prev = this._dataStale.get(id);
+		this._dataStale.set(id, stale);
+		// Notify on the first stale detection (also after a restart) and on recovery
+		if (stale === prev || (!stale && prev === undefined)) {
+			return;
+		}
+		const devName = this.devices.get(id)?.name || id;
+		if (stale) {
+			this.log.warn(`${devName}: no new data for ${ageMinutes} min (max. ${maxAge} min)`);
+		} else {
+			this.log.info(`${devName}: data is up to date again`);
+		}
+		if (this.config.notifyEnabled && this.config.notifyOnWarnings) {
+			const msgKey = stale ? 'dataStale' : 'dataRecovered';
+			await sendNotification(
+				this,
+				getNotificationMessage(this, msgKey, { device: devName, minutes: ageMinutes }),
+			);
+		}
+	}
+
+	/**
+	 * Update the derived alarm states (alarms.flood, alarms.frost, …) from
+	 * the notification history and the current device values.
+	 *
+	 * @param {string} id - appliance ID
+	 * @param {boolean} [reset] - clear all alarms (alarms.reset)
+	 */
+	async _evaluateAlarms(id, reset = false) {
+		const type = this.devices.get(id)?.type;
+		const history = this._notifHistory.get(id) || [];
+		const names = Object.keys(ALARMS).filter(name => ALARMS[name].types.includes(type));
+		if (names.length === 0) {
+			return;
+		}
+
+		const states = await this._alarmStatesFor(id);
+		const active = Object.fromEntries(names.map(name => [name, states[name] === true]));
+		const values = {};
+		for (const key of [
+			'temperature',
+			'battery',
+			'remainingFilter',
+			'remainingCo2',
+			'valveOpen',
+			'lastMeasurement',
+		]) {
+			// Written by this poll, so normally in the write cache
+			values[key] = this._stateCache.has(`${id}.${key}`)
+				? this._stateCache.get(`${id}.${key}`)
+				: ((await this.getStateAsync(`${id}.${key}`))?.val ?? undefined);
+		}
+
+		const result = reset
+			? Object.fromEntries(names.map(name => [name, false]))
+			: evaluateAlarms({
+					type,
+					history,
+					watermark: this._alarmWatermark.get(id),
+					active,
+					rules: this.alarmRules,
+					values,
+				});
+		const watermark = this._alarmWatermark.get(id);
+		const unreadAlarms = history.filter(entry => entry.category === 30 && isUnread(entry));
+		const lifecycleInput = {
+			raised: unreadAlarms.some(entry => watermark === undefined || Date.parse(entry.timestamp) > watermark),
+			unresolved: unreadAlarms.length > 0,
+		};
+		const newest = Math.max(...history.map(entry => Date.parse(entry.timestamp)).filter(Number.isFinite));
+		if (Number.isFinite(newest)) {
+			this._alarmWatermark.set(id, Math.max(newest, watermark ?? newest));
+		}
+
+		await this._ensureChannel(`${id}.alarms`, 'Alarms');
+		const devName = this.devices.get(id)?.name || id;
+		for (const name of names) {
+			if (result[name] !== active[name]) {
+				this.log.info(`${devName}: alarm ${name} ${result[name] ? 'raised' : 'cleared'}`);
+			}
+			await this._setBool(`${id}.alarms`, name, `Alarm: ${name}`, ALARMS[name].role, result[name]);
+			states[name] = result[name];
+		}
+		await this._ensureWritableBool(`${id}.alarms`, 'reset', 'Clear all alarms', 'button');
+		await this._updateAlarmLifecycle(id, reset ? null : lifecycleInput);
+	}
+
+	/**
+	 * @param {string} id - appliance ID
+	 * @returns {Promise<Record<string, boolean>>} derived alarm states of the device, from memory after the first call
+	 */
+	async _alarmStatesFor(id) {
+		let states = this._alarmStates.get(id);
+		if (!states) {
+			states = {};
+			for (const name of ['localFlowRule', ...Object.keys(ALARMS)]) {
+				states[name] = (await this._readState(`${id}.alarms.${name}`)) === true;
+			}
+			this._alarmStates.set(id, states);
+		}
+		return states;
+	}
+
+	/**
+	 * Advance the alarm lifecycle (active → acknowledged → cleared), publish
+	 * alarms.active / alarms.acknowledged / alarms.since and arm the escalation.
+	 *
+	 * @param {string} id - appliance ID
+	 * @param {{raised: boolean, unresolved: boolean} | null} input - category-30 notification summary; null clears the alarm
+	 */
+	async _updateAlarmLifecycle(id, input) {
+		const current = this._alarmLifecycle.get(id) || null;
+		const next = input ? nextLifecycle(current, { ...input, now: Date.now() }) : null;
+		const devName = this.devices.get(id)?.name || id;
+
+		if (next !== current) {
+			if (current?.timer) {
+				this.clearTimeout(current.timer);
+			}
+			if (next) {
+				this._alarmLifecycle.set(id, { ...next, repeats: 0, timer: null });
+				this.log.warn(`${devName}: alarm active`);
+			} else {
+				this._alarmLifecycle.delete(id);
+				this.log.info(`${devName}: alarm cleared`);
+			}
+		}
+		await this._writeAlarmLifecycle(id);
+
+		const entry = this._alarmLifecycle.get(id);
+		if (entry?.phase === 'active' && !entry.timer) {
+			this._scheduleEscalation(id);
+		}
+	}
+
+	/**
+	 * @param {string} id - appliance ID
+	 */
+	async _writeAlarmLifecycle(id) {
+		const entry = this._alarmLifecycle.get(id);
+		await this._ensureChannel(`${id}.alarms`, 'Alarms');
+		await this._setBool(`${id}.alarms`, 'active', 'Alarm active (not cleared)', 'indicator.alarm', Boolean(entry));
+		await this._setBool(
+			`${id}.alarms`,
+			'acknowledged',
+			'Alarm acknowledged',
+			'indicator',
+			entry?.phase === 'acknowledged',
+		);
+		await this._setNum(`${id}.alarms`, 'since', 'Alarm active since', '', 'value.time', entry?.since ?? 0);
+		await this._ensureWritableBool(`${id}.alarms`, 'acknowledge', 'Acknowledge alarm', 'button');
+	}
+
+	/**
+	 * Acknowledge the active alarm of a device – stops the escalation.
+	 *
+	 * @param {string} id - appliance ID
+	 */
+	async _acknowledgeAlarm(id) {
+		const entry = this._alarmLifecycle.get(id);
+		if (entry?.phase !== 'active') {
+			this.log.debug(`No active alarm to acknowledge for ${id}`);
+			return;
+		}
+		if (entry.timer) {
+			this.clearTimeout(entry.timer);
+		}
+		this._alarmLifecycle.set(id, { ...entry, phase: 'acknowledged', timer: null });
+		this.log.info(`${this.devices.get(id)?.name || id}: alarm acknowledged`);
+		await this._writeAlarmLifecycle(id);
+	}
+
+	/**
+	 * Arm the next re-send of an unacknowledged alarm (config.escalation*).
+	 *
+	 * @param {string} id - appliance ID
+	 */
+	_scheduleEscalation(id) {
+		const entry = this._alarmLifecycle.get(id);
+		const maxRepeats = Number(this.config.escalationMaxRepeats) || 0;
+		if (
+			!entry ||
+			!this.config.escalationEnabled ||
+			!this.config.notifyEnabled ||
+			!this.config.notifyOnAlarms ||
+			(maxRepeats > 0 && entry.repeats >= maxRepeats)
+		) {
+			return;
+		}
+		const minutes = escalationDelayMinutes(
+			{
+				first: this.config.escalationFirstMinutes,
+				factor: this.config.escalationFactor,
+				max: this.config.escalationMaxMinutes,
+			},
+			entry.repeats,
+		);
+		entry.timer = this.setTimeout(() => {
+			entry.timer = null;
+			this._escalateAlarm(id).catch(err => this.log.warn(`Alarm escalation for ${id} failed: ${err.message}`));
+		}, minutes * 60000);
+		this.log.debug(`Alarm escalation for ${id} in ${minutes} min`);
+	}
+
+	/**
+	 * Re-send an alarm that is still unacknowledged and arm the next reminder.
+	 *
+	 * @param {string} id - appliance ID
+	 */
+	async _escalateAlarm(id) {
+		const entry = this._alarmLifecycle.get(id);
+		if (entry?.phase !== 'active') {
+			return;
+		}
+		entry.repeats++;
+		const latest = (this._notifHistory.get(id) || []).find(item => item.category === 30 && isUnread(item));
+		const devName = this.devices.get(id)?.name || id;
+		const providers = Array.isArray(this.config.escalationProviders) ? this.config.escalationProviders : [];
+		this.log.warn(`${devName}: alarm not acknowledged – reminder ${entry.repeats}`);
+		await sendNotification(
+			this,
+			getNotificationMessage(this, 'alarmEscalation', {
+				device: devName,
+				message: latest?.text || getLocalizedCategoryName(this, 30),
+				minutes: Math.floor((Date.now() - entry.since) / 60000),
+				count: entry.repeats,
+			}),
+			providers.length > 0 ? providers : undefined,
+		);
+		this._scheduleEscalation(id);
+	}
+
 	/* ================================================================== */
 	/*  Latest notification (all devices)                                 */
 	/* ================================================================== */
 
 	async _updateLatestNotification(id, appliance) {
 		const notifications = appliance.notifications || [];
+		await this._updateNotificationHistory(id, notifications);
 		if (notifications.length === 0) {
 			return;
 		}
@@ -957,6 +2183,7 @@ class GroheSmarthome extends utils.Adapter {
 		await this._setNum(`${id}.notifications`, 'latestType', 'Notification type', '', 'value', type);
 
 		// Push notification for new Grohe alarms (30), warnings (20) and latestMessage changes (under warnings category)
+		const replay = this._replayPending.delete(id);
 		if (this.config.notifyEnabled && latest.timestamp) {
 			const hadLastSeen = this._notifLastSeen.has(id);
 			const lastSeen = this._notifLastSeen.get(id);
@@ -967,245 +2194,1451 @@ class GroheSmarthome extends utils.Adapter {
 				// If a device gets its first notification later, it will still trigger.
 				const shouldNotify = hadLastSeen || this.pollCount > 1;
 				if (shouldNotify) {
-					const dev = this.devices.get(id);
-					const devName = dev?.name || id;
-
-					if (cat === 30 && this.config.notifyOnAlarms) {
-						const prefix = getNotificationMessage(this, 'alarmPrefix');
-						await sendNotification(this, `${prefix} – ${devName}: ${typeText}`);
-					} else if (cat === 20 && this.config.notifyOnWarnings) {
-						const prefix = getNotificationMessage(this, 'warningPrefix');
-						await sendNotification(this, `${prefix} – ${devName}: ${typeText}`);
-					} else if (this.config.notifyOnWarnings) {
-						await sendNotification(
-							this,
-							getNotificationMessage(this, 'latestMessageChanged', {
-								device: devName,
-								message: typeText,
-								timestamp: latest.timestamp,
-							}),
-						);
+					const missed = replay ? await this._fetchMissedNotifications(id, lastSeen) : [];
+					for (const notification of missed.length > 0 ? missed : [latest]) {
+						await this._routeNotification(id, notification);
 					}
 				}
 			}
 		}
 	}
 
+	/**
+	 * Merge notifications into notifications.history (newest first, capped at
+	 * config.notificationHistorySize) and update the unread counters.
+	 *
+	 * @param {string} id - appliance ID
+	 * @param {object[]} notifications - Grohe notifications (any order)
+	 */
+	async _updateNotificationHistory(id, notifications) {
+		const size = Math.max(1, Number(this.config.notificationHistorySize) || 50);
+		const keyOf = entry => `${entry.timestamp}|${entry.category}|${entry.type}`;
+		const history = this._notifHistory.get(id) || (await this._loadNotificationHistory(id));
+		const byKey = new Map(history.map(entry => [keyOf(entry), entry]));
+
+		for (const notification of notifications) {
+			if (!notification?.timestamp) {
+				continue;
+			}
+			const type = notification.type ?? notification.notification_type;
+			const entry = {
+				id: notification.id,
+				timestamp: notification.timestamp,
+				category: notification.category,
+				type,
+				text: getLocalizedNotificationType(this, notification.category, type),
+				read: false,
+			};
+			const key = keyOf(entry);
+			// The dashboard does not always carry is_read – keep what we knew
+			entry.read =
+				typeof notification.is_read === 'boolean' ? notification.is_read : Boolean(byKey.get(key)?.read);
+			if (entry.read && byKey.get(key)?.autoRead) {
+				entry.autoRead = true;
+			}
+			byKey.set(key, entry);
+		}
+
+		const merged = [...byKey.values()]
+			.sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp))
+			.slice(0, size);
+		this._notifHistory.set(id, merged);
+
+		const unread = category => merged.filter(entry => entry.category === category && !entry.read).length;
+		await this._ensureChannel(`${id}.notifications`, 'Notifications');
+		await this._setStr(`${id}.notifications`, 'history', 'Notification history', 'json', JSON.stringify(merged));
+		await this._setNum(`${id}.notifications`, 'unreadAlarms', 'Unread alarms', '', 'value', unread(30));
+		await this._setNum(`${id}.notifications`, 'unreadWarnings', 'Unread warnings', '', 'value', unread(20));
+		await this._ensureWritableBool(`${id}.notifications`, 'refresh', 'Fetch full notification history', 'button');
+		await this._ensureWritableBool(`${id}.notifications`, 'markAllRead', 'Mark all notifications read', 'button');
+		await this._ensureWritableStr(`${id}.notifications`, 'markRead', 'Mark notification read (ID)', 'text');
+	}
+
+	/**
+	 * Mark a notification read, mark all read, or delete one in the Grohe
+	 * cloud and reflect it in notifications.history.
+	 *
+	 * @param {string} applianceId - appliance ID
+	 * @param {'read' | 'readAll' | 'delete'} action - what to do
+	 * @param {string} [notificationId] - Grohe notification ID (not for readAll)
+	 * @param {boolean} [auto] - marked read by the adapter after forwarding – stays unread for the alarms
+	 * @returns {Promise<{success: boolean, count?: number, error?: string}>} outcome
+	 */
+	async _notificationAction(applianceId, action, notificationId, auto = false) {
+		const dev = this.devices.get(applianceId);
+		if (!dev || !this.client) {
+			return { success: false, error: `Unknown appliance ${applianceId}` };
+		}
+		if (action !== 'readAll' && !notificationId) {
+			return { success: false, error: 'notificationId missing' };
+		}
+
+		const { locationId, roomId } = dev;
+		let ids = [notificationId];
+		try {
+			if (action === 'delete') {
+				await this.client.deleteNotification(locationId, roomId, applianceId, notificationId);
+			} else if (action === 'read') {
+				await this.client.markNotificationRead(locationId, roomId, applianceId, notificationId);
+			} else {
+				ids = await this.client.markAllNotificationsRead(locationId, roomId, applianceId, REPLAY_PAGE_SIZE);
+			}
+		} catch (err) {
+			this.log.warn(`Notification ${action} for ${applianceId} failed: ${err.message}`);
+			return { success: false, error: err.message };
+		}
+		this.log.debug(`Notification ${action} for ${applianceId}: ${ids.length} notification(s)`);
+
+		const history = this._notifHistory.get(applianceId) || (await this._loadNotificationHistory(applianceId));
+		this._notifHistory.set(
+			applianceId,
+			action === 'delete'
+				? history.filter(entry => entry.id !== notificationId)
+				: history.map(entry =>
+						action === 'readAll' || ids.includes(entry.id)
+							? { ...entry, read: true, autoRead: auto || undefined }
+							: entry,
+					),
+		);
+		await this._updateNotificationHistory(applianceId, []);
+		await this._evaluateAlarms(applianceId);
+		return { success: true, count: ids.length };
+	}
+
+	/**
+	 * @param {string} id - appliance ID
+	 * @returns {Promise<object[]>} history stored in notifications.history (empty when missing or invalid)
+	 */
+	async _loadNotificationHistory(id) {
+		const state = await this.getStateAsync(`${id}.notifications.history`);
+		try {
+			const parsed = JSON.parse(String(state?.val || '[]'));
+			return Array.isArray(parsed) ? parsed : [];
+		} catch {
+			return [];
+		}
+	}
+
+	/**
+	 * All notifications newer than `lastSeen`, oldest first – used after a
+	 * restart. Returns an empty list when they cannot be fetched.
+	 *
+	 * @param {string} id - appliance ID
+	 * @param {string | undefined} lastSeen - ISO timestamp of the last forwarded notification
+	 * @returns {Promise<object[]>} missed notifications
+	 */
+	async _fetchMissedNotifications(id, lastSeen) {
+		const dev = this.devices.get(id);
+		const since = Date.parse(lastSeen || '');
+		if (!dev || !this.client || !Number.isFinite(since)) {
+			return [];
+		}
+		try {
+			const list = await this.client.getApplianceNotifications(dev.locationId, dev.roomId, id, REPLAY_PAGE_SIZE);
+			const missed = (Array.isArray(list) ? list : [])
+				.filter(n => Date.parse(n.timestamp) > since)
+				.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+			if (missed.length > 0) {
+				this.log.info(`Replaying ${missed.length} notification(s) for ${dev.name} received while stopped`);
+			}
+			return missed;
+		} catch (err) {
+			this.log.warn(`Fetching missed notifications for ${id} failed: ${err.message}`);
+			return [];
+		}
+	}
+
+	/**
+	 * Forward one Grohe notification according to its category.
+	 *
+	 * @param {string} id - appliance ID
+	 * @param {object} notification - Grohe notification (category, type, timestamp)
+	 */
+	async _routeNotification(id, notification) {
+		const cat = notification.category;
+		const typeText = getLocalizedNotificationType(this, cat, notification.type ?? notification.notification_type);
+		const devName = this.devices.get(id)?.name || id;
+
+		let delivered = false;
+		if (cat === 30 && this.config.notifyOnAlarms) {
+			const prefix = getNotificationMessage(this, 'alarmPrefix');
+			delivered = await sendNotification(this, `${prefix} – ${devName}: ${typeText}`);
+		} else if (cat === 20 && this.config.notifyOnWarnings) {
+			const prefix = getNotificationMessage(this, 'warningPrefix');
+			delivered = await sendNotification(this, `${prefix} – ${devName}: ${typeText}`);
+		} else if (this.config.notifyOnWarnings) {
+			delivered = await sendNotification(
+				this,
+				getNotificationMessage(this, 'latestMessageChanged', {
+					device: devName,
+					message: typeText,
+					timestamp: notification.timestamp,
+				}),
+			);
+		}
+
+		// Forwarded – the Grohe app no longer needs to show it as unread
+		if (delivered && this.config.notifyMarkRead && notification.id && notification.is_read !== true) {
+			await this._notificationAction(id, 'read', notification.id, true);
+		}
+	}
+
+	/* ================================================================== */
+	/*  State changes (write commands)                                    */
+	/* ================================================================== */
+
+	async onStateChange(stateId, state) {
+		const client = this.client;
+		// Foreign sensors usually report with ack = true
+		if (state && this.leakRules.some(rule => rule.stateId === stateId)) {
+			await this._onLeakSensor(stateId, state.val);
+			return;
+		}
+		const presenceGuards = [...this._vacationPresence].filter(([, id]) => id === stateId).map(([guard]) => guard);
+		if (state && presenceGuards.length > 0) {
+			for (const guardId of presenceGuards) {
+				await this._evaluateVacation(guardId);
+			}
+			return;
+		}
+		if (!state || state.ack || !client) {
+			return;
+		}
+		// A user write makes the cached value stale – the next poll must write again
+		this._stateCache.delete(stateId.substring(this.namespace.length + 1));
+
+		if (stateId === `${this.namespace}.info.refreshNow`) {
+			if (state.val) {
+				await this.refreshNow();
+				await this.setState(stateId, { val: false, ack: true });
+			}
+			return;
+		}
+
+		try {
+			const parts = stateId.split('.');
+			const applianceId = parts[2];
+			const dev = this.devices.get(applianceId);
+			if (!dev) {
+				this.log.warn(`No device found for ${stateId}`);
+				return;
+			}
+
+			const { locationId, roomId } = dev;
+			const tail = parts.slice(3).join('.');
+
+			// Sense Guard: valve open
+			if (tail === 'controls.valveOpen' && state.val) {
+				this.log.info(`Opening valve for ${applianceId}`);
+				const confirmed = await this._sendConfirmedCommand(applianceId, {
+					name: 'valveOpen',
+					send: () => client.setValve(locationId, roomId, applianceId, true),
+					verify: async () => (await this._readbackCommand(applianceId, locationId, roomId)) === true,
+				});
+				await this.setState(stateId, { val: false, ack: true });
+				if (confirmed && this.config.notifyEnabled && this.config.notifyOnControl) {
+					await sendNotification(
+						this,
+						getNotificationMessage(this, 'valveOpened', { device: dev.name || applianceId }),
+					);
+				}
+				return;
+			}
+			// Sense Guard: valve close
+			if (tail === 'controls.valveClose' && state.val) {
+				this.log.info(`Closing valve for ${applianceId}`);
+				const confirmed = await this._sendConfirmedCommand(applianceId, {
+					name: 'valveClose',
+					send: () => client.setValve(locationId, roomId, applianceId, false),
+					verify: async () => (await this._readbackCommand(applianceId, locationId, roomId)) === false,
+				});
+				await this.setState(stateId, { val: false, ack: true });
+				if (confirmed && this.config.notifyEnabled && this.config.notifyOnControl) {
+					await sendNotification(
+						this,
+						getNotificationMessage(this, 'valveClosed', { device: dev.name || applianceId }),
+					);
+				}
+				return;
+			}
+			// Sense Guard: pressure measurement
+			if (tail === 'controls.startPressureMeasurement' && state.val) {
+				this.log.info(`Starting pressure measurement for ${applianceId}`);
+				await this._startPressureTest(applianceId);
+				await this.setState(stateId, { val: false, ack: true });
+				return;
+			}
+			// Ignore legacy state paths from earlier adapter versions
+			if (tail.startsWith('snooze.') || tail.startsWith('sprinkler.')) {
+				return;
+			}
+			// Sense Guard: start snooze
+			if (tail === 'controls.snooze.start' && state.val) {
+				const durState = await this.getStateAsync(`${this.namespace}.${applianceId}.controls.snooze.duration`);
+				const requestedDuration = Number(durState?.val ?? 5);
+				const duration = Number.isFinite(requestedDuration) ? Math.min(240, Math.max(1, requestedDuration)) : 5;
+				this.log.info(`Starting snooze (${duration} min) for ${applianceId}`);
+				await this._sendConfirmedCommand(applianceId, {
+					name: 'snoozeStart',
+					send: () => client.setSnooze(locationId, roomId, applianceId, duration),
+					verify: () => this._readbackSnooze(applianceId, locationId, roomId),
+				});
+				await this.setState(stateId, { val: false, ack: true });
+				return;
+			}
+			// Sense Guard: stop snooze
+			if (tail === 'controls.snooze.stop' && state.val) {
+				this.log.info(`Stopping snooze for ${applianceId}`);
+				await this._sendConfirmedCommand(applianceId, {
+					name: 'snoozeStop',
+					send: async () => {
+						try {
+							await client.deleteSnooze(locationId, roomId, applianceId);
+						} catch (err) {
+							if (err?.response?.status !== 404) {
+								throw err;
+							}
+						}
+					},
+					verify: async () => !(await this._readbackSnooze(applianceId, locationId, roomId)),
+				});
+				await this.setState(stateId, { val: false, ack: true });
+				return;
+			}
+			// Sense Guard: withdrawal amount limit
+			if (tail === 'controls.withdrawalAmountLimit') {
+				const requestedLimit = Number(state.val);
+				const val = Number.isFinite(requestedLimit) ? Math.min(2000, Math.max(0, requestedLimit)) : 300;
+				this.log.info(`Setting withdrawal amount limit to ${val}l for ${applianceId}`);
+				const configFields = { withdrawel_amount_limit: val };
+				await this._sendConfirmedCommand(applianceId, {
+					name: 'withdrawalAmountLimit',
+					send: () => client.setApplianceConfig(locationId, roomId, applianceId, configFields),
+					verify: () => this._configMatches(applianceId, locationId, roomId, configFields),
+				});
+				await this.setState(stateId, { val, ack: true });
+				return;
+			}
+			// Sense Guard: sprinkler – save button sends all values in one call
+			if (tail === 'controls.sprinkler.save' && state.val) {
+				const base = `${this.namespace}.${applianceId}.controls.sprinkler`;
+				const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+				const startH = await this.getStateAsync(`${base}.startHour`);
+				const startM = await this.getStateAsync(`${base}.startMinute`);
+				const stopH = await this.getStateAsync(`${base}.stopHour`);
+				const stopM = await this.getStateAsync(`${base}.stopMinute`);
+				const startHour = Number(startH?.val ?? 0);
+				const startMinute = Number(startM?.val ?? 0);
+				const stopHour = Number(stopH?.val ?? 23);
+				const stopMinute = Number(stopM?.val ?? 59);
+				const startTime = Math.min(
+					1439,
+					Math.max(
+						0,
+						(Number.isFinite(startHour) ? startHour : 0) * 60 +
+							(Number.isFinite(startMinute) ? startMinute : 0),
+					),
+				);
+				const stopTime = Math.min(
+					1439,
+					Math.max(
+						0,
+						(Number.isFinite(stopHour) ? stopHour : 23) * 60 +
+							(Number.isFinite(stopMinute) ? stopMinute : 59),
+					),
+				);
+				const configFields = {
+					sprinkler_mode_start_time: startTime,
+					sprinkler_mode_stop_time: stopTime,
+				};
+				for (const day of days) {
+					const cap = day.charAt(0).toUpperCase() + day.slice(1);
+					const daySt = await this.getStateAsync(`${base}.active${cap}`);
+					configFields[`sprinkler_mode_active_${day}`] = !!daySt?.val;
+				}
+				this.log.info(`Saving sprinkler settings for ${applianceId}`);
+				await this._sendConfirmedCommand(applianceId, {
+					name: 'sprinklerSave',
+					send: () => client.setApplianceConfig(locationId, roomId, applianceId, configFields),
+					verify: () => this._configMatches(applianceId, locationId, roomId, configFields),
+				});
+				await this.setState(stateId, { val: false, ack: true });
+				return;
+			}
+			// Sense Guard: sprinkler field changed – acknowledge locally, no API call
+			if (tail.startsWith('controls.sprinkler.')) {
+				await this.setState(stateId, { val: state.val, ack: true });
+				return;
+			}
+			// Blue: dispense trigger
+			if (tail === 'controls.dispenseTrigger' && state.val) {
+				const typeState = await this.getStateAsync(`${this.namespace}.${applianceId}.controls.tapType`);
+				const amountState = await this.getStateAsync(`${this.namespace}.${applianceId}.controls.tapAmount`);
+				const tapType = Number(typeState?.val ?? 1);
+				const rawAmount = Number(amountState?.val ?? 250);
+				const tapAmount = Math.min(2000, Math.max(50, Math.round(rawAmount / 50) * 50));
+
+				this.log.info(`Dispensing: type=${tapType} amount=${tapAmount}ml for ${applianceId}`);
+				// Never retried – a repeated command would dispense twice
+				const confirmed = await this._sendConfirmedCommand(applianceId, {
+					name: 'dispense',
+					send: () => client.tapWater(locationId, roomId, applianceId, tapType, tapAmount),
+					verify: async () => {
+						const cmd = await client.getApplianceCommand(locationId, roomId, applianceId, true);
+						return cmd?.command?.tap_type === 0 && cmd?.command?.tap_amount === 0;
+					},
+					retry: false,
+				});
+				await this.setState(stateId, { val: false, ack: true });
+				if (confirmed && this.config.notifyEnabled && this.config.notifyOnControl) {
+					const tapTypeNames = {
+						1: getNotificationMessage(this, 'tapStill'),
+						2: getNotificationMessage(this, 'tapMedium'),
+						3: getNotificationMessage(this, 'tapCarbonated'),
+					};
+					const typeName = tapTypeNames[tapType] || String(tapType);
+					await sendNotification(
+						this,
+						getNotificationMessage(this, 'waterDispensed', {
+							device: dev.name || applianceId,
+							amount: tapAmount,
+							type: typeName,
+						}),
+					);
+				}
+				return;
+			}
+			// Blue: reset CO2
+			if (tail === 'controls.resetCo2' && state.val) {
+				this.log.info(`Resetting CO₂ for ${applianceId}`);
+				await this._sendConfirmedCommand(applianceId, {
+					name: 'resetCo2',
+					send: () => client.resetCo2(locationId, roomId, applianceId),
+					verify: () => this._blueResetApplied(applianceId, locationId, roomId, 'co2'),
+				});
+				await this.setState(stateId, { val: false, ack: true });
+				return;
+			}
+			// Blue: reset Filter
+			if (tail === 'controls.resetFilter' && state.val) {
+				this.log.info(`Resetting filter for ${applianceId}`);
+				await this._sendConfirmedCommand(applianceId, {
+					name: 'resetFilter',
+					send: () => client.resetFilter(locationId, roomId, applianceId),
+					verify: () => this._blueResetApplied(applianceId, locationId, roomId, 'filter'),
+				});
+				await this.setState(stateId, { val: false, ack: true });
+				return;
+			}
+
+			// All devices: notification history – fetch up to the history size instead of the few on the dashboard
+			if (tail === 'notifications.refresh' && state.val) {
+				const size = Math.max(1, Number(this.config.notificationHistorySize) || 50);
+				this.log.info(`Fetching up to ${size} notifications for ${applianceId}`);
+				const list = await client.getApplianceNotificationHistory(
+					locationId,
+					roomId,
+					applianceId,
+					size,
+					REPLAY_PAGE_SIZE,
+				);
+				await this._updateNotificationHistory(applianceId, list);
+				await this.setState(stateId, { val: false, ack: true });
+				return;
+			}
+			// Sense Guard: vacation setting changed – store it and re-check the valve
+			if (['enabled', 'start', 'end', 'presenceState'].some(name => tail === `controls.vacation.${name}`)) {
+				await this.setState(stateId, { val: state.val, ack: true });
+				await this._evaluateVacation(applianceId);
+				return;
+			}
+			// Sense Guard: pressure test schedule changed
+			if (tail.startsWith('controls.pressureTest.') && tail !== 'controls.pressureTest.nextRun') {
+				await this.setState(stateId, { val: state.val, ack: true });
+				await this._schedulePressureTest(applianceId);
+				return;
+			}
+			// All devices: acknowledge or reset alarms
+			if (tail === 'alarms.acknowledge' && state.val) {
+				await this._acknowledgeAlarm(applianceId);
+				await this.setState(stateId, { val: false, ack: true });
+				return;
+			}
+			if (tail === 'alarms.reset' && state.val) {
+				await this._evaluateAlarms(applianceId, true);
+				await this.setState(stateId, { val: false, ack: true });
+				return;
+			}
+			// All devices: mark Grohe notifications read
+			if (tail === 'notifications.markAllRead' && state.val) {
+				await this._notificationAction(applianceId, 'readAll');
+				await this.setState(stateId, { val: false, ack: true });
+				return;
+			}
+			if (tail === 'notifications.markRead' && state.val) {
+				await this._notificationAction(applianceId, 'read', String(state.val).trim());
+				await this.setState(stateId, { val: '', ack: true });
+				return;
+			}
+		} catch (err) {
+			this.log.error(`Action failed (${stateId}): ${err.message}`);
+		}
+	}
+
+	/* ================================================================== */
+	/*  Command confirmation                                              */
+	/* ================================================================== */
+
+	/**
+	 * Send a command and re-read the device until it reflects the change.
+	 *
+	 * Publishes controls.lastCommand.* (status pending → confirmed / failed /
+	 * timeout). A failed or unconfirmed command is sent again up to
+	 * config.commandRetries times unless `retry` is false.
+	 *
+	 * @param {string} applianceId - The appliance ID
+	 * @param {object} command - Command description
+	 * @param {string} command.name - Short name for logs and lastCommand.name
+	 * @param {() => Promise<unknown>} command.send - Sends the command
+	 * @param {() => Promise<boolean>} command.verify - Resolves true once the device reflects the change
+	 * @param {boolean} [command.retry] - false for commands that must not be sent twice
+	 * @returns {Promise<boolean>} true when confirmed; throws when sending failed on the last attempt
+	 */
+	async _sendConfirmedCommand(applianceId, { name, send, verify, retry = true }) {
+		const timeoutSec =
+			Number(this.config.commandConfirmTimeout) > 0 ? Number(this.config.commandConfirmTimeout) : 30;
+		const retries = retry ? Math.max(0, Math.floor(Number(this.config.commandRetries) || 0)) : 0;
+
+		await this._setLastCommandState(applianceId, name, 'pending', '');
+
+		for (let attempt = 0; attempt <= retries; attempt++) {
+			if (attempt > 0) {
+				this.log.info(`Retrying ${name} for ${applianceId} (attempt ${attempt + 1}/${retries + 1})`);
+			}
+			try {
+				await send();
+			} catch (err) {
+				if (attempt < retries) {
+					this.log.warn(`${name} for ${applianceId} failed: ${err.message}`);
+					continue;
+				}
+				await this._setLastCommandState(applianceId, name, 'failed', err.message);
+				throw err;
+			}
+			if (await this._waitForConfirmation(applianceId, name, verify, timeoutSec * 1000)) {
+				await this._setLastCommandState(applianceId, name, 'confirmed', '');
+				return true;
+			}
+		}
+
+		const reason = `Not confirmed by the device within ${timeoutSec}s`;
+		this.log.warn(`${name} for ${applianceId}: ${reason}`);
+		await this._setLastCommandState(applianceId, name, 'timeout', reason);
+		return false;
+	}
+
+	/**
+	 * Close the valve of a Sense Guard with a confirmed command – the one
+	 * path for every automatic shut-off (leak sensor, vacation, budget, flow rule).
+	 *
+	 * @param {string} id - Sense Guard appliance ID
+	 * @returns {Promise<{confirmed: boolean, reason: string}>} outcome and the reason of a failure
+	 */
+	async _closeValve(id) {
+		return this._switchValve(id, false);
+	}
+
+	/**
+	 * @param {string} id - Sense Guard appliance ID
+	 * @param {boolean} open - true = open, false = close
+	 * @returns {Promise<{confirmed: boolean, reason: string}>} outcome and the reason of a failure
+	 */
+	async _switchValve(id, open) {
+		const dev = this.devices.get(id);
+		const client = this.client;
+		if (!client) {
+			return { confirmed: false, reason: 'not connected' };
+		}
+		if (dev?.type !== GROHE_SENSE_GUARD) {
+			return { confirmed: false, reason: `${id} is not a known Sense Guard` };
+		}
+		const { locationId, roomId } = dev;
+		try {
+			const confirmed = await this._sendConfirmedCommand(id, {
+				name: open ? 'valveOpen' : 'valveClose',
+				send: () => client.setValve(locationId, roomId, id, open),
+				verify: async () => (await this._readbackCommand(id, locationId, roomId)) === open,
+			});
+			return { confirmed, reason: 'Not confirmed by the device' };
+		} catch (err) {
+			return { confirmed: false, reason: err.message };
+		}
+	}
+
+	/* ================================================================== */
+	/*  Vacation mode (Sense Guard)                                       */
+	/* ================================================================== */
+
+	/**
+	 * Compare controls.vacation.* with the current time and presence, switch
+	 * the valve on a change and arm a timer for the next window boundary.
+	 * A check requested while one is running (switching the valve can take
+	 * a while) runs once that one has finished.
+	 *
+	 * @param {string} id - Sense Guard appliance ID
+	 */
+	async _evaluateVacation(id) {
+		if (!this.devices.has(id) || this._isRemoved(id)) {
+			return;
+		}
+		if (this._vacationBusy.has(id)) {
+			this._vacationRerun.add(id);
+			return;
+		}
+		let done = () => {};
+		this._vacationBusy.set(
+			id,
+			new Promise(resolve => {
+				done = () => resolve(undefined);
+			}),
+		);
+		try {
+			const base = `${id}.controls.vacation`;
+			const read = async name => (await this.getStateAsync(`${base}.${name}`))?.val;
+			const presenceId = String((await read('presenceState')) || '').trim();
+			await this._linkVacationPresence(id, presenceId);
+			const presence = presenceId ? await this.getForeignStateAsync(presenceId) : null;
+
+			const now = Date.now();
+			const start = parseVacationTime(await read('start'));
+			const end = parseVacationTime(await read('end'));
+			const away = isVacationAway({
+				enabled: (await read('enabled')) === true,
+				start,
+				end,
+				presenceAway: Boolean(presenceId) && isPresenceAway(presence?.val),
+				now,
+			});
+			if (away !== ((await read('active')) === true)) {
+				await this._switchVacation(id, away);
+			}
+
+			if (this._vacationTimers.has(id)) {
+				this.clearTimeout(this._vacationTimers.get(id));
+				this._vacationTimers.delete(id);
+			}
+			const delay = nextVacationCheck({ start, end, now });
+			if (delay !== null) {
+				this._vacationTimers.set(
+					id,
+					this.setTimeout(() => {
+						this._vacationTimers.delete(id);
+						this._evaluateVacation(id).catch(err =>
+							this.log.warn(`Vacation check for ${id} failed: ${err.message}`),
+						);
+					}, delay),
+				);
+			}
+		} finally {
+			this._vacationBusy.delete(id);
+			done();
+			if (this._vacationRerun.delete(id)) {
+				await this._evaluateVacation(id);
+			}
+		}
+	}
+
+	/**
+	 * Follow changes of controls.vacation.presenceState.
+	 *
+	 * @param {string} id - Sense Guard appliance ID
+	 * @param {string} presenceId - foreign state ID ('' = none)
+	 */
+	async _linkVacationPresence(id, presenceId) {
+		const previous = this._vacationPresence.get(id);
+		if (previous === (presenceId || undefined)) {
+			return;
+		}
+		this._vacationPresence.delete(id);
+		if (previous && ![...this._vacationPresence.values()].includes(previous)) {
+			await this.unsubscribeForeignStatesAsync(previous);
+		}
+		if (presenceId) {
+			this._vacationPresence.set(id, presenceId);
+			await this.subscribeForeignStatesAsync(presenceId);
+		}
+	}
+
+	/**
+	 * Close the valve when vacation mode starts, reopen it at the end unless
+	 * an alarm is active. Both are confirmed by readback and notified.
+	 * A valve that was already closed is left alone and stays closed at the
+	 * end – controls.vacation.closedValve remembers who closed it.
+	 * controls.vacation.active only follows a confirmed switch, so a failed
+	 * one is retried on the next check; its failure is reported once.
+	 *
+	 * @param {string} id - Sense Guard appliance ID
+	 * @param {boolean} away - true = vacation starts
+	 */
+	async _switchVacation(id, away) {
+		const devName = this.devices.get(id)?.name || id;
+		let msgKey;
+		let reason = '';
+		let closedValve = false;
+		if (away && (await this._readState(`${id}.valveOpen`)) === false) {
+			this.log.info(`${devName}: vacation mode started – valve already closed`);
+			msgKey = 'vacationStarted';
+		} else if (!away && (await this._readState(`${id}.controls.vacation.closedValve`)) !== true) {
+			this.log.info(`${devName}: vacation mode ended – valve stays closed as before`);
+			msgKey = 'vacationEndedClosed';
+		} else if (!away && (await this._hasActiveAlarm(id))) {
+			this.log.warn(`${devName}: vacation mode ended – valve stays closed, an alarm is active`);
+			msgKey = 'vacationEndedAlarm';
+		} else {
+			this.log.info(`${devName}: vacation mode ${away ? 'started – closing' : 'ended – opening'} valve`);
+			const result = away ? await this._closeValve(id) : await this._switchValve(id, true);
+			reason = result.reason;
+			msgKey = result.confirmed ? (away ? 'vacationStarted' : 'vacationEnded') : 'vacationFailed';
+			closedValve = away;
+		}
+		if (msgKey === 'vacationFailed') {
+			if (this._vacationFailed.get(id) === away) {
+				this.log.debug(`${devName}: vacation mode could not switch the valve again: ${reason}`);
+				return;
+			}
+			this._vacationFailed.set(id, away);
+			this.log.error(
+				`${devName}: vacation mode could not switch the valve: ${reason} – retrying on the next poll`,
+			);
+		} else {
+			this._vacationFailed.delete(id);
+			await this._writeState(`${id}.controls.vacation.closedValve`, closedValve);
+			await this.setState(`${id}.controls.vacation.active`, { val: away, ack: true });
+		}
+		if (this.config.notifyEnabled && this.config.notifyOnControl) {
+			await sendNotification(this, getNotificationMessage(this, msgKey, { device: devName, reason }));
+		}
+	}
+
+	/**
+	 * @param {string} id - appliance ID
+	 * @returns {Promise<boolean>} true while a Grohe alarm, a derived alarm or a leak sensor of this device is active
+	 */
+	async _hasActiveAlarm(id) {
+		if (this._alarmLifecycle.has(id) || Object.values(await this._alarmStatesFor(id)).some(Boolean)) {
+			return true;
+		}
+		return this.leakRules.some(
+			(rule, index) => (!rule.guard || rule.guard === id) && this._leakMatched.get(index) === true,
+		);
+	}
+
+	/* ================================================================== */
+	/*  External leak sensors                                             */
+	/* ================================================================== */
+
+	/**
+	 * Subscribe the foreign states of config.leakRules and remember their
+	 * current match. A sensor that already reports a leak at startup does
+	 * not close the valve – only a change to "leak" does.
+	 */
+	async _initLeakSensors() {
+		for (const [index, rule] of this.leakRules.entries()) {
+			await this.subscribeForeignStatesAsync(rule.stateId);
+			const state = await this.getForeignStateAsync(rule.stateId);
+			const matched = matchesLeakCondition(rule, state?.val);
+			this._leakMatched.set(index, matched);
+			if (matched) {
+				this.log.warn(`Leak sensor ${rule.stateId} already reports a leak – valve left unchanged`);
+			}
+		}
+		if (this.leakRules.length > 0) {
+			this.log.info(`Watching ${this.leakRules.length} external leak sensor(s)`);
+		}
+	}
+
+	/**
+	 * @param {string} stateId - foreign state ID of the sensor
+	 * @param {unknown} val - new value
+	 */
+	async _onLeakSensor(stateId, val) {
+		for (const [index, rule] of this.leakRules.entries()) {
+			if (rule.stateId !== stateId) {
+				continue;
+			}
+			const matched = matchesLeakCondition(rule, val);
+			const wasMatched = this._leakMatched.get(index);
+			this._leakMatched.set(index, matched);
+			if (matched && !wasMatched) {
+				await this._leakShutOff(rule, val);
+			}
+		}
+	}
+
+	/**
+	 * Close the valve of the rule's Sense Guard (or of all Sense Guards) and
+	 * confirm it by readback. Re-opening is left to the user.
+	 *
+	 * @param {{stateId: string, guard: string}} rule - triggered leak sensor rule
+	 * @param {unknown} val - sensor value that triggered
+	 */
+	async _leakShutOff(rule, val) {
+		const guards = rule.guard
+			? [rule.guard]
+			: [...this.devices.values()].filter(d => d.type === GROHE_SENSE_GUARD).map(d => d.applianceId);
+		if (guards.length === 0) {
+			this.log.warn(`Leak sensor ${rule.stateId} triggered (${val}), but there is no Sense Guard to close`);
+			return;
+		}
+
+		for (const applianceId of guards) {
+			const dev = this.devices.get(applianceId);
+			const devName = dev?.name || applianceId;
+			this.log.warn(`Leak sensor ${rule.stateId} triggered (${val}) – closing valve of ${devName}`);
+
+			const { confirmed, reason } = await this._closeValve(applianceId);
+			if (dev?.type === GROHE_SENSE_GUARD) {
+				await this._ensureChannel(`${applianceId}.alarms`, 'Alarms');
+				await this._setStr(
+					`${applianceId}.alarms`,
+					'leakSensor',
+					'Leak sensor that closed the valve last',
+					'text',
+					rule.stateId,
+				);
+			}
+
+			if (confirmed) {
+				this.log.warn(`Valve of ${devName} closed by leak sensor ${rule.stateId}`);
+			} else {
+				this.log.error(`Closing the valve of ${devName} for leak sensor ${rule.stateId} failed: ${reason}`);
+			}
+			if (this.config.notifyEnabled && this.config.notifyOnAlarms) {
+				await sendNotification(
+					this,
+					getNotificationMessage(this, confirmed ? 'leakShutOff' : 'leakShutOffFailed', {
+						device: devName,
+						sensor: rule.stateId,
+						reason,
+					}),
+				);
+			}
+		}
+	}
+
+	/**
+	 * Run `verify` immediately and then every commandConfirmIntervalMs until it
+	 * returns true or the timeout is reached. Readback errors count as "not yet".
+	 */
+	async _waitForConfirmation(applianceId, name, verify, timeoutMs) {
+		const deadline = Date.now() + timeoutMs;
+		for (;;) {
+			try {
+				if (await verify()) {
+					return true;
+				}
+			} catch (err) {
+				this.log.debug(`Readback for ${name} on ${applianceId} failed: ${err.message}`);
+			}
+			if (!this.client || Date.now() + this.commandConfirmIntervalMs > deadline) {
+				return false;
+			}
+			await new Promise(resolve => this.setTimeout(() => resolve(undefined), this.commandConfirmIntervalMs));
+		}
+	}
+
+	async _setLastCommandState(applianceId, name, status, error) {
+		const base = `${applianceId}.controls.lastCommand`;
+		await this.setState(`${base}.name`, { val: name, ack: true });
+		await this.setState(`${base}.status`, { val: status, ack: true });
+		await this.setState(`${base}.timestamp`, { val: new Date().toISOString(), ack: true });
+		await this.setState(`${base}.error`, { val: error, ack: true });
+	}
+
+	/**
+	 * Re-read the command endpoint and update the valveOpen state immediately
+	 * instead of waiting for the next poll.
+	 *
+	 * @returns {Promise<boolean | undefined>} valve_open as reported by the device
+	 */
+	async _readbackCommand(applianceId, locationId, roomId) {
+		if (!this.client) {
+			return undefined;
+		}
+		const cmd = await this.client.getApplianceCommand(locationId, roomId, applianceId, true);
+		const valveOpen = cmd?.command?.valve_open;
+		await this._setBool(applianceId, 'valveOpen', 'Valve open', 'indicator', valveOpen);
+		this.log.debug(`Readback after command: valveOpen=${valveOpen} for ${applianceId}`);
+		return valveOpen;
+	}
+
+	/**
+	 * Re-read the snooze endpoint and update controls.snooze.active.
+	 *
+	 * @returns {Promise<boolean>} true while a snooze is active
+	 */
+	async _readbackSnooze(applianceId, locationId, roomId) {
+		let active = false;
+		try {
+			const snooze = await this.client?.getSnooze(locationId, roomId, applianceId, true);
+			active = !!(snooze && (snooze.snooze_active || snooze.snooze_duration));
+		} catch (err) {
+			// 404 = no active snooze
+			if (err?.response?.status !== 404) {
+				throw err;
+			}
+		}
+		await this._setBool(`${applianceId}.controls.snooze`, 'active', 'Snooze active', 'indicator', active);
+		return active;
+	}
+
+	/**
+	 * @returns {Promise<boolean>} true when every field in `fields` matches the device config
+	 */
+	async _configMatches(applianceId, locationId, roomId, fields) {
+		const details = await this.client?.getApplianceDetails(locationId, roomId, applianceId, true);
+		const cfg = details?.config || {};
+		return Object.entries(fields).every(([key, val]) => cfg[key] === val);
+	}
+
+	/**
+	 * @returns {Promise<boolean>} true once the Blue consumable (co2 / filter) reads as replaced
+	 */
+	async _blueResetApplied(applianceId, locationId, roomId, kind) {
+		const details = await this.client?.getApplianceDetails(locationId, roomId, applianceId, true);
+		const m = details?.data_latest?.measurement || {};
+		const today = new Date().toISOString().split('T')[0];
+		return m[`remaining_${kind}`] === 100 || String(m[`date_of_${kind}_replacement`] || '').startsWith(today);
+	}
+
+	/* ================================================================== */
+	/*  Command queue states                                              */
+	/* ================================================================== */
+
+	/**
+	 * Create the command queue and confirmation states for a device that
+	 * accepts commands.
+	 */
+	async _ensureCommandStates(id) {
+		await this._ensureState(`${id}.controls.commandQueueLength`, {
+			name: 'Queued commands',
+			type: 'number',
+			role: 'value',
+			read: true,
+			write: false,
+			def: 0,
+		});
+		await this._ensureState(`${id}.controls.lastCommandResult`, {
+			name: 'Last command result',
+			type: 'string',
+			role: 'json',
+			read: true,
+			write: false,
+		});
+
+		await this._ensureChannel(`${id}.controls.lastCommand`, 'Last command');
+		await this._ensureState(`${id}.controls.lastCommand.name`, {
+			name: 'Command',
+			type: 'string',
+			role: 'text',
+			read: true,
+			write: false,
+		});
+		await this._ensureState(`${id}.controls.lastCommand.status`, {
+			name: 'Confirmation status',
+			type: 'string',
+			role: 'text',
+			read: true,
+			write: false,
+			states: { pending: 'pending', confirmed: 'confirmed', failed: 'failed', timeout: 'timeout' },
+		});
+		await this._ensureState(`${id}.controls.lastCommand.timestamp`, {
+			name: 'Status changed',
+			type: 'string',
+			role: 'date',
+			read: true,
+			write: false,
+		});
+		await this._ensureState(`${id}.controls.lastCommand.error`, {
+			name: 'Error',
+			type: 'string',
+			role: 'text',
+			read: true,
+			write: false,
+		});
+	}
+
+	async _updateCommandQueueState(applianceId, length) {
+		if (!this.devices.has(applianceId)) {
+			return;
+		}
+		await this.setState(`${applianceId}.controls.commandQueueLength`, { val: length, ack: true });
+	}
+
+	async _updateCommandResultState(applianceId, result) {
+		if (!this.devices.has(applianceId)) {
+			return;
+		}
+		if (!result.success) {
+			this.log.debug(`Queued command ${result.command} for ${applianceId} failed: ${result.error}`);
+		}
+		await this.setState(`${applianceId}.controls.lastCommandResult`, {
+			val: JSON.stringify(result),
+			ack: true,
+		});
+	}
+
+	/* ================================================================== */
+	/*  Water budgets (Sense Guard)                                       */
+	/* ================================================================== */
+
+	/**
+	 * Compare today's consumption plus the rest of each period with the
+	 * configured budgets: publish budget.<period>.*, notify newly reached
+	 * thresholds and close the valve once over the limit if enabled.
+	 *
+	 * @param {string} id - Sense Guard appliance ID
+	 * @param {string} locationId - location of the appliance
+	 * @param {string} roomId - room of the appliance
+	 * @param {number | undefined} today - litres used today (consumption.daily)
+	 */
+	async _updateWaterBudgets(id, locationId, roomId, today) {
+		const budgets = budgetsFor(this.budgetRules, id);
+		if (budgets.length === 0 || typeof today !== 'number') {
+			return;
+		}
+		const now = Date.now();
+		const base = await this._budgetBaseFor(id, locationId, roomId, budgets, now);
+		if (!base) {
+			return;
+		}
+
+		await this._ensureChannel(`${id}.budget`, 'Water budget');
+		const device = this.devices.get(id)?.name || id;
+		for (const budget of budgets) {
+			const channel = `${id}.budget.${budget.period}`;
+			const cap = budget.period.charAt(0).toUpperCase() + budget.period.slice(1);
+			await this._ensureChannel(channel, `${cap} budget`);
+			const consumption = Math.round((base[budget.period] + today) * 100) / 100;
+			const { usedPercent, remaining, level } = evaluateBudget({
+				consumption,
+				limit: budget.limit,
+				thresholds: this.budgetThresholds,
+			});
+			await this._setNum(channel, 'consumption', 'Consumption in this period', 'l', 'value', consumption);
+			await this._setNum(channel, 'limit', 'Budget', 'l', 'value', budget.limit);
+			await this._setNum(channel, 'usedPercent', 'Budget used', '%', 'value', usedPercent);
+			await this._setNum(channel, 'remaining', 'Budget remaining', 'l', 'value', remaining);
+
+			// The highest threshold reached is kept in the state, so a restart does not notify again
+			const previous = Number(await this._readState(`${channel}.thresholdReached`)) || 0;
+			await this._setNum(channel, 'thresholdReached', 'Highest threshold reached', '%', 'value', level);
+			const params = {
+				device,
+				period: getNotificationMessage(this, `budgetPeriod${cap}`),
+				percent: level,
+				amount: consumption,
+				limit: budget.limit,
+			};
+			if (level > previous) {
+				this.log.info(`${device}: ${level}% of the ${budget.period} water budget reached (${consumption} l)`);
+				if (this.config.notifyEnabled && this.config.notifyOnWarnings) {
+					await sendNotification(this, getNotificationMessage(this, 'budgetThreshold', params));
+				}
+			}
+
+			// Shut off once per period over the budget; a new period starts within it again. A failed
+			// close is retried on the next poll and reported once.
+			const shutOff = (await this._readState(`${channel}.shutOff`)) === true;
+			if (consumption <= budget.limit || !budget.shutOff) {
+				this._budgetShutOffFailed.delete(channel);
+				await this._setBool(channel, 'shutOff', 'Valve closed for this budget', 'indicator', false);
+			} else if (!shutOff && !this.budgetAllowedHours[new Date(now).getHours()]) {
+				const reported = this._budgetShutOffFailed.has(channel);
+				if (await this._budgetShutOff(id, params, reported)) {
+					this._budgetShutOffFailed.delete(channel);
+					await this._setBool(channel, 'shutOff', 'Valve closed for this budget', 'indicator', true);
+				} else {
+					this._budgetShutOffFailed.add(channel);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Litres used in each period before today, from /data/aggregated once per day.
+	 *
+	 * @param {string} id - Sense Guard appliance ID
+	 * @param {string} locationId - location of the appliance
+	 * @param {string} roomId - room of the appliance
+	 * @param {ReturnType<typeof budgetsFor>} budgets - budgets of this Guard
+	 * @param {number} now - current time (ms)
+	 * @returns {Promise<{date: string, day: number, week: number, month: number} | null>} null when the fetch failed
+	 */
+	async _budgetBaseFor(id, locationId, roomId, budgets, now) {
+		const date = localDate(new Date(now));
+		const cached = this._budgetBase.get(id);
+		if (cached?.date === date) {
+			return cached;
+		}
+		const base = { date, day: 0, week: 0, month: 0 };
+		const d = new Date(now);
+		const yesterday = localDate(new Date(d.getFullYear(), d.getMonth(), d.getDate() - 1));
+		const starts = budgets.filter(b => b.period !== 'day').map(b => periodStart(b.period, now));
+		const from = starts.sort()[0];
+		if (from && from <= yesterday) {
+			if (!this.client) {
+				return null;
+			}
+			try {
+				const data = await this.client.getApplianceData(locationId, roomId, id, from, yesterday, 'day');
+				const withdrawals = Array.isArray(data?.data?.withdrawals) ? data.data.withdrawals : [];
+				for (const period of ['week', 'month']) {
+					const start = periodStart(period, now);
+					base[period] = withdrawals
+						.filter(w => String(w.date || '').slice(0, 10) >= start)
+						.reduce((sum, w) => sum + (w.waterconsumption || 0), 0);
+				}
+			} catch (err) {
+				this.log.warn(`Water budget data for ${id} failed: ${err.message}`);
+				return null;
+			}
+		}
+		this._budgetBase.set(id, base);
+		return base;
+	}
+
+	/**
+	 * Close the valve because a budget was exceeded outside the allowed hours.
+	 *
+	 * @param {string} id - Sense Guard appliance ID
+	 * @param {Record<string, string | number>} params - message parameters of the budget
+	 * @param {boolean} [failureReported] - an earlier attempt already reported its failure
+	 * @returns {Promise<boolean>} true when the close was confirmed
+	 */
+	async _budgetShutOff(id, params, failureReported = false) {
+		this.log.warn(`${params.device}: ${params.period} water budget exceeded – closing valve`);
+		const { confirmed, reason } = await this._closeValve(id);
+		if (!confirmed && failureReported) {
+			this.log.debug(`${params.device}: closing the valve for the water budget failed again: ${reason}`);
+			return false;
+		}
+		if (!confirmed) {
+			this.log.error(`${params.device}: closing the valve for the water budget failed: ${reason}`);
+		}
+		if (this.config.notifyEnabled && this.config.notifyOnControl) {
+			await sendNotification(
+				this,
+				getNotificationMessage(this, confirmed ? 'budgetShutOff' : 'budgetShutOffFailed', {
+					...params,
+					reason,
+				}),
+			);
+		}
+		return confirmed;
+	}
+
+	/* ================================================================== */
+	/*  Local flow rules (Sense Guard)                                    */
+	/* ================================================================== */
+
+	/**
+	 * Check the polled flow rate and last withdrawal against the flow rule of
+	 * this Sense Guard, outside its sprinkler window. A new match sets
+	 * alarms.localFlowRule, notifies and closes the valve if enabled. A failed
+	 * close is reported once and retried on every poll while the rule matches.
+	 *
+	 * @param {string} id - Sense Guard appliance ID
+	 * @param {number | undefined} flowRate - current flow rate (l/min)
+	 * @param {number | undefined} lastVolume - litres of the last withdrawal
+	 */
+	async _evaluateFlowRule(id, flowRate, lastVolume) {
+		const rule = flowRuleFor(this.flowRules, id);
+		if (!rule) {
+			return;
+		}
+		const now = Date.now();
+		const base = `${id}.controls.sprinkler`;
+		const read = name => this._readState(`${base}.${name}`);
+		const days = [];
+		for (const day of WEEKDAYS) {
+			days.push((await read(`active${day.charAt(0).toUpperCase()}${day.slice(1)}`)) === true);
+		}
+		const inWindow = isInSprinklerWindow({
+			start: Number(await read('startHour')) * 60 + Number(await read('startMinute')),
+			stop: Number(await read('stopHour')) * 60 + Number(await read('stopMinute')),
+			days,
+			now,
+		});
+
+		const volume = Number(lastVolume) || 0;
+		let withdrawal = this._flowWithdrawal.get(id);
+		if (!withdrawal || withdrawal.volume !== volume) {
+			withdrawal = { volume, inWindow };
+			this._flowWithdrawal.set(id, withdrawal);
+		}
+		let trigger = null;
+		if (inWindow) {
+			this._flowSince.delete(id);
+		} else {
+			const result = evaluateFlowRule(rule, {
+				flowRate: Number(flowRate) || 0,
+				lastVolume: withdrawal.inWindow ? 0 : volume,
+				since: this._flowSince.get(id) ?? null,
+				now,
+			});
+			if (result.since === null) {
+				this._flowSince.delete(id);
+			} else {
+				this._flowSince.set(id, result.since);
+			}
+			trigger = result.trigger;
+		}
+
+		await this._ensureChannel(`${id}.alarms`, 'Alarms');
+		const states = await this._alarmStatesFor(id);
+		const wasActive = states.localFlowRule;
+		states.localFlowRule = !!trigger;
+		await this._setBool(`${id}.alarms`, 'localFlowRule', 'Local flow rule matched', 'indicator.alarm', !!trigger);
+		if (!trigger) {
+			this._flowShutOffFailed.delete(id);
+			return;
+		}
+		const retry = rule.shutOff && this._flowShutOffFailed.has(id);
+		if (wasActive && !retry) {
+			return;
+		}
+
+		const device = this.devices.get(id)?.name || id;
+		const notify = this.config.notifyEnabled && this.config.notifyOnAlarms;
+		if (!wasActive) {
+			const params = { device, flow: rule.minFlow, minutes: rule.minutes, amount: volume, limit: rule.maxVolume };
+			this.log.warn(
+				trigger === 'flow'
+					? `${device}: water flowing above ${rule.minFlow} l/min for ${rule.minutes} min (local flow rule)`
+					: `${device}: withdrawal of ${volume} l above ${rule.maxVolume} l (local flow rule)`,
+			);
+			if (notify) {
+				await sendNotification(
+					this,
+					getNotificationMessage(this, trigger === 'flow' ? 'flowRuleContinuous' : 'flowRuleVolume', params),
+				);
+			}
+		}
+		if (!rule.shutOff) {
+			return;
+		}
+		const { confirmed, reason } = await this._closeValve(id);
+		if (confirmed) {
+			this._flowShutOffFailed.delete(id);
+		} else if (retry) {
+			this.log.debug(`${device}: closing the valve for the local flow rule failed again: ${reason}`);
+			return;
+		} else {
+			this._flowShutOffFailed.add(id);
+			this.log.error(
+				`${device}: closing the valve for the local flow rule failed: ${reason} – retrying on the next poll`,
+			);
+		}
+		if (notify) {
+			await sendNotification(
+				this,
+				getNotificationMessage(this, confirmed ? 'flowRuleShutOff' : 'flowRuleShutOffFailed', {
+					device,
+					reason,
+				}),
+			);
+		}
+	}
+
 	/* ================================================================== */
-	/*  State changes (write commands)                                    */
+	/*  Water cost (Sense Guard)                                          */
 	/* ================================================================== */
 
-	async onStateChange(stateId, state) {
-		if (!state || state.ack || !this.client) {
+	/**
+	 * Price the litres used since the last poll with the tariff at the
+	 * measurement time and publish cost.today / month / year / total.
+	 * The unrounded values are kept in cost.raw for the next start.
+	 *
+	 * @param {string} id - Sense Guard appliance ID
+	 * @param {string} locationId - location of the appliance
+	 * @param {string} roomId - room of the appliance
+	 * @param {object} appliance - appliance from the dashboard
+	 * @param {number | undefined} daily - litres used today (consumption.daily)
+	 * @param {string | undefined} timestamp - time of the measurement
+	 */
+	async _updateWaterCost(id, locationId, roomId, appliance, daily, timestamp) {
+		const tariff = this.waterTariff;
+		if (!tariff || typeof daily !== 'number') {
 			return;
 		}
-
-		try {
-			const parts = stateId.split('.');
-			const applianceId = parts[2];
-			const dev = this.devices.get(applianceId);
-			if (!dev) {
-				this.log.warn(`No device found for ${stateId}`);
+		const time = Date.parse(timestamp || '') || Date.now();
+		let current = this._costState.get(id) || (await this._restoreWaterCost(id));
+		if (!current) {
+			current = await this._seedWaterCost(id, locationId, roomId, appliance, time);
+			if (!current) {
 				return;
 			}
+		}
+		let lastDay;
+		if (new Date(current.last).toDateString() !== new Date(time).toDateString()) {
+			lastDay = await this._dayConsumption(id, locationId, roomId, current.last);
+		}
+		const next = accumulateCost(tariff, current, { daily, time, lastDay });
+		this._costState.set(id, next);
+
+		const unit = this.config.costCurrency || '€';
+		const round = val => Math.round(val * 100) / 100;
+		await this._ensureChannel(`${id}.cost`, 'Water cost');
+		await this._setNum(`${id}.cost`, 'today', 'Water cost today', unit, 'value', round(next.today));
+		await this._setNum(`${id}.cost`, 'month', 'Water cost this month', unit, 'value', round(next.month));
+		await this._setNum(`${id}.cost`, 'year', 'Water cost this year', unit, 'value', round(next.year));
+		await this._setNum(`${id}.cost`, 'total', 'Water cost total', unit, 'value', round(next.total));
+		await this._setNum(`${id}.cost`, 'price', 'Current price', `${unit}/m³`, 'value', priceAt(tariff, time));
+		await this._setNum(`${id}.cost`, 'pricedVolume', 'Litres priced today', 'l', 'value', next.volume);
+		await this._setNum(`${id}.cost`, 'lastUpdate', 'Cost calculated until', '', 'value.time', next.last);
+		await this._setStr(`${id}.cost`, 'raw', 'Unrounded cost', 'json', JSON.stringify(next));
+	}
 
-			const { locationId, roomId } = dev;
-			const tail = parts.slice(3).join('.');
+	/**
+	 * Litres of the day of `time` from aggregated data, to price the rest of
+	 * that day after midnight.
+	 *
+	 * @param {string} id - Sense Guard appliance ID
+	 * @param {string} locationId - location of the appliance
+	 * @param {string} roomId - room of the appliance
+	 * @param {number} time - unix ms on that day
+	 * @returns {Promise<number | undefined>} litres, undefined when the fetch failed
+	 */
+	async _dayConsumption(id, locationId, roomId, time) {
+		if (!this.client) {
+			return undefined;
+		}
+		const day = localDate(new Date(time));
+		try {
+			const data = await this.client.getApplianceData(locationId, roomId, id, day, day, 'day');
+			const withdrawals = Array.isArray(data?.data?.withdrawals) ? data.data.withdrawals : [];
+			return withdrawals.reduce((sum, w) => sum + (w.waterconsumption || 0), 0);
+		} catch (err) {
+			this.log.warn(
+				`Water cost data of ${day} for ${id} failed, the rest of that day stays unpriced: ${err.message}`,
+			);
+			return undefined;
+		}
+	}
 
-			// Sense Guard: valve open
-			if (tail === 'controls.valveOpen' && state.val) {
-				this.log.info(`Opening valve for ${applianceId}`);
-				await this.client.setValve(locationId, roomId, applianceId, true);
-				await this.setState(stateId, { val: false, ack: true });
-				await this._readbackCommand(applianceId, locationId, roomId);
-				if (this.config.notifyEnabled && this.config.notifyOnControl) {
-					await sendNotification(
-						this,
-						getNotificationMessage(this, 'valveOpened', { device: dev.name || applianceId }),
-					);
-				}
-				return;
-			}
-			// Sense Guard: valve close
-			if (tail === 'controls.valveClose' && state.val) {
-				this.log.info(`Closing valve for ${applianceId}`);
-				await this.client.setValve(locationId, roomId, applianceId, false);
-				await this.setState(stateId, { val: false, ack: true });
-				await this._readbackCommand(applianceId, locationId, roomId);
-				if (this.config.notifyEnabled && this.config.notifyOnControl) {
-					await sendNotification(
-						this,
-						getNotificationMessage(this, 'valveClosed', { device: dev.name || applianceId }),
-					);
-				}
-				return;
-			}
-			// Sense Guard: pressure measurement
-			if (tail === 'controls.startPressureMeasurement' && state.val) {
-				this.log.info(`Starting pressure measurement for ${applianceId}`);
-				await this.client.startPressureMeasurement(locationId, roomId, applianceId);
-				await this.setState(stateId, { val: false, ack: true });
-				return;
-			}
-			// Ignore legacy state paths from earlier adapter versions
-			if (tail.startsWith('snooze.') || tail.startsWith('sprinkler.')) {
-				return;
-			}
-			// Sense Guard: start snooze
-			if (tail === 'controls.snooze.start' && state.val) {
-				const durState = await this.getStateAsync(`${this.namespace}.${applianceId}.controls.snooze.duration`);
-				const requestedDuration = Number(durState?.val ?? 5);
-				const duration = Number.isFinite(requestedDuration) ? Math.min(240, Math.max(1, requestedDuration)) : 5;
-				this.log.info(`Starting snooze (${duration} min) for ${applianceId}`);
-				await this.client.setSnooze(locationId, roomId, applianceId, duration);
-				await this.setState(stateId, { val: false, ack: true });
-				await this.setState(`${this.namespace}.${applianceId}.controls.snooze.active`, {
-					val: true,
-					ack: true,
-				});
-				return;
-			}
-			// Sense Guard: stop snooze
-			if (tail === 'controls.snooze.stop' && state.val) {
-				this.log.info(`Stopping snooze for ${applianceId}`);
-				try {
-					await this.client.deleteSnooze(locationId, roomId, applianceId);
-				} catch (err) {
-					if (err?.response?.status !== 404) {
-						throw err;
-					}
-				}
-				await this.setState(stateId, { val: false, ack: true });
-				await this.setState(`${this.namespace}.${applianceId}.controls.snooze.active`, {
-					val: false,
-					ack: true,
-				});
-				return;
-			}
-			// Sense Guard: withdrawal amount limit
-			if (tail === 'controls.withdrawalAmountLimit') {
-				const requestedLimit = Number(state.val);
-				const val = Number.isFinite(requestedLimit) ? Math.min(2000, Math.max(0, requestedLimit)) : 300;
-				this.log.info(`Setting withdrawal amount limit to ${val}l for ${applianceId}`);
-				await this.client.setApplianceConfig(locationId, roomId, applianceId, {
-					withdrawel_amount_limit: val,
-				});
-				await this.setState(stateId, { val, ack: true });
-				return;
-			}
-			// Sense Guard: sprinkler – save button sends all values in one call
-			if (tail === 'controls.sprinkler.save' && state.val) {
-				const base = `${this.namespace}.${applianceId}.controls.sprinkler`;
-				const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-				const startH = await this.getStateAsync(`${base}.startHour`);
-				const startM = await this.getStateAsync(`${base}.startMinute`);
-				const stopH = await this.getStateAsync(`${base}.stopHour`);
-				const stopM = await this.getStateAsync(`${base}.stopMinute`);
-				const startHour = Number(startH?.val ?? 0);
-				const startMinute = Number(startM?.val ?? 0);
-				const stopHour = Number(stopH?.val ?? 23);
-				const stopMinute = Number(stopM?.val ?? 59);
-				const startTime = Math.min(
-					1439,
-					Math.max(
-						0,
-						(Number.isFinite(startHour) ? startHour : 0) * 60 +
-							(Number.isFinite(startMinute) ? startMinute : 0),
-					),
-				);
-				const stopTime = Math.min(
-					1439,
-					Math.max(
-						0,
-						(Number.isFinite(stopHour) ? stopHour : 23) * 60 +
-							(Number.isFinite(stopMinute) ? stopMinute : 59),
-					),
-				);
-				const configFields = {
-					sprinkler_mode_start_time: startTime,
-					sprinkler_mode_stop_time: stopTime,
-				};
-				for (const day of days) {
-					const cap = day.charAt(0).toUpperCase() + day.slice(1);
-					const daySt = await this.getStateAsync(`${base}.active${cap}`);
-					configFields[`sprinkler_mode_active_${day}`] = !!daySt?.val;
-				}
-				this.log.info(`Saving sprinkler settings for ${applianceId}`);
-				await this.client.setApplianceConfig(locationId, roomId, applianceId, configFields);
-				await this.setState(stateId, { val: false, ack: true });
-				return;
-			}
-			// Sense Guard: sprinkler field changed – acknowledge locally, no API call
-			if (tail.startsWith('controls.sprinkler.')) {
-				await this.setState(stateId, { val: state.val, ack: true });
-				return;
+	/**
+	 * @param {string} id - Sense Guard appliance ID
+	 * @returns {Promise<{today: number, month: number, year: number, total: number, volume: number, last: number} | null>} cost from the states, null before the first calculation
+	 */
+	async _restoreWaterCost(id) {
+		try {
+			const raw = JSON.parse(String((await this.getStateAsync(`${id}.cost.raw`))?.val || ''));
+			const fields = ['today', 'month', 'year', 'total', 'volume', 'last'];
+			if (fields.every(name => Number.isFinite(raw?.[name])) && raw.last > 0) {
+				const { today, month, year, total, volume, last } = raw;
+				return { today, month, year, total, volume, last };
 			}
-			// Blue: dispense trigger
-			if (tail === 'controls.dispenseTrigger' && state.val) {
-				const typeState = await this.getStateAsync(`${this.namespace}.${applianceId}.controls.tapType`);
-				const amountState = await this.getStateAsync(`${this.namespace}.${applianceId}.controls.tapAmount`);
-				const tapType = Number(typeState?.val ?? 1);
-				const rawAmount = Number(amountState?.val ?? 250);
-				const tapAmount = Math.min(2000, Math.max(50, Math.round(rawAmount / 50) * 50));
+		} catch {
+			// No or broken cost.raw: fall back to the rounded states
+		}
+		const read = async name => Number((await this.getStateAsync(`${id}.cost.${name}`))?.val) || 0;
+		const last = await read('lastUpdate');
+		if (!last) {
+			return null;
+		}
+		return {
+			today: await read('today'),
+			month: await read('month'),
+			year: await read('year'),
+			total: await read('total'),
+			volume: await read('pricedVolume'),
+			last,
+		};
+	}
 
-				this.log.info(`Dispensing: type=${tapType} amount=${tapAmount}ml for ${applianceId}`);
-				await this.client.tapWater(locationId, roomId, applianceId, tapType, tapAmount);
-				await this.setState(stateId, { val: false, ack: true });
-				if (this.config.notifyEnabled && this.config.notifyOnControl) {
-					const tapTypeNames = {
-						1: getNotificationMessage(this, 'tapStill'),
-						2: getNotificationMessage(this, 'tapMedium'),
-						3: getNotificationMessage(this, 'tapCarbonated'),
-					};
-					const typeName = tapTypeNames[tapType] || String(tapType);
-					await sendNotification(
-						this,
-						getNotificationMessage(this, 'waterDispensed', {
-							device: dev.name || applianceId,
-							amount: tapAmount,
-							type: typeName,
-						}),
-					);
+	/**
+	 * First calculation: price the consumption before today at the base price
+	 * (aggregated data has no time of day) and add the monthly fees so far.
+	 *
+	 * @param {string} id - Sense Guard appliance ID
+	 * @param {string} locationId - location of the appliance
+	 * @param {string} roomId - room of the appliance
+	 * @param {object} appliance - appliance from the dashboard
+	 * @param {number} time - measurement time (ms)
+	 * @returns {Promise<{today: number, month: number, year: number, total: number, volume: number, last: number} | null>} start values, null when the fetch failed
+	 */
+	async _seedWaterCost(id, locationId, roomId, appliance, time) {
+		const tariff = this.waterTariff;
+		if (!tariff || !this.client) {
+			return null;
+		}
+		const d = new Date(time);
+		const yearStart = localDate(new Date(d.getFullYear(), 0, 1));
+		const monthStart = localDate(new Date(d.getFullYear(), d.getMonth(), 1));
+		const yesterday = localDate(new Date(d.getFullYear(), d.getMonth(), d.getDate() - 1));
+		let yearLitres = 0;
+		let monthLitres = 0;
+		if (yearStart <= yesterday) {
+			try {
+				const data = await this.client.getApplianceData(locationId, roomId, id, yearStart, yesterday, 'day');
+				for (const w of Array.isArray(data?.data?.withdrawals) ? data.data.withdrawals : []) {
+					yearLitres += w.waterconsumption || 0;
+					if (String(w.date || '').slice(0, 10) >= monthStart) {
+						monthLitres += w.waterconsumption || 0;
+					}
 				}
-				return;
-			}
-			// Blue: reset CO2
-			if (tail === 'controls.resetCo2' && state.val) {
-				this.log.info(`Resetting CO₂ for ${applianceId}`);
-				await this.client.resetCo2(locationId, roomId, applianceId);
-				await this.setState(stateId, { val: false, ack: true });
-				return;
-			}
-			// Blue: reset Filter
-			if (tail === 'controls.resetFilter' && state.val) {
-				this.log.info(`Resetting filter for ${applianceId}`);
-				await this.client.resetFilter(locationId, roomId, applianceId);
-				await this.setState(stateId, { val: false, ack: true });
-				return;
+			} catch (err) {
+				this.log.warn(`Water cost data for ${id} failed: ${err.message}`);
+				return null;
 			}
-		} catch (err) {
-			this.log.error(`Action failed (${stateId}): ${err.message}`);
 		}
+		// Litres before today from the total consumption, if it was calculated already
+		const totalLitres = this.totalConsumptionCache.get(id)?.base ?? yearLitres;
+		const installed = Date.parse(appliance.installation_date || appliance.register_date || '') || time;
+		const price = priceAt(tariff) / 1000;
+		this.log.debug(`Water cost of ${id} starts from ${totalLitres} l (${yearLitres} l this year)`);
+		return {
+			today: 0,
+			month: monthLitres * price + tariff.fee,
+			year: yearLitres * price + tariff.fee * (d.getMonth() + 1),
+			total: totalLitres * price + tariff.fee * monthsBetween(installed, time),
+			volume: 0,
+			last: time,
+		};
 	}
 
-	/* ================================================================== */
-	/*  Immediate readback after commands                                 */
-	/* ================================================================== */
-
 	/**
-	 * Re-read the command endpoint after a valve command to update the
-	 * valveOpen state immediately instead of waiting for the next poll.
+	 * Sum the cost of the Sense Guards per location into locations.<locationId>.cost.*.
+	 *
+	 * @param {Array<{id: string, name?: string, rooms?: Array<{appliances?: Array<{appliance_id: string}>}>}>} locations - dashboard locations
 	 */
-	async _readbackCommand(applianceId, locationId, roomId) {
-		try {
-			if (this.client) {
-				const cmd = await this.client.getApplianceCommand(locationId, roomId, applianceId);
-				const valveOpen = cmd?.command?.valve_open;
-				await this._setBool(applianceId, 'valveOpen', 'Valve open', 'indicator', valveOpen);
-				this.log.debug(`Readback after command: valveOpen=${valveOpen} for ${applianceId}`);
+	async _updateLocationCosts(locations) {
+		if (!this.waterTariff) {
+			return;
+		}
+		const unit = this.config.costCurrency || '€';
+		for (const location of locations) {
+			const costs = (location.rooms || [])
+				.flatMap(room => room.appliances || [])
+				.map(appliance => this._costState.get(appliance.appliance_id))
+				.filter(cost => cost !== undefined);
+			if (costs.length === 0) {
+				continue;
+			}
+			const base = `locations.${location.id}`;
+			await this._ensureChannel('locations', 'Locations');
+			await this._ensureChannel(base, location.name || String(location.id));
+			await this._ensureChannel(`${base}.cost`, 'Water cost');
+			for (const [name, label] of [
+				['today', 'Water cost today'],
+				['month', 'Water cost this month'],
+				['year', 'Water cost this year'],
+				['total', 'Water cost total'],
+			]) {
+				const sum = costs.reduce((acc, cost) => acc + cost[name], 0);
+				await this._setNum(`${base}.cost`, name, label, unit, 'value', Math.round(sum * 100) / 100);
 			}
-		} catch (err) {
-			this.log.warn(`Readback command for ${applianceId} failed: ${err.message}`);
 		}
 	}
 
@@ -1351,6 +3784,10 @@ class GroheSmarthome extends utils.Adapter {
 	}
 
 	async _ensureDevice(id, name, type) {
+		if (this._objectCache.has(id)) {
+			this._writesSaved++;
+			return;
+		}
 		const obj = await this.getObjectAsync(id);
 		const icon = this._getDeviceIcon(type);
 		const onlineId = `${this.namespace}.${id}.status.online`;
@@ -1372,17 +3809,92 @@ class GroheSmarthome extends utils.Adapter {
 				},
 			});
 		}
+		this._objectCache.set(id, type);
 	}
 
 	async _ensureChannel(id, name) {
+		if (this._objectCache.has(id)) {
+			this._writesSaved++;
+			return;
+		}
 		const obj = await this.getObjectAsync(id);
 		if (!obj) {
 			await this.setObject(id, { type: 'channel', common: { name }, native: {} });
 		}
+		this._objectCache.set(id, name);
 	}
 
+	/**
+	 * Create or update a state object – skipped when the definition is unchanged
+	 * since the last call.
+	 */
 	async _ensureState(id, common) {
+		const definition = JSON.stringify(common);
+		if (this._objectCache.get(id) === definition) {
+			this._writesSaved++;
+			return;
+		}
 		await this.extendObjectAsync(id, { type: 'state', common, native: {} });
+		this._objectCache.set(id, definition);
+	}
+
+	/**
+	 * Write an ack'ed value only if it differs from the last value written.
+	 */
+	async _writeState(id, val) {
+		if (this._stateCache.has(id) && this._stateCache.get(id) === val) {
+			this._writesSaved++;
+			return;
+		}
+		await this.setState(id, { val, ack: true });
+		this._stateCache.set(id, val);
+	}
+
+	/**
+	 * Value of an own state from the write cache, else from the database.
+	 * Acknowledged values read from the database are cached as well.
+	 *
+	 * @param {string} id - state ID without namespace
+	 * @returns {Promise<ioBroker.StateValue | undefined>} the value, undefined when the state is missing
+	 */
+	async _readState(id) {
+		if (!this._stateCache.has(id)) {
+			const state = await this.getStateAsync(id);
+			if (!state) {
+				return undefined;
+			}
+			if (state.ack) {
+				this._stateCache.set(id, state.val);
+			}
+			return state.val;
+		}
+		return this._stateCache.get(id);
+	}
+
+	async _subscribeOnce(id) {
+		if (this._subscribed.has(id)) {
+			return;
+		}
+		await this.subscribeStatesAsync(id);
+		this._subscribed.add(id);
+	}
+
+	/**
+	 * Drop cached objects, states and subscriptions below `id` (e.g. after deleting a device).
+	 */
+	_forgetObjects(id) {
+		for (const cache of [this._objectCache, this._stateCache]) {
+			for (const key of [...cache.keys()]) {
+				if (key === id || key.startsWith(`${id}.`)) {
+					cache.delete(key);
+				}
+			}
+		}
+		for (const key of [...this._subscribed]) {
+			if (key === id || key.startsWith(`${id}.`)) {
+				this._subscribed.delete(key);
+			}
+		}
 	}
 
 	async _setNum(devId, name, label, unit, role, value) {
@@ -1393,7 +3905,7 @@ class GroheSmarthome extends utils.Adapter {
 		}
 		await this._ensureState(sid, common);
 		if (value !== undefined && value !== null) {
-			await this.setState(sid, { val: Number(value), ack: true });
+			await this._writeState(sid, Number(value));
 		}
 	}
 
@@ -1401,7 +3913,7 @@ class GroheSmarthome extends utils.Adapter {
 		const sid = `${devId}.${name}`;
 		await this._ensureState(sid, { name: label, type: 'boolean', role, read: true, write: false });
 		if (value !== undefined && value !== null) {
-			await this.setState(sid, { val: !!value, ack: true });
+			await this._writeState(sid, !!value);
 		}
 	}
 
@@ -1409,32 +3921,76 @@ class GroheSmarthome extends utils.Adapter {
 		const sid = `${devId}.${name}`;
 		await this._ensureState(sid, { name: label, type: 'string', role, read: true, write: false });
 		if (value !== undefined && value !== null) {
-			await this.setState(sid, { val: String(value), ack: true });
+			await this._writeState(sid, String(value));
 		}
 	}
 
 	async _ensureWritableBool(devId, name, label, role) {
 		const sid = `${devId}.${name}`;
 		await this._ensureState(sid, { name: label, type: 'boolean', role, read: true, write: true });
-		await this.subscribeStatesAsync(sid);
+		await this._subscribeOnce(sid);
+	}
+
+	async _ensureWritableStr(devId, name, label, role) {
+		const sid = `${devId}.${name}`;
+		await this._ensureState(sid, { name: label, type: 'string', role, read: true, write: true, def: '' });
+		await this._subscribeOnce(sid);
 	}
 
 	async _ensureWritableNum(devId, name, label, role, def, options = {}) {
 		const sid = `${devId}.${name}`;
 		await this._ensureState(sid, { name: label, type: 'number', role, read: true, write: true, def, ...options });
-		await this.subscribeStatesAsync(sid);
+		await this._subscribeOnce(sid);
 	}
 
 	/* ================================================================== */
-	/*  Device Management messages                                        */
+	/*  Messages (sendTo + Device Management)                             */
 	/* ================================================================== */
 
 	onMessage(obj) {
+		if (obj?.command === 'refresh') {
+			return this._onRefreshMessage(obj);
+		}
+		if (obj && Object.hasOwn(NOTIFICATION_COMMANDS, obj.command)) {
+			return this._onNotificationMessage(obj);
+		}
 		if (this.deviceManagement) {
 			this.deviceManagement.handleAdapterMessage(obj);
 		}
 	}
 
+	/**
+	 * sendTo('grohe-smarthome.0', 'refresh', { applianceId }) – applianceId is optional,
+	 * a plain string is accepted as well.
+	 *
+	 * @param {object} obj - The ioBroker message object
+	 */
+	async _onRefreshMessage(obj) {
+		const applianceId = typeof obj.message === 'string' ? obj.message : obj.message?.applianceId;
+		const result = await this.refreshNow(applianceId || undefined);
+		if (obj.callback) {
+			this.sendTo(obj.from, obj.command, result, obj.callback);
+		}
+	}
+
+	/**
+	 * sendTo('grohe-smarthome.0', 'markNotificationRead' | 'deleteNotification',
+	 * { applianceId, notificationId }) and 'markAllNotificationsRead' with { applianceId }.
+	 *
+	 * @param {object} obj - The ioBroker message object
+	 */
+	async _onNotificationMessage(obj) {
+		const { applianceId, notificationId } = obj.message || {};
+		const result = await this._notificationAction(
+			String(applianceId || ''),
+			NOTIFICATION_COMMANDS[obj.command],
+			notificationId ? String(notificationId) : undefined,
+		);
+		if (obj.callback) {
+			this.sendTo(obj.from, obj.command, result, obj.callback);
+		}
+	}
+
 	/* ================================================================== */
 	/*  Cleanup                                                           */
 	/* ================================================================== */
@@ -1444,6 +4000,18 @@ class GroheSmarthome extends utils.Adapter {
 			if (this.pollTimer) {
 				this.clearTimeout(this.pollTimer);
 			}
+			for (const timer of [
+				...this._vacationTimers.values(),
+				...this._pressureTestTimers.values(),
+				...this._pressureVerify.values(),
+			]) {
+				this.clearTimeout(timer);
+			}
+			for (const entry of this._alarmLifecycle.values()) {
+				if (entry.timer) {
+					this.clearTimeout(entry.timer);
+				}
+			}
 			this._blueRefreshRunning.clear();
 			this.client = null;
 			callback();
@@ -27,3 +27,1479 @@ describe('module to test => function to test', () => {
 });
 
 // ... more test suites => describe
+
+describe('GroheSmarthome poll loop against the mock cloud', () => {
+	const { GroheCloudMock, senseFixture, senseGuardFixture, blueFixture } = require('./test/groheCloudMock');
+	const { loadAdapter, loadNotifyingAdapter } = require('./test/adapterHarness');
+	let cloud;
+	let adapter;
+
+	beforeEach(() => {
+		cloud = new GroheCloudMock().install();
+		cloud.addAppliance(senseFixture());
+		cloud.addAppliance(senseGuardFixture());
+		cloud.addAppliance(blueFixture());
+		adapter = loadAdapter({ email: 'user@example.com', password: 'secret', pollInterval: 300 });
+	});
+
+	afterEach(async () => {
+		await adapter.dispose();
+		cloud.restore();
+	});
+
+	it('logs in, polls all devices and schedules the next poll', async () => {
+		await adapter.ready();
+
+		expect(adapter.val('info.connection')).to.equal(true);
+		expect(adapter.val('auth.refreshToken')).to.match(/^enc:/);
+		expect(adapter.val('sense-1.temperature')).to.equal(21.5);
+		expect(adapter.val('guard-1.pressure')).to.equal(3.1);
+		expect(adapter.val('guard-1.valveOpen')).to.equal(true);
+		expect(adapter.val('guard-1.consumption.totalWaterConsumption')).to.equal(1120);
+		expect(adapter.val('guard-1.pressureMeasurement.dropOfPressure')).to.equal(0.1);
+		expect(adapter.val('blue-1.remainingCo2')).to.equal(80);
+		expect(adapter.val('sense-1.status.online')).to.equal(true);
+		expect(adapter.pollTimer).to.not.equal(null);
+	});
+
+	it('reuses the stored refresh token on restart', async () => {
+		await adapter.ready();
+		const stored = adapter.val('auth.refreshToken');
+		await adapter.dispose();
+
+		const restarted = loadAdapter({ email: 'user@example.com', password: 'secret' });
+		await restarted.setState('auth.refreshToken', { val: stored, ack: true });
+		await restarted.ready();
+		await restarted.dispose();
+
+		expect(cloud.requestsFor('POST', '/login-actions/authenticate')).to.have.length(1);
+		expect(cloud.requestsFor('POST', '/oidc/refresh')).to.have.length(1);
+	});
+
+	it('replays notifications and online changes that happened during a restart', async () => {
+		const notify = { notifyOnAlarms: true, notifyOnWarnings: true, staleMaxAgeGuard: 0 };
+		const guard = cloud.getAppliance('guard-1');
+		guard.notifications = [{ category: 20, notification_type: 40, timestamp: '2026-01-01T08:00:00.000Z' }];
+		await adapter.dispose();
+		adapter = loadNotifyingAdapter(notify);
+		await adapter.ready();
+		await adapter.setState('guard-1.status.online', { val: false, ack: true });
+		await adapter.dispose();
+
+		// While stopped: an alarm and a warning arrive (newest first, as the API returns them)
+		guard.notifications = [
+			{ category: 20, notification_type: 11, timestamp: '2026-01-01T10:00:00.000Z' },
+			{ category: 30, notification_type: 0, timestamp: '2026-01-01T09:00:00.000Z' },
+			...guard.notifications,
+		];
+		const restarted = loadNotifyingAdapter(notify);
+		for (const [id, obj] of adapter.objects) {
+			restarted.objects.set(id, obj);
+		}
+		for (const [id, state] of adapter.states) {
+			restarted.states.set(id, state);
+		}
+		adapter = restarted;
+		await adapter.ready();
+
+		const texts = adapter.sentMessages
+			.filter(m => m.instance === 'telegram.0')
+			.map(m => /** @type {{text: string}} */ (m.message).text);
+		const guardTexts = texts.filter(t => t.includes('Main Guard'));
+		expect(guardTexts).to.have.length(3);
+		expect(guardTexts[0]).to.include('now online');
+		expect(guardTexts[1]).to.include('Alarm');
+		expect(guardTexts[2]).to.include('Warning');
+		expect(adapter.log.entries.info.join('\n')).to.include('Replaying 2 notification(s)');
+	});
+
+	it('keeps a notification history with unread counters and refreshes it on demand', async () => {
+		cloud.dashboardNotifications = 2;
+		cloud.getAppliance('guard-1').notifications = [
+			{ category: 30, notification_type: 0, is_read: false, timestamp: '2026-01-01T10:00:00.000Z' },
+			{ category: 20, notification_type: 11, is_read: true, timestamp: '2026-01-01T09:00:00.000Z' },
+			{ category: 20, notification_type: 40, is_read: false, timestamp: '2026-01-01T08:00:00.000Z' },
+		];
+		await adapter.ready();
+
+		let history = JSON.parse(adapter.val('guard-1.notifications.history'));
+		expect(history.map(entry => entry.timestamp)).to.deep.equal([
+			'2026-01-01T10:00:00.000Z',
+			'2026-01-01T09:00:00.000Z',
+		]);
+		expect(history[0]).to.include({ category: 30, type: 0, read: false });
+		expect(history[0].text).to.be.a('string').and.not.be.empty;
+		expect(adapter.val('guard-1.notifications.unreadAlarms')).to.equal(1);
+		expect(adapter.val('guard-1.notifications.unreadWarnings')).to.equal(0);
+
+		await adapter.userWrite('guard-1.notifications.refresh', true);
+		history = JSON.parse(adapter.val('guard-1.notifications.history'));
+		expect(history).to.have.length(3);
+		expect(adapter.val('guard-1.notifications.unreadWarnings')).to.equal(1);
+		expect(adapter.val('guard-1.notifications.refresh')).to.equal(false);
+		expect(cloud.requestsFor('GET', /guard-1\/notifications/)[0].params.pageSize).to.equal('50');
+
+		// Read in the app: the flag follows, the older entry stays in the history
+		cloud.getAppliance('guard-1').notifications[0].is_read = true;
+		await adapter.pollDevices();
+		history = JSON.parse(adapter.val('guard-1.notifications.history'));
+		expect(history).to.have.length(3);
+		expect(adapter.val('guard-1.notifications.unreadAlarms')).to.equal(0);
+	});
+
+	it('pages through the notifications until the history size is filled', async () => {
+		await adapter.dispose();
+		adapter = loadAdapter({ email: 'user@example.com', password: 'secret', notificationHistorySize: 120 });
+		const start = Date.parse('2026-01-01T00:00:00.000Z');
+		cloud.getAppliance('guard-1').notifications = Array.from({ length: 130 }, (_, i) => ({
+			id: `n${i}`,
+			category: 20,
+			notification_type: 11,
+			is_read: true,
+			timestamp: new Date(start - i * 60000).toISOString(),
+		}));
+		await adapter.ready();
+
+		await adapter.userWrite('guard-1.notifications.refresh', true);
+		expect(JSON.parse(String(adapter.val('guard-1.notifications.history')))).to.have.length(120);
+		expect(cloud.requestsFor('GET', /guard-1\/notifications/).map(req => req.params.page)).to.deep.equal([
+			'1',
+			'2',
+			'3',
+		]);
+
+		// A short page ends the refresh early
+		cloud.getAppliance('guard-1').notifications.length = 60;
+		await adapter.userWrite('guard-1.notifications.refresh', true);
+		expect(cloud.requestsFor('GET', /guard-1\/notifications/)).to.have.length(5);
+	});
+
+	it('marks notifications read or deletes them in the cloud', async () => {
+		const guard = cloud.getAppliance('guard-1');
+		guard.notifications = [
+			{ id: 'n3', category: 30, notification_type: 0, is_read: false, timestamp: '2026-01-01T10:00:00.000Z' },
+			{ id: 'n2', category: 20, notification_type: 11, is_read: false, timestamp: '2026-01-01T09:00:00.000Z' },
+			{ id: 'n1', category: 20, notification_type: 40, is_read: false, timestamp: '2026-01-01T08:00:00.000Z' },
+		];
+		await adapter.ready();
+		expect(JSON.parse(adapter.val('guard-1.notifications.history'))[0].id).to.equal('n3');
+
+		await adapter.userWrite('guard-1.notifications.markRead', 'n3');
+		expect(guard.notifications[0].is_read).to.equal(true);
+		expect(adapter.val('guard-1.notifications.unreadAlarms')).to.equal(0);
+		expect(adapter.val('guard-1.notifications.markRead')).to.equal('');
+
+		await adapter.userWrite('guard-1.notifications.markAllRead', true);
+		expect(guard.notifications.every(n => n.is_read)).to.equal(true);
+		expect(cloud.requestsFor('PUT', /guard-1\/notifications\//)).to.have.length(3);
+		expect(adapter.val('guard-1.notifications.unreadWarnings')).to.equal(0);
+		expect(adapter.val('guard-1.notifications.markAllRead')).to.equal(false);
+
+		const message = { command: 'deleteNotification', from: 'system.adapter.javascript.0', callback: { id: 1 } };
+		await adapter.onMessage({ ...message, message: { applianceId: 'guard-1', notificationId: 'n1' } });
+		expect(adapter.sentMessages.at(-1).message).to.deep.equal({ success: true, count: 1 });
+		expect(guard.notifications.map(n => n.id)).to.deep.equal(['n3', 'n2']);
+		expect(JSON.parse(adapter.val('guard-1.notifications.history')).map(entry => entry.id)).to.deep.equal([
+			'n3',
+			'n2',
+		]);
+
+		await adapter.onMessage({ ...message, message: { applianceId: 'guard-1', notificationId: 'n9' } });
+		expect(adapter.sentMessages.at(-1).message.success).to.equal(false);
+
+		// Inherited keys are no notification commands
+		const sent = adapter.sentMessages.length;
+		await adapter.onMessage({ ...message, command: 'toString', message: {} });
+		expect(adapter.sentMessages).to.have.length(sent);
+	});
+
+	it('marks a notification read once it was forwarded, if configured', async () => {
+		const guard = cloud.getAppliance('guard-1');
+		guard.notifications = [
+			{ id: 'n1', category: 20, notification_type: 40, timestamp: '2026-01-01T08:00:00.000Z' },
+		];
+		await adapter.dispose();
+		adapter = loadNotifyingAdapter({
+			notifyOnWarnings: true,
+			notifyMarkRead: true,
+			staleMaxAgeGuard: 0,
+		});
+		await adapter.ready();
+
+		guard.notifications.unshift({
+			id: 'n2',
+			category: 20,
+			notification_type: 11,
+			is_read: false,
+			timestamp: '2026-01-01T09:00:00.000Z',
+		});
+		await adapter.pollDevices();
+
+		const texts = adapter.sentMessages
+			.filter(m => m.instance === 'telegram.0')
+			.map(m => /** @type {{text: string}} */ (m.message).text);
+		expect(texts.filter(t => t.includes('Main Guard'))).to.have.length(1);
+		expect(guard.notifications[0].is_read).to.equal(true);
+		expect(JSON.parse(String(adapter.val('guard-1.notifications.history')))[0]).to.include({
+			id: 'n2',
+			read: true,
+		});
+	});
+
+	it('keeps an alarm the adapter marked read itself until the user reads it', async () => {
+		const guard = cloud.getAppliance('guard-1');
+		guard.notifications = [];
+		await adapter.dispose();
+		adapter = loadNotifyingAdapter({
+			notifyOnAlarms: true,
+			notifyMarkRead: true,
+			escalationEnabled: true,
+			staleMaxAgeGuard: 0,
+		});
+		await adapter.ready();
+
+		guard.notifications.unshift({
+			id: 'a1',
+			category: 30,
+			notification_type: 0,
+			is_read: false,
+			timestamp: new Date().toISOString(),
+		});
+		await adapter.pollDevices();
+		expect(guard.notifications[0].is_read).to.equal(true);
+		expect(adapter.val('guard-1.alarms.flood')).to.equal(true);
+		expect(adapter.val('guard-1.alarms.active')).to.equal(true);
+		expect(adapter._alarmLifecycle.get('guard-1')?.timer).to.not.equal(null);
+
+		// Still raised on the next poll; reading it through ioBroker clears it
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.alarms.flood')).to.equal(true);
+		await adapter.userWrite('guard-1.notifications.markRead', 'a1');
+		expect(adapter.val('guard-1.alarms.flood')).to.equal(false);
+		expect(adapter.val('guard-1.alarms.active')).to.equal(false);
+	});
+
+	it('derives alarm states from notifications and clears them by rule', async () => {
+		await adapter.dispose();
+		adapter = loadAdapter({
+			email: 'user@example.com',
+			password: 'secret',
+			alarmRules: [{ alarm: 'frost', clear: 'manual' }],
+		});
+		const guard = cloud.getAppliance('guard-1');
+		guard.notifications = [
+			{ id: 'f1', category: 30, notification_type: 0, is_read: false, timestamp: '2026-01-01T09:00:00.000Z' },
+		];
+		await adapter.ready();
+
+		expect(adapter.val('guard-1.alarms.flood')).to.equal(true);
+		expect(adapter.val('guard-1.alarms.unreachable')).to.equal(false);
+		expect(adapter.val('guard-1.alarms.batteryLow')).to.equal(undefined);
+
+		// flood clears once read
+		await adapter.userWrite('guard-1.notifications.markRead', 'f1');
+		expect(adapter.val('guard-1.alarms.flood')).to.equal(false);
+
+		// unreachable clears on the next measurement, frost only by hand
+		guard.notifications.unshift(
+			{ id: 'u1', category: 20, notification_type: 603, is_read: false, timestamp: '2026-01-01T11:00:00.000Z' },
+			{ id: 'r1', category: 20, notification_type: 40, is_read: false, timestamp: '2026-01-01T10:30:00.000Z' },
+		);
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.alarms.unreachable')).to.equal(true);
+		expect(adapter.val('guard-1.alarms.frost')).to.equal(true);
+
+		guard.data_latest.measurement.timestamp = '2026-01-01T12:00:00.000Z';
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.alarms.unreachable')).to.equal(false);
+		expect(adapter.val('guard-1.alarms.frost')).to.equal(true);
+
+		await adapter.userWrite('guard-1.alarms.reset', true);
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.alarms.frost')).to.equal(false);
+		expect(adapter.val('guard-1.alarms.flood')).to.equal(false);
+
+		// After the first evaluation the alarm states come from memory
+		const getStateAsync = adapter.getStateAsync.bind(adapter);
+		const reads = [];
+		adapter.getStateAsync = async (id, ...args) => {
+			reads.push(id);
+			return getStateAsync(id, ...args);
+		};
+		await adapter.pollDevices();
+		expect(reads.filter(id => id.includes('.alarms.'))).to.deep.equal([]);
+	});
+
+	it('escalates an unacknowledged alarm until it is acknowledged or cleared', async () => {
+		await adapter.dispose();
+		adapter = loadNotifyingAdapter({
+			notifyOnAlarms: true,
+			notifyInstancePushover: 'pushover.0',
+			escalationEnabled: true,
+			escalationProviders: ['pushover'],
+			staleMaxAgeGuard: 0,
+		});
+		const guard = cloud.getAppliance('guard-1');
+		guard.notifications = [
+			{ id: 'a1', category: 30, notification_type: 0, is_read: false, timestamp: '2026-01-01T09:00:00.000Z' },
+		];
+		await adapter.ready();
+
+		expect(adapter.val('guard-1.alarms.active')).to.equal(true);
+		expect(adapter.val('guard-1.alarms.acknowledged')).to.equal(false);
+		expect(adapter.val('guard-1.alarms.since')).to.be.greaterThan(0);
+		expect(adapter._alarmLifecycle.get('guard-1').timer).to.not.equal(null);
+
+		await adapter._escalateAlarm('guard-1');
+		const reminder = adapter.sentMessages[adapter.sentMessages.length - 1];
+		expect(reminder.instance).to.equal('pushover.0');
+		expect(/** @type {{message: string}} */ (reminder.message).message).to.include('reminder 1');
+
+		await adapter.userWrite('guard-1.alarms.acknowledge', true);
+		expect(adapter.val('guard-1.alarms.acknowledged')).to.equal(true);
+		expect(adapter.val('guard-1.alarms.active')).to.equal(true);
+		expect(adapter._alarmLifecycle.get('guard-1').timer).to.equal(null);
+		const sent = adapter.sentMessages.length;
+		await adapter._escalateAlarm('guard-1');
+		expect(adapter.sentMessages).to.have.length(sent);
+
+		// A new alarm re-activates, reading all alarms clears
+		guard.notifications.unshift({
+			id: 'a2',
+			category: 30,
+			notification_type: 0,
+			is_read: false,
+			timestamp: '2026-01-01T09:30:00.000Z',
+		});
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.alarms.acknowledged')).to.equal(false);
+
+		await adapter.userWrite('guard-1.notifications.markAllRead', true);
+		expect(adapter.val('guard-1.alarms.active')).to.equal(false);
+		expect(adapter.val('guard-1.alarms.since')).to.equal(0);
+		expect(adapter._alarmLifecycle.has('guard-1')).to.equal(false);
+	});
+
+	it('backs off on HTTP 403 and resets the interval after recovery', async () => {
+		await adapter.ready();
+
+		cloud.failNext('GET', '/dashboard', 403);
+		await adapter.pollDevices();
+		expect(adapter.val('info.connection')).to.equal(false);
+		expect(adapter.consecutiveErrors).to.equal(1);
+		expect(adapter.currentPollInterval).to.equal(600);
+
+		cloud.failNext('GET', '/dashboard', 403);
+		await adapter.pollDevices();
+		expect(adapter.currentPollInterval).to.equal(1200);
+
+		await adapter.pollDevices();
+		expect(adapter.val('info.connection')).to.equal(true);
+		expect(adapter.consecutiveErrors).to.equal(0);
+		expect(adapter.currentPollInterval).to.equal(300);
+	});
+
+	it('applies separate backoff policies to HTTP 403 and server errors', async () => {
+		await adapter.dispose();
+		adapter = loadAdapter({
+			email: 'user@example.com',
+			password: 'secret',
+			pollInterval: 300,
+			backoffErrorBase: 60,
+			backoffErrorMax: 240,
+			backoffErrorLongPause: 'off',
+			backoff403LongPause: 'custom',
+			backoff403LongPauseMinutes: 90,
+			backoff403Max: 1200,
+		});
+		await adapter.ready();
+
+		cloud.failNext('GET', '/dashboard', 503);
+		await adapter.pollDevices();
+		expect(adapter.currentPollInterval).to.equal(120);
+		cloud.failNext('GET', '/dashboard', 503);
+		await adapter.pollDevices();
+		cloud.failNext('GET', '/dashboard', 503);
+		await adapter.pollDevices();
+		expect(adapter.currentPollInterval).to.equal(240);
+
+		// Each policy counts its own failures – the 503 run does not inflate the 403 backoff
+		cloud.failNext('GET', '/dashboard', 403);
+		await adapter.pollDevices();
+		expect(adapter.currentPollInterval).to.equal(600);
+		cloud.failNext('GET', '/dashboard', 403);
+		await adapter.pollDevices();
+		expect(adapter.currentPollInterval).to.equal(5400);
+		expect(adapter.consecutiveErrors).to.equal(5);
+	});
+
+	it('publishes polling health states', async () => {
+		const start = Date.now();
+		await adapter.ready();
+		const lastSuccess = adapter.val('info.lastSuccessfulPoll');
+		expect(lastSuccess).to.be.at.least(start);
+		expect(adapter.val('info.currentInterval')).to.equal(300);
+		expect(adapter.val('info.nextPoll')).to.be.at.least(start + 300 * 1000);
+		expect(adapter.val('info.consecutiveErrors')).to.equal(0);
+
+		cloud.failNext('GET', '/dashboard', 503);
+		await adapter.pollDevices();
+		adapter._schedulePoll();
+		expect(adapter.val('info.consecutiveErrors')).to.equal(1);
+		expect(adapter.val('info.lastErrorStatus')).to.equal(503);
+		expect(adapter.val('info.lastErrorReason')).to.be.a('string').and.not.be.empty;
+		expect(adapter.val('info.currentInterval')).to.equal(600);
+		expect(adapter.val('info.lastSuccessfulPoll')).to.equal(lastSuccess);
+
+		await adapter.pollDevices();
+		expect(adapter.val('info.consecutiveErrors')).to.equal(0);
+		expect(adapter.val('info.lastErrorStatus')).to.equal(503);
+		expect(adapter.val('info.lastSuccessfulPoll')).to.be.at.least(lastSuccess);
+	});
+
+	it('processes appliances in a bounded pool and isolates per-appliance errors', async () => {
+		await adapter.ready();
+		adapter.config.pollConcurrency = 2;
+		const processAppliance = adapter._processAppliance.bind(adapter);
+		let running = 0;
+		let peak = 0;
+		adapter._processAppliance = async (locationId, roomId, appliance, flags) => {
+			running++;
+			peak = Math.max(peak, running);
+			try {
+				if (appliance.appliance_id === 'sense-1') {
+					throw new Error('boom');
+				}
+				return await processAppliance(locationId, roomId, appliance, flags);
+			} finally {
+				running--;
+			}
+		};
+		cloud.getAppliance('guard-1').data_latest.measurement.pressure = 2.7;
+
+		await adapter.pollDevices();
+
+		expect(peak).to.equal(2);
+		expect(adapter.val('guard-1.pressure')).to.equal(2.7);
+		expect(adapter.consecutiveErrors).to.equal(0);
+		expect(adapter.log.entries.warn.join('\n')).to.include('Processing sense-1 failed: boom');
+		expect(adapter.val('info.pollDuration')).to.be.a('number');
+
+		adapter._processAppliance = async () => {
+			throw new Error('down');
+		};
+		await adapter.pollDevices();
+		expect(adapter.consecutiveErrors).to.equal(1);
+	});
+
+	it('handles a 403 of a single appliance as a failed cycle', async () => {
+		await adapter.ready();
+		const processAppliance = adapter._processAppliance.bind(adapter);
+		adapter._processAppliance = async (locationId, roomId, appliance, flags) => {
+			if (appliance.appliance_id === 'sense-1') {
+				throw Object.assign(new Error('Request failed with status code 403'), { response: { status: 403 } });
+			}
+			return processAppliance(locationId, roomId, appliance, flags);
+		};
+
+		await adapter.pollDevices();
+
+		expect(adapter.consecutiveErrors).to.equal(1);
+		expect(adapter.val('info.lastErrorStatus')).to.equal(403);
+		expect(adapter.currentPollInterval).to.equal(600);
+	});
+
+	it('skips unchanged objects, values and subscriptions on later polls', async () => {
+		await adapter.ready();
+		const calls = { extend: 0, subscribe: 0, setState: /** @type {string[]} */ ([]) };
+		const extendObjectAsync = adapter.extendObjectAsync.bind(adapter);
+		const subscribeStatesAsync = adapter.subscribeStatesAsync.bind(adapter);
+		const setState = adapter.setState.bind(adapter);
+		adapter.extendObjectAsync = (id, obj) => (calls.extend++, extendObjectAsync(id, obj));
+		adapter.subscribeStatesAsync = id => (calls.subscribe++, subscribeStatesAsync(id));
+		adapter.setState = (id, state, ack) => (calls.setState.push(id), setState(id, state, ack));
+		cloud.getAppliance('guard-1').data_latest.measurement.pressure = 2.9;
+
+		await adapter.pollDevices();
+
+		expect(calls.extend).to.equal(0);
+		expect(calls.subscribe).to.equal(0);
+		expect(calls.setState).to.include('guard-1.pressure');
+		expect(calls.setState).to.not.include('guard-1.temperature');
+		expect(adapter.val('guard-1.pressure')).to.equal(2.9);
+		expect(adapter.val('info.writesSaved')).to.be.greaterThan(50);
+	});
+
+	it('rewrites a cached value after the user changed the state', async () => {
+		await adapter.ready();
+		await adapter.userWrite('guard-1.controls.sprinkler.startHour', 7);
+		expect(adapter.val('guard-1.controls.sprinkler.startHour')).to.equal(7);
+
+		adapter._dueTimes.clear(); // next poll fetches the config again
+		await adapter.pollDevices();
+
+		expect(adapter.val('guard-1.controls.sprinkler.startHour')).to.equal(
+			Math.floor(cloud.getAppliance('guard-1').config.sprinkler_mode_start_time / 60),
+		);
+	});
+
+	it('polls through the fallback discovery when /dashboard is unavailable', async () => {
+		cloud.dashboardAvailable = false;
+
+		await adapter.ready();
+
+		expect(adapter.client.usingFallbackDiscovery).to.equal(true);
+		expect(adapter.val('guard-1.flowRate')).to.equal(0);
+		expect(adapter.val('sense-1.humidity')).to.equal(48);
+	});
+
+	it('publishes the API budget and defers optional queries when it runs low', async () => {
+		await adapter.ready();
+		const apiRequests = cloud.requests.filter(r => !r.path.includes('/oidc/') && !r.path.includes('/sso/'));
+		expect(adapter.val('info.apiCallsToday')).to.equal(apiRequests.length);
+		expect(adapter.val('info.apiBudgetRemaining')).to.equal(5000 - adapter.val('info.apiCallsToday'));
+
+		adapter.client.limiter.restore(4600);
+		const statusBefore = cloud.requestsFor('GET', '/status').length;
+		adapter._dueTimes.clear(); // next cycle would fetch status, pressure and config
+		await adapter.pollDevices();
+
+		expect(cloud.requestsFor('GET', '/status').length).to.equal(statusBefore);
+		expect(adapter.val('info.connection')).to.equal(true);
+
+		// Deferred endpoints stay due and run once the budget allows it
+		adapter.client.limiter.perDay = 0;
+		await adapter.pollDevices();
+		expect(cloud.requestsFor('GET', '/status').length).to.equal(statusBefore + 3);
+	});
+
+	it('fetches each endpoint on its own schedule per appliance', async () => {
+		await adapter.dispose();
+		adapter = loadAdapter({
+			email: 'user@example.com',
+			password: 'secret',
+			pollSchedule: [
+				{ endpoint: 'dashboard', interval: 120 },
+				{ endpoint: 'pressure', interval: 30 },
+			],
+		});
+		await adapter.ready();
+		expect(adapter.currentPollInterval).to.equal(120);
+		expect(adapter.pollSchedule.status).to.equal(600);
+		expect(adapter.pollSchedule.pressure).to.equal(60);
+		expect(adapter.log.entries.warn.join('\n')).to.include('raised from 30s');
+		expect(cloud.requestsFor('GET', '/status')).to.have.length(3);
+		expect(cloud.requestsFor('POST', '/command')).to.have.length(1); // Blue measurement trigger
+
+		// Nothing but the dashboard is due right after the first poll
+		await adapter.pollDevices();
+		expect(cloud.requestsFor('GET', '/status')).to.have.length(3);
+		expect(cloud.requestsFor('GET', '/pressuremeasurement')).to.have.length(1);
+
+		// Once pressure is due for the Guard, only the Guard fetches it
+		adapter._dueTimes.get('guard-1').pressure = Date.now() - 1;
+		await adapter.pollDevices();
+		expect(cloud.requestsFor('GET', '/pressuremeasurement')).to.have.length(2);
+		expect(cloud.requestsFor('GET', '/status')).to.have.length(3);
+	});
+
+	it('polls fast while water flows or an alarm is unresolved, capped per day', async () => {
+		await adapter.dispose();
+		adapter = loadAdapter({
+			email: 'user@example.com',
+			password: 'secret',
+			pollInterval: 300,
+			fastPollEnabled: true,
+			fastPollInterval: 60,
+			fastPollMaxMinutesPerDay: 3,
+		});
+		await adapter.ready();
+		expect(adapter.scheduledInterval).to.equal(300);
+
+		cloud.getAppliance('guard-1').data_latest.measurement.flowrate = 4.5;
+		await adapter.pollDevices();
+		adapter._schedulePoll();
+		expect(adapter.scheduledInterval).to.equal(60);
+		expect(adapter.log.entries.info.join('\n')).to.include('water flowing at Main Guard');
+
+		cloud.getAppliance('guard-1').data_latest.measurement.flowrate = 0;
+		await adapter.pollDevices();
+		adapter._schedulePoll();
+		expect(adapter.scheduledInterval).to.equal(300);
+
+		cloud.getAppliance('sense-1').notifications = [
+			{ category: 30, notification_type: 0, is_read: false, timestamp: new Date().toISOString() },
+		];
+		await adapter.pollDevices();
+		adapter._schedulePoll();
+		expect(adapter.scheduledInterval).to.equal(60);
+		adapter._schedulePoll();
+		expect(adapter.scheduledInterval).to.equal(60);
+
+		// 3 minutes used – the fourth fast interval would exceed the daily cap
+		adapter._schedulePoll();
+		expect(adapter.scheduledInterval).to.equal(300);
+		expect(adapter.log.entries.info.join('\n')).to.include('allowance of 3 min used up');
+	});
+
+	it('refreshes all endpoints on demand and re-arms the timer', async () => {
+		await adapter.ready();
+		const statusBefore = cloud.requestsFor('GET', '/status').length;
+		const timerBefore = adapter.pollTimer;
+
+		await adapter.userWrite('info.refreshNow', true);
+
+		expect(cloud.requestsFor('GET', '/status')).to.have.length(statusBefore + 3);
+		expect(adapter.val('info.refreshNow')).to.equal(false);
+		expect(adapter.pollTimer).to.not.equal(timerBefore);
+	});
+
+	it('never runs a manual refresh and a timer poll at the same time', async () => {
+		await adapter.ready();
+		adapter.client.limiter.perMinute = 0;
+		const pollDevices = adapter.pollDevices.bind(adapter);
+		let running = 0;
+		let peak = 0;
+		adapter.pollDevices = async options => {
+			running++;
+			peak = Math.max(peak, running);
+			try {
+				await new Promise(resolve => setTimeout(resolve, 10));
+				return await pollDevices(options);
+			} finally {
+				running--;
+			}
+		};
+
+		await Promise.all([adapter._runPoll(), adapter.refreshNow(), adapter.refreshNow('guard-1')]);
+
+		expect(peak).to.equal(1);
+		expect(adapter._pollInFlight).to.equal(null);
+	});
+
+	it('queues a refresh behind the first poll and keeps the backoff of a failed one', async () => {
+		const pollDevices = adapter.pollDevices.bind(adapter);
+		let running = 0;
+		let peak = 0;
+		let refresh;
+		adapter.pollDevices = async options => {
+			running++;
+			peak = Math.max(peak, running);
+			refresh ??= Promise.resolve().then(() => adapter.refreshNow());
+			try {
+				return await pollDevices(options);
+			} finally {
+				running--;
+			}
+		};
+		await adapter.ready();
+		await refresh;
+		expect(peak).to.equal(1);
+
+		await adapter.dispose();
+		adapter = loadAdapter({ email: 'user@example.com', password: 'secret', pollInterval: 300 });
+		cloud.failNext('GET', '/dashboard', 503);
+		await adapter.ready();
+		expect(adapter.consecutiveErrors).to.equal(1);
+		expect(adapter.currentPollInterval).to.be.greaterThan(300);
+	});
+
+	it('answers the refresh message, optionally for a single appliance', async () => {
+		await adapter.ready();
+		const pressureBefore = cloud.requestsFor('GET', '/pressuremeasurement').length;
+		const statusBefore = cloud.requestsFor('GET', '/status').length;
+		const message = { command: 'refresh', from: 'system.adapter.javascript.0', callback: { id: 1 } };
+
+		await adapter.onMessage({ ...message, message: { applianceId: 'guard-1' } });
+		expect(adapter.sentMessages.at(-1).message).to.deep.equal({ success: true });
+		expect(cloud.requestsFor('GET', '/pressuremeasurement')).to.have.length(pressureBefore + 1);
+		expect(cloud.requestsFor('GET', '/status')).to.have.length(statusBefore + 1);
+
+		await adapter.onMessage({ ...message, message: 'unknown-1' });
+		expect(adapter.sentMessages.at(-1).message).to.deep.equal({
+			success: false,
+			error: 'Unknown appliance unknown-1',
+		});
+
+		adapter.client.limiter.perDay = 10;
+		adapter.client.limiter.restore(10);
+		await adapter.onMessage({ ...message, message: {} });
+		expect(adapter.sentMessages.at(-1).message.error).to.include('budget exhausted');
+	});
+
+	it('flags stale data per device type and notifies on change', async () => {
+		await adapter.dispose();
+		adapter = loadNotifyingAdapter({
+			staleMaxAgeGuard: 30,
+			staleMaxAgeSense: 0,
+			notifyOnWarnings: true,
+		});
+		const guardNotifications = () =>
+			adapter.sentMessages.filter(m => m.instance === 'telegram.0' && /Main Guard/.test(m.message.text));
+
+		await adapter.ready();
+		expect(adapter.val('guard-1.status.dataStale')).to.equal(true);
+		expect(adapter.val('guard-1.status.dataAgeMinutes')).to.be.greaterThan(30);
+		expect(adapter.val('sense-1.status.dataStale')).to.equal(undefined);
+		expect(guardNotifications()).to.have.length(1);
+		expect(guardNotifications()[0].message.text).to.include('no new data');
+
+		await adapter.pollDevices();
+		expect(guardNotifications()).to.have.length(1);
+
+		cloud.getAppliance('guard-1').data_latest.measurement.timestamp = new Date().toISOString();
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.status.dataStale')).to.equal(false);
+		expect(adapter.val('guard-1.status.dataAgeMinutes')).to.equal(0);
+		expect(guardNotifications()).to.have.length(2);
+		expect(guardNotifications()[1].message.text).to.include('up to date again');
+
+		// The measurement time comes from the write cache
+		const getStateAsync = adapter.getStateAsync.bind(adapter);
+		const reads = [];
+		adapter.getStateAsync = async (id, ...args) => {
+			reads.push(id);
+			return getStateAsync(id, ...args);
+		};
+		await adapter.pollDevices();
+		expect(reads.filter(id => id.endsWith('.lastMeasurement'))).to.deep.equal([]);
+	});
+
+	it('flags, deletes and announces appliances that left or joined the account', async () => {
+		await adapter.dispose();
+		adapter = loadNotifyingAdapter({
+			removedAfterPolls: 2,
+			removedDeleteAfterHours: 1,
+			notifyOnWarnings: true,
+		});
+		const texts = () => adapter.sentMessages.filter(m => m.instance === 'telegram.0').map(m => m.message.text);
+		await adapter.ready();
+		expect(adapter.val('guard-1.status.removed')).to.equal(false);
+		expect(texts().join('\n')).to.not.include('New Grohe device');
+
+		cloud.removeAppliance('guard-1');
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.status.removed')).to.equal(false);
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.status.removed')).to.equal(true);
+		expect(texts().join('\n')).to.include('Main Guard is no longer in the Grohe account');
+
+		// Still within the grace period
+		await adapter.pollDevices();
+		expect(adapter.objects.has(`${adapter.namespace}.guard-1`)).to.equal(true);
+
+		await adapter.setState('guard-1.status.removedSince', { val: Date.now() - 2 * 3600000, ack: true });
+		await adapter.pollDevices();
+		expect(adapter.objects.has(`${adapter.namespace}.guard-1`)).to.equal(false);
+		expect(adapter.objects.has(`${adapter.namespace}.guard-1.pressure`)).to.equal(false);
+		expect(adapter.devices.has('guard-1')).to.equal(false);
+		expect(texts().join('\n')).to.include('Objects of Main Guard deleted');
+
+		cloud.addAppliance(senseFixture({ appliance_id: 'sense-2', name: 'Cellar' }));
+		await adapter.pollDevices();
+		expect(adapter.val('sense-2.status.removed')).to.equal(false);
+		expect(texts().join('\n')).to.include('New Grohe device found: Cellar');
+	});
+
+	it('stops the timers and subscriptions of a removed and a deleted appliance', async () => {
+		await adapter.dispose();
+		adapter = loadNotifyingAdapter({
+			removedAfterPolls: 1,
+			removedDeleteAfterHours: 1,
+			notifyOnAlarms: true,
+			escalationEnabled: true,
+		});
+		const guard = cloud.getAppliance('guard-1');
+		guard.notifications = [
+			{ id: 'a1', category: 30, notification_type: 0, is_read: false, timestamp: new Date().toISOString() },
+		];
+		await adapter.ready();
+		adapter.foreignStates.set('presence.0.home', { val: true, ack: true });
+		await adapter.userWrite('guard-1.controls.vacation.presenceState', 'presence.0.home');
+		await adapter.userWrite('guard-1.controls.vacation.start', new Date(Date.now() + 3600000).toISOString());
+		await adapter.userWrite('guard-1.controls.pressureTest.enabled', true);
+		adapter._startPressureVerify('guard-1', 'loc-1', 'room-1', 'old');
+		const guardTimers = [
+			adapter._vacationTimers.get('guard-1'),
+			adapter._pressureTestTimers.get('guard-1'),
+			adapter._pressureVerify.get('guard-1'),
+			adapter._alarmLifecycle.get('guard-1').timer,
+		];
+		expect(guardTimers.every(timer => adapter._timers.has(timer))).to.equal(true);
+
+		cloud.removeAppliance('guard-1');
+		await adapter.pollDevices();
+
+		// Flagged as removed: the timers stop before the objects are deleted
+		expect(adapter.val('guard-1.status.removed')).to.equal(true);
+		expect(guardTimers.some(timer => adapter._timers.has(timer))).to.equal(false);
+		expect(adapter.subscriptions.has('presence.0.home')).to.equal(false);
+		await adapter.userWrite('guard-1.controls.pressureTest.enabled', true);
+		expect(adapter._pressureTestTimers.has('guard-1')).to.equal(false);
+
+		await adapter.setState('guard-1.status.removedSince', { val: Date.now() - 2 * 3600000, ack: true });
+		await adapter.pollDevices();
+
+		expect(adapter.objects.has(`${adapter.namespace}.guard-1`)).to.equal(false);
+		expect(guardTimers.some(timer => adapter._timers.has(timer))).to.equal(false);
+		expect(adapter.subscriptions.has('presence.0.home')).to.equal(false);
+		for (const map of [
+			adapter._vacationTimers,
+			adapter._vacationPresence,
+			adapter._pressureTestTimers,
+			adapter._pressureVerify,
+			adapter._alarmLifecycle,
+			adapter._notifHistory,
+			adapter._alarmWatermark,
+		]) {
+			expect(map.has('guard-1')).to.equal(false);
+		}
+
+		// A late presence change or vacation check does not bring the appliance back
+		await adapter.onStateChange('presence.0.home', { val: false, ack: true });
+		await adapter._evaluateVacation('guard-1');
+		await adapter._schedulePressureTest('guard-1');
+		expect([...adapter.objects.keys()].some(id => id.includes('.guard-1.'))).to.equal(false);
+	});
+
+	it('pauses polling until midnight once the daily budget is used up', async () => {
+		await adapter.ready();
+		adapter.client.limiter.restore(5000);
+		const before = cloud.requests.length;
+
+		await adapter.pollDevices();
+
+		expect(cloud.requests.length).to.equal(before);
+		expect(adapter.currentPollInterval).to.be.greaterThan(59);
+		expect(adapter.log.entries.warn.join('\n')).to.include('polling paused until midnight');
+	});
+
+	it('pauses instead of backing off when the budget runs out during a cycle', async () => {
+		await adapter.ready();
+		const limiter = adapter.client.limiter;
+		const getDashboard = adapter.client.getDashboard.bind(adapter.client);
+		adapter.client.getDashboard = () => {
+			limiter.perDay = limiter.callsToday;
+			return getDashboard();
+		};
+
+		await adapter.pollDevices();
+
+		expect(limiter.exhausted).to.equal(true);
+		expect(adapter.consecutiveErrors).to.equal(0);
+		expect(adapter.val('info.connection')).to.equal(true);
+		expect(adapter.currentPollInterval).to.be.greaterThan(59);
+		expect(adapter.log.entries.warn.join('\n')).to.include('polling paused until midnight');
+		expect(adapter.log.entries.warn.join('\n')).to.not.include('Polling failed');
+
+		// Settings written from ioBroker still go through
+		const guard = cloud.getAppliance('guard-1');
+		await adapter.userWrite('guard-1.controls.snooze.start', true);
+		await adapter.userWrite('guard-1.controls.withdrawalAmountLimit', 500);
+		expect(guard.snooze).to.include({ snooze_active: true });
+		expect(guard.config).to.include({ withdrawel_amount_limit: 500 });
+	});
+
+	it('closes the valve from a control state and reads it back', async () => {
+		await adapter.ready();
+
+		await adapter.userWrite('guard-1.controls.valveClose', true);
+
+		expect(cloud.getAppliance('guard-1').command.valve_open).to.equal(false);
+		expect(adapter.val('guard-1.valveOpen')).to.equal(false);
+		expect(adapter.val('guard-1.controls.valveClose')).to.equal(false);
+	});
+
+	it('closes the valve when an external leak sensor reports a leak', async () => {
+		await adapter.dispose();
+		adapter = loadNotifyingAdapter({
+			notifyOnAlarms: true,
+			staleMaxAgeGuard: 0,
+			leakRules: [
+				{ stateId: 'zigbee.0.bath.water', condition: 'true', guard: '' },
+				{ stateId: 'hm.0.cellar.level', condition: 'gt', value: '5', guard: 'guard-1' },
+			],
+		});
+		adapter.foreignStates.set('hm.0.cellar.level', { val: 9, ack: true });
+		const guard = cloud.getAppliance('guard-1');
+		await adapter.ready();
+
+		// Already wet at startup: logged, valve untouched
+		expect(adapter.log.entries.warn.join('\n')).to.include('hm.0.cellar.level already reports a leak');
+		expect(guard.command.valve_open).to.equal(true);
+
+		await adapter.onStateChange('zigbee.0.bath.water', { val: true, ack: true });
+		expect(guard.command.valve_open).to.equal(false);
+		expect(adapter.val('guard-1.valveOpen')).to.equal(false);
+		expect(adapter.val('guard-1.alarms.leakSensor')).to.equal('zigbee.0.bath.water');
+		expect(adapter.log.entries.warn.join('\n')).to.include('closed by leak sensor zigbee.0.bath.water');
+		const texts = adapter.sentMessages
+			.filter(m => m.instance === 'telegram.0')
+			.map(m => /** @type {{text: string}} */ (m.message).text);
+		expect(texts.at(-1)).to.include('zigbee.0.bath.water').and.include('Main Guard');
+
+		// Reopened by hand: a sensor that stays wet does not close it again
+		await adapter.userWrite('guard-1.controls.valveOpen', true);
+		await adapter.onStateChange('zigbee.0.bath.water', { val: true, ack: true });
+		await adapter.onStateChange('hm.0.cellar.level', { val: 8, ack: true });
+		expect(guard.command.valve_open).to.equal(true);
+
+		await adapter.onStateChange('hm.0.cellar.level', { val: 2, ack: true });
+		await adapter.onStateChange('hm.0.cellar.level', { val: 7, ack: true });
+		expect(guard.command.valve_open).to.equal(false);
+	});
+
+	it('closes the valve for a leak with the request budget used up', async () => {
+		await adapter.dispose();
+		adapter = loadNotifyingAdapter({
+			notifyOnAlarms: true,
+			staleMaxAgeGuard: 0,
+			leakRules: [{ stateId: 'zigbee.0.bath.water', condition: 'true', guard: 'guard-1' }],
+		});
+		const guard = cloud.getAppliance('guard-1');
+		await adapter.ready();
+		const limiter = adapter.client.limiter;
+		limiter.perDay = limiter.callsToday;
+		limiter._tokens = 0;
+		limiter._lastRefill = Date.now();
+		const refused = await adapter.client.getDashboard().then(
+			() => null,
+			err => err,
+		);
+		expect(refused?.message).to.include('budget exhausted');
+
+		// Neither the daily budget nor the minute limit holds the shut-off back
+		await adapter.onStateChange('zigbee.0.bath.water', { val: true, ack: true });
+		expect(guard.command.valve_open).to.equal(false);
+		expect(adapter.val('guard-1.alarms.leakSensor')).to.equal('zigbee.0.bath.water');
+		expect(adapter.log.entries.warn.join('\n')).to.include('closed by leak sensor zigbee.0.bath.water');
+	});
+
+	it('closes the valve for vacation and reopens it only without an active alarm', async () => {
+		const config = { notifyOnControl: true, staleMaxAgeGuard: 0 };
+		await adapter.dispose();
+		adapter = loadNotifyingAdapter(config);
+		const guard = cloud.getAppliance('guard-1');
+		const lastText = () =>
+			/** @type {{text: string}} */ (
+				adapter.sentMessages.filter(m => m.instance === 'telegram.0').at(-1)?.message
+			)?.text;
+		await adapter.ready();
+		expect(adapter.val('guard-1.controls.vacation.active')).to.not.equal(true);
+
+		// Window running: enabling closes the valve
+		await adapter.userWrite('guard-1.controls.vacation.start', new Date(Date.now() - 60000).toISOString());
+		await adapter.userWrite('guard-1.controls.vacation.end', new Date(Date.now() + 3600000).toISOString());
+		expect(guard.command.valve_open).to.equal(true);
+		await adapter.userWrite('guard-1.controls.vacation.enabled', true);
+		expect(guard.command.valve_open).to.equal(false);
+		expect(adapter.val('guard-1.controls.vacation.active')).to.equal(true);
+		expect(adapter.val('guard-1.controls.vacation.enabled')).to.equal(true);
+		expect(lastText()).to.include('vacation mode started');
+		expect(adapter._vacationTimers.has('guard-1')).to.equal(true);
+
+		// Window over: reopened
+		await adapter.userWrite('guard-1.controls.vacation.end', new Date(Date.now() - 1000).toISOString());
+		expect(guard.command.valve_open).to.equal(true);
+		expect(lastText()).to.include('vacation mode ended');
+
+		// Presence away closes; with an alarm active the valve stays closed
+		adapter.foreignStates.set('presence.0.home', { val: true, ack: true });
+		await adapter.userWrite('guard-1.controls.vacation.presenceState', 'presence.0.home');
+		expect(guard.command.valve_open).to.equal(true);
+		adapter.foreignStates.set('presence.0.home', { val: false, ack: true });
+		await adapter.onStateChange('presence.0.home', { val: false, ack: true });
+		expect(guard.command.valve_open).to.equal(false);
+
+		guard.notifications.unshift({
+			id: 'f1',
+			category: 30,
+			notification_type: 0,
+			is_read: false,
+			timestamp: new Date().toISOString(),
+		});
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.alarms.flood')).to.equal(true);
+		adapter.foreignStates.set('presence.0.home', { val: true, ack: true });
+		await adapter.onStateChange('presence.0.home', { val: true, ack: true });
+		expect(guard.command.valve_open).to.equal(false);
+		expect(adapter.val('guard-1.controls.vacation.active')).to.equal(false);
+		expect(lastText()).to.include('valve stays closed');
+
+		// The settings survive a restart: away again while stopped closes on the first poll
+		await adapter.dispose();
+		guard.command.valve_open = true;
+		const restarted = loadNotifyingAdapter(config);
+		for (const [id, obj] of adapter.objects) {
+			restarted.objects.set(id, obj);
+		}
+		for (const [id, state] of adapter.states) {
+			restarted.states.set(id, state);
+		}
+		restarted.foreignStates.set('presence.0.home', { val: false, ack: true });
+		adapter = restarted;
+		await adapter.ready();
+		expect(guard.command.valve_open).to.equal(false);
+		expect(adapter.val('guard-1.controls.vacation.active')).to.equal(true);
+	});
+
+	it('keeps vacation mode inactive while closing the valve fails and retries on the next poll', async () => {
+		await adapter.dispose();
+		adapter = loadNotifyingAdapter({
+			notifyOnControl: true,
+		});
+		const guard = cloud.getAppliance('guard-1');
+		const texts = () =>
+			adapter.sentMessages
+				.filter(m => m.instance === 'telegram.0')
+				.map(m => /** @type {{text: string}} */ (m.message).text.split('\n').pop());
+		await adapter.ready();
+		await adapter.userWrite('guard-1.controls.vacation.start', new Date(Date.now() - 60000).toISOString());
+		await adapter.userWrite('guard-1.controls.vacation.end', new Date(Date.now() + 3600000).toISOString());
+
+		// Both attempts (commandRetries 1) fail on this and on the next check
+		cloud.failNext('POST', 'guard-1/command', 503, { times: 4 });
+		await adapter.userWrite('guard-1.controls.vacation.enabled', true);
+		expect(guard.command.valve_open).to.equal(true);
+		expect(adapter.val('guard-1.controls.vacation.active')).to.not.equal(true);
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.controls.vacation.active')).to.not.equal(true);
+		expect(texts().filter(t => t.includes('could not switch the valve'))).to.have.length(1);
+
+		await adapter.pollDevices();
+		expect(guard.command.valve_open).to.equal(false);
+		expect(adapter.val('guard-1.controls.vacation.active')).to.equal(true);
+		expect(texts().at(-1)).to.include('vacation mode started');
+
+		// Re-enabled while the valve is still opening: checked again once the opening is done
+		const switchValve = adapter._switchValve.bind(adapter);
+		adapter._switchValve = async (id, open) => {
+			adapter._switchValve = switchValve;
+			await adapter.userWrite('guard-1.controls.vacation.enabled', true);
+			return switchValve(id, open);
+		};
+		await adapter.userWrite('guard-1.controls.vacation.enabled', false);
+		expect(texts().slice(-2)).to.deep.equal([
+			'🏠 Main Guard: vacation mode ended – valve reopened',
+			'🏖️ Main Guard: vacation mode started – valve closed',
+		]);
+		expect(guard.command.valve_open).to.equal(false);
+		expect(adapter.val('guard-1.controls.vacation.active')).to.equal(true);
+	});
+
+	it('leaves a valve closed before vacation closed and does not hold up the poll', async () => {
+		await adapter.dispose();
+		adapter = loadNotifyingAdapter({ notifyOnControl: true, staleMaxAgeGuard: 0 });
+		const guard = cloud.getAppliance('guard-1');
+		const lastText = () =>
+			/** @type {{text: string}} */ (
+				adapter.sentMessages.filter(m => m.instance === 'telegram.0').at(-1)?.message
+			)?.text;
+		guard.command.valve_open = false;
+		await adapter.ready();
+		await adapter.userWrite('guard-1.controls.vacation.start', new Date(Date.now() - 60000).toISOString());
+		await adapter.userWrite('guard-1.controls.vacation.end', new Date(Date.now() + 3600000).toISOString());
+		await adapter.userWrite('guard-1.controls.vacation.enabled', true);
+		expect(adapter.val('guard-1.controls.vacation.active')).to.equal(true);
+		expect(adapter.val('guard-1.controls.vacation.closedValve')).to.equal(false);
+		expect(cloud.requestsFor('POST', 'guard-1/command')).to.have.length(0);
+		await adapter.userWrite('guard-1.controls.vacation.enabled', false);
+		expect(adapter.val('guard-1.controls.vacation.active')).to.equal(false);
+		expect(guard.command.valve_open).to.equal(false);
+		expect(lastText()).to.include('valve stays closed as before');
+
+		// A slow confirmation runs beside the poll, the vacation check catches up once it is done
+		guard.command.valve_open = true;
+		await adapter._writeState('guard-1.valveOpen', true);
+		let confirm = () => {};
+		const closeValve = adapter._closeValve.bind(adapter);
+		adapter._closeValve = async id => {
+			await new Promise(resolve => {
+				confirm = () => resolve(undefined);
+			});
+			return closeValve(id);
+		};
+		adapter.states.set(adapter._fullId('guard-1.controls.vacation.enabled'), {
+			val: true,
+			ack: true,
+			ts: Date.now(),
+		});
+		await adapter.pollDevices();
+		expect(adapter._vacationBusy.has('guard-1')).to.equal(true);
+		expect(adapter.val('guard-1.controls.vacation.active')).to.equal(false);
+		confirm();
+		await adapter._vacationBusy.get('guard-1');
+		expect(guard.command.valve_open).to.equal(false);
+		expect(adapter.val('guard-1.controls.vacation.active')).to.equal(true);
+		expect(adapter.val('guard-1.controls.vacation.closedValve')).to.equal(true);
+	});
+
+	it('runs the scheduled pressure test and keeps the result history', async () => {
+		await adapter.dispose();
+		adapter = loadNotifyingAdapter({
+			notifyOnAlarms: true,
+			notifyOnWarnings: true,
+			staleMaxAgeGuard: 0,
+			pressureTrendCount: 2,
+		});
+		adapter.pressureVerifyIntervalMs = 10;
+		const guard = cloud.getAppliance('guard-1');
+		const texts = () =>
+			adapter.sentMessages
+				.filter(m => m.instance === 'telegram.0')
+				.map(m => /** @type {{text: string}} */ (m.message).text);
+		const history = () => JSON.parse(String(adapter.val('guard-1.pressureMeasurement.history')));
+		const runTest = async result => {
+			await adapter._runPressureTest('guard-1');
+			Object.assign(guard.pressureMeasurements[0], result);
+			while (adapter._pressureVerify.has('guard-1')) {
+				await new Promise(resolve => setTimeout(resolve, 10));
+			}
+		};
+		await adapter.ready();
+		expect(history()).to.have.length(1);
+
+		await adapter.userWrite('guard-1.controls.pressureTest.hour', 2);
+		await adapter.userWrite('guard-1.controls.pressureTest.enabled', true);
+		expect(adapter._pressureTestTimers.has('guard-1')).to.equal(true);
+		expect(new Date(String(adapter.val('guard-1.controls.pressureTest.nextRun'))).getHours()).to.equal(2);
+
+		// Water flowing: skipped
+		await adapter.setState('guard-1.flowRate', { val: 4, ack: true });
+		await adapter._runPressureTest('guard-1');
+		expect(guard.pressureMeasurements).to.have.length(1);
+
+		await adapter.setState('guard-1.flowRate', { val: 0, ack: true });
+		await runTest({ drop_of_pressure: 0.3 });
+		expect(history()).to.have.length(2);
+		expect(history()[0]).to.include({ dropOfPressure: 0.3, isLeakage: false });
+		expect(texts().filter(t => t.includes('pressure drop rose'))).to.have.length(1);
+
+		await runTest({ drop_of_pressure: 0.2, leakage: true, level: 'high' });
+		expect(adapter.val('guard-1.pressureMeasurement.isLeakage')).to.equal(true);
+		expect(texts().filter(t => t.includes('detected a leak'))).to.have.length(1);
+
+		await adapter.userWrite('guard-1.controls.pressureTest.enabled', false);
+		expect(adapter._pressureTestTimers.has('guard-1')).to.equal(false);
+		expect(adapter.val('guard-1.controls.pressureTest.nextRun')).to.equal('');
+
+		// Disabled: the poll does not read the schedule again
+		const getStateAsync = adapter.getStateAsync.bind(adapter);
+		const reads = [];
+		adapter.getStateAsync = async (id, ...args) => {
+			reads.push(id);
+			return getStateAsync(id, ...args);
+		};
+		await adapter.pollDevices();
+		expect(reads.filter(id => id.includes('.controls.pressureTest.'))).to.deep.equal([]);
+	});
+
+	it('tracks water budgets, notifies thresholds and closes the valve over the limit', async () => {
+		const { localDate, periodStart } = require('./lib/waterBudget');
+		const now = new Date();
+		const yesterday = localDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1));
+		const guard = cloud.getAppliance('guard-1');
+		guard.withdrawals.push({ date: yesterday, waterconsumption: 50 });
+		await adapter.dispose();
+		adapter = loadNotifyingAdapter({
+			notifyOnWarnings: true,
+			notifyOnControl: true,
+			staleMaxAgeGuard: 0,
+			waterBudgets: [
+				{ guard: 'guard-1', period: 'day', limit: 140, shutOff: true },
+				{ period: 'month', limit: 1000 },
+			],
+			budgetThresholds: '80, 100',
+		});
+		const texts = () =>
+			adapter.sentMessages
+				.filter(m => m.instance === 'telegram.0')
+				.map(m => /** @type {{text: string}} */ (m.message).text)
+				.filter(t => t.includes('water budget'))
+				.map(t => t.split('\n').pop());
+		await adapter.ready();
+
+		expect(adapter.val('guard-1.budget.day.usedPercent')).to.equal(85.7);
+		expect(adapter.val('guard-1.budget.day.remaining')).to.equal(20);
+		expect(adapter.val('guard-1.budget.month.consumption')).to.equal(
+			yesterday >= periodStart('month', now.getTime()) ? 170 : 120,
+		);
+		expect(adapter.objects.has('grohe-smarthome.0.guard-1.budget.week')).to.equal(false);
+		expect(texts()).to.deep.equal(['📊 Main Guard: 80% of the water budget (day) used – 120 of 140 l']);
+
+		// Same level again: no new notification
+		await adapter.pollDevices();
+		expect(texts()).to.have.length(1);
+
+		// Exactly the budget: notified, the valve stays open
+		guard.data_latest.daily_consumption = 140;
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.budget.day.thresholdReached')).to.equal(100);
+		expect(adapter.val('guard-1.budget.day.shutOff')).to.equal(false);
+		expect(cloud.requestsFor('POST', 'guard-1/command')).to.have.length(0);
+		expect(texts()).to.have.length(2);
+
+		// Closing fails on two polls (commandRetries 1): not flagged, retried, reported once
+		guard.data_latest.daily_consumption = 150;
+		cloud.failNext('POST', 'guard-1/command', 503, { times: 4 });
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.budget.day.shutOff')).to.equal(false);
+		await adapter.pollDevices();
+		expect(guard.command.valve_open).to.equal(true);
+		expect(texts()).to.have.length(3);
+
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.budget.day.shutOff')).to.equal(true);
+		expect(guard.command.valve_open).to.equal(false);
+		expect(texts().slice(1)).to.deep.equal([
+			'📊 Main Guard: 100% of the water budget (day) used – 140 of 140 l',
+			'❌ Main Guard: water budget (day) exceeded, closing the valve failed: Request failed with status code 503',
+			'🚱 Main Guard: water budget (day) exceeded – valve closed',
+		]);
+
+		// Reopened by hand: the valve stays open for the rest of the period, the budget
+		// states come from the write cache
+		const getStateAsync = adapter.getStateAsync.bind(adapter);
+		const reads = [];
+		adapter.getStateAsync = async (id, ...args) => {
+			reads.push(id);
+			return getStateAsync(id, ...args);
+		};
+		guard.command.valve_open = true;
+		await adapter.pollDevices();
+		expect(guard.command.valve_open).to.equal(true);
+		expect(texts()).to.have.length(4);
+		expect(reads.filter(id => id.includes('.budget.'))).to.deep.equal([]);
+	});
+
+	it('applies local flow rules outside the sprinkler window', async () => {
+		await adapter.dispose();
+		adapter = loadNotifyingAdapter({
+			notifyOnAlarms: true,
+			staleMaxAgeGuard: 0,
+			flowRules: [{ minFlow: 2, minutes: 10, maxVolume: 100, shutOff: true }],
+		});
+		const guard = cloud.getAppliance('guard-1');
+		const texts = () =>
+			adapter.sentMessages
+				.filter(m => m.instance === 'telegram.0')
+				.map(m => /** @type {{text: string}} */ (m.message).text)
+				.filter(t => t.includes('flow rule'))
+				.map(t => t.split('\n').pop());
+		await adapter.ready();
+		adapter.client.limiter.perMinute = 0;
+		expect(adapter.val('guard-1.alarms.localFlowRule')).to.equal(false);
+
+		// Flowing for more than 10 minutes: alarm, notification and shut-off. Closing fails on
+		// two polls (commandRetries 1): retried while the rule matches, reported once
+		guard.data_latest.measurement.flowrate = 5;
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.alarms.localFlowRule')).to.equal(false);
+		adapter._flowSince.set('guard-1', Date.now() - 11 * 60000);
+		cloud.failNext('POST', 'guard-1/command', 503, { times: 4 });
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.alarms.localFlowRule')).to.equal(true);
+		await adapter.pollDevices();
+		expect(guard.command.valve_open).to.equal(true);
+		await adapter.pollDevices();
+		expect(guard.command.valve_open).to.equal(false);
+		expect(texts()).to.deep.equal([
+			'🚿 Main Guard: water flowing above 2 l/min for 10 min – local flow rule',
+			'❌ Main Guard: closing the valve for the local flow rule failed: Request failed with status code 503',
+			'🚱 Main Guard: valve closed by the local flow rule',
+		]);
+		await adapter.pollDevices();
+		expect(cloud.requestsFor('POST', 'guard-1/command')).to.have.length(5);
+
+		guard.data_latest.measurement.flowrate = 0;
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.alarms.localFlowRule')).to.equal(false);
+
+		// A large withdrawal in the sprinkler window never matches, one outside does
+		const now = new Date();
+		const day = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][now.getDay()];
+		await adapter.userWrite(`guard-1.controls.sprinkler.active${day}`, true);
+		await adapter.userWrite('guard-1.controls.sprinkler.startHour', 0);
+		await adapter.userWrite('guard-1.controls.sprinkler.stopHour', 24);
+		guard.data_latest.withdrawals.waterconsumption = 400;
+		await adapter.pollDevices();
+		await adapter.userWrite(`guard-1.controls.sprinkler.active${day}`, false);
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.alarms.localFlowRule')).to.equal(false);
+
+		guard.data_latest.withdrawals.waterconsumption = 150;
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.alarms.localFlowRule')).to.equal(true);
+		expect(texts()[3]).to.equal('🚿 Main Guard: a single withdrawal used 150 l (limit 100 l) – local flow rule');
+
+		// The sprinkler and alarm states come from the write cache
+		const getStateAsync = adapter.getStateAsync.bind(adapter);
+		const reads = [];
+		adapter.getStateAsync = async (id, ...args) => {
+			reads.push(id);
+			return getStateAsync(id, ...args);
+		};
+		await adapter.pollDevices();
+		expect(reads.filter(id => id.includes('.controls.sprinkler.') || id.includes('.alarms.'))).to.deep.equal([]);
+	});
+
+	it('calculates the water cost per Sense Guard and per location', async () => {
+		const config = {
+			email: 'user@example.com',
+			password: 'secret',
+			costFreshWater: 2,
+			costWasteWater: 3,
+			costMonthlyFee: 10,
+			costTariffs: [{ from: '22:00', to: '06:00', freshWater: 1 }],
+		};
+		const local = (day, hour) => new Date(2026, 0, day, hour).toISOString();
+		const guard = cloud.getAppliance('guard-1');
+		guard.data_latest.measurement.timestamp = local(1, 10);
+		guard.withdrawals = [{ date: '2025-06-01', waterconsumption: 1000 }];
+		const second = cloud.addAppliance(senseGuardFixture({ appliance_id: 'guard-2', name: 'Garden Guard' }));
+		second.data_latest.measurement.timestamp = local(1, 10);
+		second.withdrawals = [];
+		await adapter.dispose();
+		adapter = loadAdapter(config);
+		await adapter.ready();
+
+		// 1000 l before today at 5 €/m³, 25 monthly fees since installation, 120 l today
+		expect(adapter.val('guard-1.cost.today')).to.equal(0.6);
+		expect(adapter.val('guard-1.cost.month')).to.equal(10.6);
+		expect(adapter.val('guard-1.cost.year')).to.equal(10.6);
+		expect(adapter.val('guard-1.cost.total')).to.equal(255.6);
+
+		// Night tariff: 200 l at 4 €/m³
+		for (const appliance of [guard, second]) {
+			appliance.data_latest.measurement.timestamp = local(1, 23);
+			appliance.data_latest.daily_consumption = 320;
+		}
+		await adapter.pollDevices();
+		expect(adapter.val('guard-1.cost.today')).to.equal(1.4);
+		expect(adapter.val('guard-1.cost.price')).to.equal(4);
+		expect(adapter.val('locations.loc-1.cost.today')).to.equal(2.8);
+		expect(adapter.val('locations.loc-1.cost.month')).to.equal(22.8);
+
+		// The cost survives a restart unrounded; a new day starts from 0 and
+		// prices the 80 l after the last poll of Jan 1 at the night tariff
+		expect(JSON.parse(String(adapter.val('guard-1.cost.raw')))).to.include({ volume: 320 });
+		guard.withdrawals.push({ date: '2026-01-01', waterconsumption: 400 });
+		await adapter.dispose();
+		const restarted = loadAdapter(config);
+		for (const [id, obj] of adapter.objects) {
+			restarted.objects.set(id, obj);
+		}
+		for (const [id, state] of adapter.states) {
+			restarted.states.set(id, state);
+		}
+		adapter = restarted;
+		guard.data_latest.measurement.timestamp = local(2, 8);
+		guard.data_latest.daily_consumption = 50;
+		await adapter.ready();
+		expect(adapter.val('guard-1.cost.today')).to.equal(0.25);
+		expect(adapter.val('guard-1.cost.month')).to.equal(11.97);
+		expect(adapter.val('guard-1.cost.total')).to.equal(256.97);
+	});
+
+	it('publishes the command queue length and the last command result', async () => {
+		await adapter.ready();
+		expect(adapter.objects.has('grohe-smarthome.0.guard-1.controls.commandQueueLength')).to.equal(true);
+		cloud.failNext('POST', '/command', 500);
+
+		await adapter.userWrite('guard-1.controls.startPressureMeasurement', true);
+		await new Promise(resolve => setImmediate(resolve));
+		const failed = JSON.parse(String(adapter.val('guard-1.controls.lastCommandResult')));
+		expect(failed).to.include({ command: 'measure_now', success: false, error: 'HTTP 500' });
+
+		await adapter.userWrite('guard-1.controls.startPressureMeasurement', true);
+		await new Promise(resolve => setImmediate(resolve));
+		const result = JSON.parse(String(adapter.val('guard-1.controls.lastCommandResult')));
+		expect(result).to.include({ command: 'measure_now', success: true });
+		expect(adapter.val('guard-1.controls.commandQueueLength')).to.equal(0);
+	});
+});
+
+describe('GroheSmarthome command confirmation', () => {
+	const { GroheCloudMock, senseGuardFixture, blueFixture } = require('./test/groheCloudMock');
+	const { loadAdapter } = require('./test/adapterHarness');
+	let cloud;
+	let adapter;
+
+	beforeEach(async () => {
+		cloud = new GroheCloudMock().install();
+		cloud.addAppliance(senseGuardFixture());
+		cloud.addAppliance(blueFixture());
+		adapter = loadAdapter({
+			email: 'user@example.com',
+			password: 'secret',
+			maxRequestsPerMinute: 0,
+			commandConfirmTimeout: 0.1,
+			commandRetries: 1,
+		});
+		adapter.commandConfirmIntervalMs = 20;
+		await adapter.ready();
+	});
+
+	afterEach(async () => {
+		await adapter.dispose();
+		cloud.restore();
+	});
+
+	const postsTo = id => cloud.commandLog.filter(entry => entry.applianceId === id);
+
+	it('confirms snooze, withdrawal limit and sprinkler changes by reading them back', async () => {
+		await adapter.userWrite('guard-1.controls.snooze.start', true);
+		expect(adapter.val('guard-1.controls.lastCommand.name')).to.equal('snoozeStart');
+		expect(adapter.val('guard-1.controls.lastCommand.status')).to.equal('confirmed');
+		expect(adapter.val('guard-1.controls.snooze.active')).to.equal(true);
+
+		await adapter.userWrite('guard-1.controls.withdrawalAmountLimit', 450);
+		expect(adapter.val('guard-1.controls.lastCommand.status')).to.equal('confirmed');
+		expect(cloud.getAppliance('guard-1').config.withdrawel_amount_limit).to.equal(450);
+
+		await adapter.userWrite('guard-1.controls.sprinkler.save', true);
+		expect(adapter.val('guard-1.controls.lastCommand.name')).to.equal('sprinklerSave');
+		expect(adapter.val('guard-1.controls.lastCommand.status')).to.equal('confirmed');
+		expect(adapter.val('guard-1.controls.lastCommand.error')).to.equal('');
+	});
+
+	it('confirms Blue consumable resets and dispensing', async () => {
+		await adapter.userWrite('blue-1.controls.resetCo2', true);
+		expect(adapter.val('blue-1.controls.lastCommand.status')).to.equal('confirmed');
+
+		await adapter.userWrite('blue-1.controls.dispenseTrigger', true);
+		expect(adapter.val('blue-1.controls.lastCommand.name')).to.equal('dispense');
+		expect(adapter.val('blue-1.controls.lastCommand.status')).to.equal('confirmed');
+	});
+
+	it('resends an unconfirmed command and reports a timeout', async () => {
+		cloud.failNext('GET', '/snooze', 503, { times: 1000 });
+
+		await adapter.userWrite('guard-1.controls.snooze.start', true);
+
+		expect(cloud.requestsFor('PUT', '/snooze')).to.have.length(2);
+		expect(adapter.val('guard-1.controls.lastCommand.status')).to.equal('timeout');
+		expect(adapter.val('guard-1.controls.lastCommand.error')).to.include('Not confirmed');
+		expect(adapter.val('guard-1.controls.snooze.start')).to.equal(false);
+	});
+
+	it('reports a failed command after the configured retries', async () => {
+		cloud.failNext('POST', '/command', 500, { times: 2 });
+
+		await adapter.userWrite('guard-1.controls.valveOpen', true);
+
+		expect(postsTo('guard-1')).to.have.length(0);
+		expect(cloud.requestsFor('POST', /guard-1\/command/)).to.have.length(2);
+		expect(adapter.val('guard-1.controls.lastCommand.status')).to.equal('failed');
+		expect(adapter.val('guard-1.controls.lastCommand.error')).to.include('status code 500');
+	});
+
+	it('never repeats a dispense command', async () => {
+		cloud.failNext('POST', '/command', 500);
+
+		await adapter.userWrite('blue-1.controls.dispenseTrigger', true);
+
+		expect(cloud.requestsFor('POST', '/command').length - postsTo('blue-1').length).to.equal(1);
+		expect(adapter.val('blue-1.controls.lastCommand.status')).to.equal('failed');
+	});
+});
@@ -0,0 +1,328 @@
+'use strict';
+
+/**
+ * Minimal in-memory stand-in for @iobroker/adapter-core so main.js can be
+ * instantiated and driven from mocha without a running js-controller.
+ *
+ * Only the adapter API surface main.js and lib/ actually use is implemented.
+ * Objects and states live in plain Maps; timers are real but unref'd and
+ * cleared by dispose().
+ *
+ * Usage:
+ *   const adapter = loadAdapter({ email: 'user@example.com', password: 'secret' });
+ *   await adapter.ready();
+ *   ...
+ *   await adapter.dispose();
+ */
+
+const { EventEmitter } = require('node:events');
+const path = require('node:path');
+
+const ADAPTER_NAME = 'grohe-smarthome';
+
+function createLog() {
+	const entries = { silly: [], debug: [], info: [], warn: [], error: [] };
+	const log = { entries, level: 'debug' };
+	for (const level of Object.keys(entries)) {
+		log[level] = msg => entries[level].push(String(msg));
+	}
+	return log;
+}
+
+class MockAdapter extends EventEmitter {
+	/** @param {object} [options] - Adapter options (name, config) */
+	constructor(options = {}) {
+		super();
+		this.name = options.name || ADAPTER_NAME;
+		this.instance = 0;
+		this.namespace = `${this.name}.${this.instance}`;
+		this.config = { ...(options.config || {}) };
+		this.log = createLog();
+
+		/** @type {Map<string, object>} */
+		this.objects = new Map();
+		/** @type {Map<string, {val: unknown, ack: boolean, ts: number}>} */
+		this.states = new Map();
+		/** @type {Set<string>} */
+		this.subscriptions = new Set();
+		/** @type {Array<{instance: string, command: string, message: unknown}>} */
+		this.sentMessages = [];
+		/** @type {Map<string, {val: unknown, ack: boolean}>} */
+		this.foreignStates = new Map();
+
+		this._timers = new Set();
+	}
+
+	_fullId(id) {
+		return id.startsWith(`${this.namespace}.`) ? id : `${this.namespace}.${id}`;
+	}
+
+	/* ---------------------------- timers ----------------------------- */
+
+	setTimeout(callback, ms, ...args) {
+		const timer = globalThis.setTimeout(() => {
+			this._timers.delete(timer);
+			callback(...args);
+		}, ms);
+		timer.unref();
+		this._timers.add(timer);
+		return timer;
+	}
+
+	clearTimeout(timer) {
+		if (timer) {
+			globalThis.clearTimeout(timer);
+			this._timers.delete(timer);
+		}
+	}
+
+	setInterval(callback, ms, ...args) {
+		const timer = globalThis.setInterval(() => callback(...args), ms);
+		timer.unref();
+		this._timers.add(timer);
+		return timer;
+	}
+
+	clearInterval(timer) {
+		if (timer) {
+			globalThis.clearInterval(timer);
+			this._timers.delete(timer);
+		}
+	}
+
+	/* ---------------------------- objects ---------------------------- */
+
+	async getObjectAsync(id) {
+		return this.objects.get(this._fullId(id)) || null;
+	}
+
+	async getForeignObjectAsync(id) {
+		if (id === 'system.config') {
+			return { _id: id, type: 'config', common: { language: 'en' }, native: {} };
+		}
+		return this.objects.get(id) || null;
+	}
+
+	async setObject(id, obj) {
+		const fullId = this._fullId(id);
+		this.objects.set(fullId, { ...obj, _id: fullId });
+		return { id: fullId };
+	}
+
+	async setObjectAsync(id, obj) {
+		return this.setObject(id, obj);
+	}
+
+	async setObjectNotExistsAsync(id, obj) {
+		if (!this.objects.has(this._fullId(id))) {
+			return this.setObject(id, obj);
+		}
+		return undefined;
+	}
+
+	async extendObjectAsync(id, obj) {
+		const fullId = this._fullId(id);
+		const existing = this.objects.get(fullId) || { _id: fullId, common: {}, native: {} };
+		const merged = {
+			...existing,
+			...obj,
+			_id: fullId,
+			common: { ...(existing.common || {}), ...(obj.common || {}) },
+			native: { ...(existing.native || {}), ...(obj.native || {}) },
+		};
+		this.objects.set(fullId, merged);
+		return { id: fullId };
+	}
+
+	async delObjectAsync(id, options = {}) {
+		const fullId = this._fullId(id);
+		for (const key of [...this.objects.keys()]) {
+			if (key === fullId || (options.recursive && key.startsWith(`${fullId}.`))) {
+				this.objects.delete(key);
+				this.states.delete(key);
+			}
+		}
+	}
+
+	async getDevicesAsync() {
+		return [...this.objects.values()].filter(o => o.type === 'device');
+	}
+
+	async getObjectViewAsync() {
+		return { rows: [] };
+	}
+
+	/* ---------------------------- states ----------------------------- */
+
+	async setState(id, state, ack) {
+		const fullId = this._fullId(id);
+		const value =
+			state !== null && typeof state === 'object' && 'val' in state
+				? { val: state.val, ack: !!state.ack }
+				: { val: state, ack: !!ack };
+		const prev = this.states.get(fullId);
+		this.states.set(fullId, { ...value, ts: Date.now() });
+		if (this.subscriptions.has(fullId)) {
+			this.emit('stateChange', fullId, { ...value, ts: Date.now() });
+		}
+		return prev;
+	}
+
+	async setStateAsync(id, state, ack) {
+		return this.setState(id, state, ack);
+	}
+
+	async setStateChangedAsync(id, state, ack) {
+		const fullId = this._fullId(id);
+		const newVal = state !== null && typeof state === 'object' && 'val' in state ? state.val : state;
+		const prev = this.states.get(fullId);
+		if (prev && prev.val === newVal) {
+			return { id: fullId, notChanged: true };
+		}
+		await this.setState(id, state, ack);
+		return { id: fullId, notChanged: false };
+	}
+
+	async getStateAsync(id) {
+		return this.states.get(this._fullId(id)) || null;
+	}
+
+	async getForeignStateAsync(id) {
+		return this.foreignStates.get(id) || this.states.get(id) || null;
+	}
+
+	async setForeignStateAsync(id, state, ack) {
+		const value =
+			state !== null && typeof state === 'object' && 'val' in state
+				? { val: state.val, ack: !!state.ack }
+				: { val: state, ack: !!ack };
+		this.foreignStates.set(id, value);
+	}
+
+	async subscribeStatesAsync(pattern) {
+		this.subscriptions.add(this._fullId(pattern));
+	}
+
+	async subscribeForeignStatesAsync(pattern) {
+		this.subscriptions.add(pattern);
+	}
+
+	async unsubscribeForeignStatesAsync(pattern) {
+		this.subscriptions.delete(pattern);
+	}
+
+	/* ---------------------------- messaging -------------------------- */
+
+	async sendToAsync(instance, command, message) {
+		this.sentMessages.push({ instance, command, message });
+		return {};
+	}
+
+	sendTo(instance, command, message, callback) {
+		this.sentMessages.push({ instance, command, message });
+		if (typeof callback === 'function') {
+			callback({});
+		}
+	}
+
+	/* ---------------------------- crypto ----------------------------- */
+
+	encrypt(value) {
+		return Buffer.from(String(value)).toString('base64');
+	}
+
+	decrypt(value) {
+		return Buffer.from(String(value), 'base64').toString('utf8');
+	}
+
+	/* ---------------------------- test helpers ----------------------- */
+
+	/**
+	 * Run the adapter's ready handler (login, first poll, schedule).
+	 */
+	async ready() {
+		const handlers = this.listeners('ready');
+		for (const handler of handlers) {
+			await handler();
+		}
+	}
+
+	/**
+	 * Simulate a user writing a state (ack=false) and wait for the handler.
+	 *
+	 * @param {string} id - State ID (with or without namespace)
+	 * @param {unknown} val - Value to write
+	 */
+	async userWrite(id, val) {
+		const fullId = this._fullId(id);
+		this.states.set(fullId, { val, ack: false, ts: Date.now() });
+		for (const handler of this.listeners('stateChange')) {
+			await handler(fullId, { val, ack: false, ts: Date.now() });
+		}
+	}
+
+	/**
+	 * @param {string} id - State ID (with or without namespace)
+	 * @returns {unknown} Current value or undefined
+	 */
+	val(id) {
+		return this.states.get(this._fullId(id))?.val;
+	}
+
+	/** Stop the adapter and clear all pending timers. */
+	async dispose() {
+		const handlers = this.listeners('unload');
+		for (const handler of handlers) {
+			await new Promise(resolve => handler(resolve));
+		}
+		for (const timer of this._timers) {
+			globalThis.clearTimeout(timer);
+			globalThis.clearInterval(timer);
+		}
+		this._timers.clear();
+	}
+}
+
+/**
+ * Load main.js with @iobroker/adapter-core replaced by the in-memory harness.
+ *
+ * @param {object} [config] - Adapter instance config (io-package.json native merged in)
+ * @returns {MockAdapter & Record<string, any>} The adapter instance
+ */
+function loadAdapter(config = {}) {
+	const corePath = require.resolve('@iobroker/adapter-core');
+	require.cache[corePath] = /** @type {any} */ ({
+		id: corePath,
+		filename: corePath,
+		loaded: true,
+		children: [],
+		paths: [],
+		exports: { Adapter: MockAdapter },
+	});
+
+	const mainPath = path.join(__dirname, '..', 'main.js');
+	delete require.cache[mainPath];
+	const factory = require(mainPath);
+
+	const native = require('../io-package.json').native;
+	return factory({ config: { ...native, ...config } });
+}
+
+/**
+ * Load main.js for the test account with notifications sent to telegram.0.
+ *
+ * @param {object} [config] - Further settings, e.g. the notification categories
+ * @returns {MockAdapter & Record<string, any>} The adapter instance
+ */
+function loadNotifyingAdapter(config = {}) {
+	return loadAdapter({
+		email: 'user@example.com',
+		password: 'secret',
+		notifyEnabled: true,
+		notifyUseTelegram: true,
+		notifyInstanceTelegram: 'telegram.0',
+		...config,
+	});
+}
+
+module.exports = { MockAdapter, loadAdapter, loadNotifyingAdapter };
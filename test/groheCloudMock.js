@@ -0,0 +1,777 @@
+'use strict';
+
+/**
+ * In-process stand-in for the Grohe cloud (idp2-apigw.cloud.grohe.com/v3/iot).
+ *
+ * The mock plugs into axios as a request adapter, so GroheAuth, GroheClient and
+ * main.js talk to it exactly as they would to the real cloud – no network needed.
+ * Requests are routed by path only, so any host works.
+ *
+ * Covered endpoints:
+ *   - OIDC login chain: /oidc/login → Keycloak form → ondus:// redirect → /oidc/token
+ *   - /oidc/refresh
+ *   - /dashboard (can be switched off to exercise the 404 fallback discovery)
+ *   - /users/{id}, /locations, /locations/{loc}/rooms, /rooms/{room}/appliances
+ *   - appliance base (PUT config), /details, /command, /status, /snooze,
+ *     /notifications (GET; PUT / DELETE by id), /data/aggregated, /pressuremeasurement
+ *   - /profile/notifications
+ *
+ * Usage:
+ *   const cloud = new GroheCloudMock();
+ *   cloud.addAppliance(senseGuardFixture());
+ *   cloud.install();   // before creating GroheClient / GroheAuth
+ *   ...
+ *   cloud.restore();
+ */
+
+const axios = require('axios');
+
+const GROHE_SENSE = 101;
+const GROHE_SENSE_GUARD = 103;
+const GROHE_BLUE_HOME = 104;
+
+const API_PREFIX = '/v3/iot';
+const SSO_AUTH_PATH = '/v1/sso/auth/realms/idm-apigw/protocol/openid-connect/auth';
+const SSO_ACTION_PATH = '/v1/sso/auth/realms/idm-apigw/login-actions/authenticate';
+
+/* ================================================================== */
+/*  Device fixtures                                                   */
+/* ================================================================== */
+
+/**
+ * Grohe Sense (type 101) fixture.
+ *
+ * @param {object} [overrides] - Fields to replace in the fixture
+ * @returns {object} Appliance fixture
+ */
+function senseFixture(overrides = {}) {
+	return {
+		appliance_id: 'sense-1',
+		type: GROHE_SENSE,
+		name: 'Bathroom Sense',
+		registration_complete: true,
+		installation_date: '2024-01-01T00:00:00.000Z',
+		data_latest: {
+			measurement: {
+				timestamp: '2026-01-01T10:00:00.000Z',
+				temperature: 21.5,
+				humidity: 48,
+				battery: 90,
+			},
+		},
+		notifications: [],
+		status: [
+			{ type: 'connection', value: true },
+			{ type: 'update_available', value: false },
+			{ type: 'wifi_quality', value: 60 },
+		],
+		config: {},
+		command: {},
+		...overrides,
+	};
+}
+
+/**
+ * Grohe Sense Guard (type 103) fixture.
+ *
+ * @param {object} [overrides] - Fields to replace in the fixture
+ * @returns {object} Appliance fixture
+ */
+function senseGuardFixture(overrides = {}) {
+	return {
+		appliance_id: 'guard-1',
+		type: GROHE_SENSE_GUARD,
+		name: 'Main Guard',
+		registration_complete: true,
+		installation_date: '2024-01-01T00:00:00.000Z',
+		data_latest: {
+			measurement: {
+				timestamp: '2026-01-01T10:00:00.000Z',
+				temperature_guard: 14.2,
+				flowrate: 0,
+				pressure: 3.1,
+			},
+			daily_consumption: 120,
+			average_daily_consumption: 140,
+			average_monthly_consumption: 4200,
+			withdrawals: { waterconsumption: 8.5, maxflowrate: 6.2 },
+		},
+		notifications: [],
+		status: [
+			{ type: 'connection', value: true },
+			{ type: 'update_available', value: false },
+			{ type: 'wifi_quality', value: 70 },
+		],
+		config: {
+			sprinkler_mode_start_time: 360,
+			sprinkler_mode_stop_time: 480,
+			sprinkler_mode_active_monday: true,
+			sprinkler_mode_active_tuesday: false,
+			sprinkler_mode_active_wednesday: false,
+			sprinkler_mode_active_thursday: false,
+			sprinkler_mode_active_friday: false,
+			sprinkler_mode_active_saturday: false,
+			sprinkler_mode_active_sunday: false,
+			withdrawel_amount_limit: 300,
+		},
+		command: { valve_open: true, measure_now: false, reason_for_change: 1 },
+		snooze: null,
+		pressureMeasurements: [
+			{ start_time: '2026-01-01T03:00:00.000Z', drop_of_pressure: 0.1, leakage: false, level: 'none' },
+		],
+		withdrawals: [
+			{ date: '2025-06-01', waterconsumption: 1000 },
+			{ date: '2026-01-01', waterconsumption: 120 },
+		],
+		...overrides,
+	};
+}
+
+/**
+ * Grohe Blue Home (type 104) / Professional (type 105) fixture.
+ *
+ * @param {object} [overrides] - Fields to replace in the fixture
+ * @returns {object} Appliance fixture
+ */
+function blueFixture(overrides = {}) {
+	return {
+		appliance_id: 'blue-1',
+		type: GROHE_BLUE_HOME,
+		name: 'Kitchen Blue',
+		registration_complete: true,
+		installation_date: '2024-01-01T00:00:00.000Z',
+		data_latest: {
+			measurement: {
+				timestamp: '2026-01-01T10:00:00.000Z',
+				remaining_co2: 80,
+				remaining_filter: 70,
+				remaining_co2_liters: 40,
+				remaining_filter_liters: 2100,
+				open_close_cycles_carbonated: 120,
+				open_close_cycles_still: 340,
+				operating_time: 1000,
+				pump_running_time: 200,
+				max_idle_time: 30,
+				time_since_restart: 500,
+				water_running_time_carbonated: 12,
+				water_running_time_medium: 8,
+				water_running_time_still: 20,
+				date_of_cleaning: '2025-12-01T00:00:00.000Z',
+				date_of_co2_replacement: '2025-11-01T00:00:00.000Z',
+				date_of_filter_replacement: '2025-10-01T00:00:00.000Z',
+				cleaning_count: 3,
+				filter_change_count: 2,
+				power_cut_count: 1,
+				pump_count: 44,
+			},
+		},
+		notifications: [],
+		status: [
+			{ type: 'connection', value: true },
+			{ type: 'update_available', value: false },
+		],
+		config: {},
+		command: {
+			co2_status_reset: false,
+			filter_status_reset: false,
+			get_current_measurement: false,
+			tap_type: 0,
+			tap_amount: 0,
+			reason_for_change: 1,
+		},
+		...overrides,
+	};
+}
+
+/* ================================================================== */
+/*  Mock cloud                                                        */
+/* ================================================================== */
+
+class GroheCloudMock {
+	/**
+	 * @param {object} [options] - Mock options
+	 * @param {string} [options.email] - Accepted login email
+	 * @param {string} [options.password] - Accepted login password
+	 * @param {string} [options.userId] - User ID embedded as "sub" in the access token
+	 * @param {number} [options.tokenLifetime] - expires_in (seconds) of issued access tokens
+	 * @param {boolean} [options.dashboardAvailable] - false makes /dashboard answer 404
+	 */
+	constructor(options = {}) {
+		this.email = options.email ?? 'user@example.com';
+		this.password = options.password ?? 'secret';
+		this.userId = options.userId ?? 'user-1';
+		this.tokenLifetime = options.tokenLifetime ?? 3600;
+		this.dashboardAvailable = options.dashboardAvailable ?? true;
+		/** Notifications per appliance included in /dashboard (the full list via /notifications) */
+		this.dashboardNotifications = Infinity;
+
+		/** @type {Array<{id: string, name: string, rooms: Array<{id: string, name: string, appliances: object[]}>}>} */
+		this.locations = [];
+
+		/** Every request that reached the mock: { method, origin, path, params, data } */
+		this.requests = [];
+
+		/** Every command POSTed to an appliance: { applianceId, command } */
+		this.commandLog = [];
+
+		this._failures = [];
+		this._accessTokens = new Set();
+		this._refreshTokens = new Set();
+		this._authCodes = new Set();
+		this._sessions = new Set();
+		this._seq = 0;
+		this._savedAdapter = undefined;
+
+		this.adapter = this.adapter.bind(this);
+	}
+
+	/* ------------------------------------------------------------------ */
+	/*  Scripting                                                         */
+	/* ------------------------------------------------------------------ */
+
+	/**
+	 * Add an appliance fixture to a location/room (both are created on demand).
+	 *
+	 * @param {object} fixture - Appliance fixture (see senseFixture etc.)
+	 * @param {object} [where] - Placement
+	 * @param {string} [where.locationId] - Location ID
+	 * @param {string} [where.roomId] - Room ID
+	 * @returns {object} The stored appliance – mutate it to script later polls
+	 */
+	addAppliance(fixture, where = {}) {
+		const locationId = where.locationId || 'loc-1';
+		const roomId = where.roomId || 'room-1';
+		let location = this.locations.find(l => l.id === locationId);
+		if (!location) {
+			location = { id: locationId, name: `Location ${locationId}`, rooms: [] };
+			this.locations.push(location);
+		}
+		let room = location.rooms.find(r => r.id === roomId);
+		if (!room) {
+			room = { id: roomId, name: `Room ${roomId}`, appliances: [] };
+			location.rooms.push(room);
+		}
+		room.appliances.push(fixture);
+		return fixture;
+	}
+
+	/**
+	 * Remove an appliance from the account.
+	 *
+	 * @param {string} applianceId - Appliance ID
+	 */
+	removeAppliance(applianceId) {
+		for (const location of this.locations) {
+			for (const room of location.rooms) {
+				room.appliances = room.appliances.filter(a => a.appliance_id !== applianceId);
+			}
+		}
+	}
+
+	/**
+	 * @param {string} applianceId - Appliance ID
+	 * @returns {object | undefined} The stored appliance fixture
+	 */
+	getAppliance(applianceId) {
+		return this._findAppliance(applianceId)?.appliance;
+	}
+
+	/**
+	 * Let the next matching request(s) fail with the given HTTP status.
+	 *
+	 * @param {string} method - HTTP method ('GET', 'POST', ... or '*')
+	 * @param {string | RegExp} pattern - Substring of, or RegExp for, the request path
+	 * @param {number} status - HTTP status to answer with
+	 * @param {object} [options] - Failure options
+	 * @param {number} [options.times] - How many requests to fail (default 1, Infinity for all)
+	 * @param {unknown} [options.data] - Response body
+	 */
+	failNext(method, pattern, status, options = {}) {
+		this._failures.push({
+			method: method.toUpperCase(),
+			pattern,
+			status,
+			times: options.times ?? 1,
+			data: options.data ?? { message: `Mock failure ${status}` },
+		});
+	}
+
+	/** Invalidate all issued access tokens – the next API call answers 401. */
+	expireAccessTokens() {
+		this._accessTokens.clear();
+	}
+
+	/** Invalidate all issued refresh tokens – /oidc/refresh answers 401. */
+	revokeRefreshTokens() {
+		this._refreshTokens.clear();
+	}
+
+	/**
+	 * @param {string} [method] - Only count this HTTP method
+	 * @param {string | RegExp} [pattern] - Only count paths matching this
+	 * @returns {Array<{method: string, origin: string, path: string, params: object, data: unknown}>} Matching requests
+	 */
+	requestsFor(method, pattern) {
+		return this.requests.filter(
+			r => (!method || r.method === method.toUpperCase()) && (!pattern || this._matches(pattern, r.path)),
+		);
+	}
+
+	/* ------------------------------------------------------------------ */
+	/*  axios integration                                                 */
+	/* ------------------------------------------------------------------ */
+
+	/**
+	 * Route all axios requests to this mock. Must be called before
+	 * GroheClient is constructed because axios.create() copies the defaults.
+	 */
+	install() {
+		this._savedAdapter = axios.defaults.adapter;
+		axios.defaults.adapter = this.adapter;
+		return this;
+	}
+
+	/** Restore the original axios adapter. */
+	restore() {
+		if (this._savedAdapter !== undefined) {
+			axios.defaults.adapter = this._savedAdapter;
+			this._savedAdapter = undefined;
+		}
+	}
+
+	/**
+	 * axios request adapter.
+	 *
+	 * @param {import('axios').InternalAxiosRequestConfig} config - Request config
+	 * @returns {Promise<import('axios').AxiosResponse>} Response
+	 */
+	async adapter(config) {
+		const url = new URL(axios.getUri(config));
+		const method = String(config.method || 'get').toUpperCase();
+		const params = Object.fromEntries(url.searchParams.entries());
+		const data = this._parseBody(config.data);
+		const path = url.pathname;
+
+		this.requests.push({ method, origin: url.origin, path, params, data });
+
+		const headers = config.headers || {};
+		const req = { url, method, path, params, data, headers };
+		const res = this._handle(req);
+
+		const response = {
+			data: typeof res.data === 'string' ? res.data : JSON.stringify(res.data ?? ''),
+			status: res.status,
+			statusText: String(res.status),
+			headers: {
+				'content-type': typeof res.data === 'string' ? 'text/html' : 'application/json',
+				...(res.headers || {}),
+			},
+			config,
+			request: {},
+		};
+
+		const validateStatus = config.validateStatus;
+		if (!validateStatus || validateStatus(response.status)) {
+			return response;
+		}
+		throw new axios.AxiosError(
+			`Request failed with status code ${response.status}`,
+			response.status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST',
+			config,
+			response.request,
+			response,
+		);
+	}
+
+	/* ------------------------------------------------------------------ */
+	/*  Routing                                                           */
+	/* ------------------------------------------------------------------ */
+
+	_handle(req) {
+		const failure = this._takeFailure(req.method, req.path);
+		if (failure) {
+			return { status: failure.status, data: failure.data };
+		}
+
+		if (req.path === SSO_AUTH_PATH) {
+			return this._handleLoginPage(req);
+		}
+		if (req.path === SSO_ACTION_PATH) {
+			return this._handleCredentials(req);
+		}
+		if (!req.path.includes(API_PREFIX)) {
+			return { status: 404, data: { message: 'Not found' } };
+		}
+
+		const apiPath = req.path.substring(req.path.indexOf(API_PREFIX) + API_PREFIX.length);
+
+		if (apiPath === '/oidc/login') {
+			return this._handleOidcLogin(req);
+		}
+		if (apiPath === '/oidc/token') {
+			return this._handleTokenExchange(req);
+		}
+		if (apiPath === '/oidc/refresh') {
+			return this._handleRefresh(req);
+		}
+
+		if (!this._isAuthorized(req)) {
+			return { status: 401, data: { message: 'Unauthorized' } };
+		}
+		return this._handleApi(req, apiPath);
+	}
+
+	_handleApi(req, apiPath) {
+		const segments = apiPath.split('/').filter(Boolean);
+
+		if (req.method === 'GET' && apiPath === '/dashboard') {
+			if (!this.dashboardAvailable) {
+				return { status: 404, data: { message: 'Not found' } };
+			}
+			return { status: 200, data: this._dashboard() };
+		}
+		if (req.method === 'GET' && apiPath === '/profile/notifications') {
+			const all = this._allAppliances().flatMap(a => a.notifications || []);
+			return { status: 200, data: all.slice(0, Number(req.params.pageSize) || 50) };
+		}
+		if (req.method === 'GET' && segments[0] === 'users' && segments.length === 2) {
+			if (segments[1] !== this.userId) {
+				return { status: 403, data: { message: 'Forbidden' } };
+			}
+			return {
+				status: 200,
+				data: { id: this.userId, locations: this.locations.map(l => ({ id: l.id, name: l.name })) },
+			};
+		}
+		if (segments[0] !== 'locations') {
+			return { status: 404, data: { message: 'Not found' } };
+		}
+		if (segments.length === 1) {
+			return { status: 200, data: this.locations.map(l => ({ id: l.id, name: l.name })) };
+		}
+
+		const location = this.locations.find(l => l.id === segments[1]);
+		if (!location) {
+			return { status: 404, data: { message: 'Unknown location' } };
+		}
+		if (segments.length === 2) {
+			return { status: 200, data: { id: location.id, name: location.name } };
+		}
+		if (segments.length === 3 && segments[2] === 'rooms') {
+			return { status: 200, data: location.rooms.map(r => ({ id: r.id, name: r.name })) };
+		}
+
+		const room = location.rooms.find(r => r.id === segments[3]);
+		if (!room) {
+			return { status: 404, data: { message: 'Unknown room' } };
+		}
+		if (segments.length === 4) {
+			return { status: 200, data: { id: room.id, name: room.name } };
+		}
+		if (segments.length === 5 && segments[4] === 'appliances') {
+			return {
+				status: 200,
+				data: room.appliances.map(a => ({
+					appliance_id: a.appliance_id,
+					type: a.type,
+					name: a.name,
+					registration_complete: a.registration_complete,
+				})),
+			};
+		}
+
+		const appliance = room.appliances.find(a => a.appliance_id === segments[5]);
+		if (!appliance) {
+			return { status: 404, data: { message: 'Unknown appliance' } };
+		}
+		return this._handleAppliance(req, appliance, segments.slice(6).join('/'));
+	}
+
+	_handleAppliance(req, appliance, sub) {
+		const notificationMatch = /^notifications\/(.+)$/.exec(sub);
+		if (notificationMatch) {
+			return this._handleNotification(req, appliance, decodeURIComponent(notificationMatch[1]));
+		}
+		const key = `${req.method} ${sub}`;
+		switch (key) {
+			case 'GET ':
+				return { status: 200, data: this._applianceView(appliance) };
+			case 'PUT ':
+				appliance.config = { ...(appliance.config || {}), ...(req.data?.config || {}) };
+				return { status: 200, data: this._applianceView(appliance) };
+			case 'GET details':
+				return { status: 200, data: this._applianceView(appliance) };
+			case 'GET status':
+				return { status: 200, data: appliance.status || [] };
+			case 'GET command':
+				return {
+					status: 200,
+					data: { appliance_id: appliance.appliance_id, type: appliance.type, command: { ...appliance.command } },
+				};
+			case 'POST command':
+				return this._handleCommand(req, appliance);
+			case 'GET notifications': {
+				const pageSize = Number(req.params.pageSize) || 50;
+				const page = Number(req.params.page) || 1;
+				return {
+					status: 200,
+					data: (appliance.notifications || []).slice((page - 1) * pageSize, page * pageSize),
+				};
+			}
+			case 'GET pressuremeasurement':
+				if (!appliance.pressureMeasurements || appliance.pressureMeasurements.length === 0) {
+					return { status: 404, data: { message: 'No measurement' } };
+				}
+				return { status: 200, data: { items: appliance.pressureMeasurements } };
+			case 'GET snooze':
+				if (!appliance.snooze) {
+					return { status: 404, data: { message: 'No snooze' } };
+				}
+				return { status: 200, data: appliance.snooze };
+			case 'PUT snooze':
+				appliance.snooze = { snooze_active: true, snooze_duration: req.data?.snooze_duration };
+				return { status: 200, data: appliance.snooze };
+			case 'DELETE snooze':
+				appliance.snooze = null;
+				return { status: 200, data: {} };
+			case 'GET data/aggregated':
+				return { status: 200, data: this._aggregated(appliance, req.params) };
+			default:
+				return { status: 404, data: { message: `Unsupported: ${key}` } };
+		}
+	}
+
+	_handleNotification(req, appliance, notificationId) {
+		const notifications = appliance.notifications || [];
+		const notification = notifications.find(n => n.id === notificationId);
+		if (!notification) {
+			return { status: 404, data: { message: 'Notification not found' } };
+		}
+		if (req.method === 'PUT') {
+			Object.assign(notification, this._parseBody(req.data) || {});
+			return { status: 200, data: notification };
+		}
+		if (req.method === 'DELETE') {
+			appliance.notifications = notifications.filter(n => n !== notification);
+			return { status: 200, data: {} };
+		}
+		return { status: 405, data: { message: 'Method not allowed' } };
+	}
+
+	_handleCommand(req, appliance) {
+		const command = req.data?.command || {};
+		appliance.command = { ...(appliance.command || {}), ...command };
+		this.commandLog.push({ applianceId: appliance.appliance_id, command: { ...command } });
+
+		// Blue: a measurement request makes the cloud deliver fresh data
+		if (command.get_current_measurement && appliance.data_latest?.measurement) {
+			appliance.data_latest.measurement.timestamp = new Date().toISOString();
+			appliance.command.get_current_measurement = false;
+		}
+		// Blue: consumable resets refill the counters
+		for (const kind of ['co2', 'filter']) {
+			const m = appliance.data_latest?.measurement;
+			if (command[`${kind}_status_reset`] && m) {
+				m[`remaining_${kind}`] = 100;
+				m[`date_of_${kind}_replacement`] = new Date().toISOString();
+				appliance.command[`${kind}_status_reset`] = false;
+			}
+		}
+		// Guard: a pressure measurement produces a new result
+		if (command.measure_now && Array.isArray(appliance.pressureMeasurements)) {
+			appliance.pressureMeasurements.unshift({
+				start_time: new Date().toISOString(),
+				drop_of_pressure: 0,
+				leakage: false,
+				level: 'none',
+			});
+			appliance.command.measure_now = false;
+		}
+		return {
+			status: 200,
+			data: { appliance_id: appliance.appliance_id, type: appliance.type, command: { ...appliance.command } },
+		};
+	}
+
+	/* ------------------------------------------------------------------ */
+	/*  OIDC login chain                                                  */
+	/* ------------------------------------------------------------------ */
+
+	_handleOidcLogin(req) {
+		const location = `${req.url.origin}${SSO_AUTH_PATH}?client_id=iot&redirect_uri=ondus%3A%2F%2F`;
+		return { status: 302, data: '', headers: { location } };
+	}
+
+	_handleLoginPage(req) {
+		const session = `session-${++this._seq}`;
+		this._sessions.add(session);
+		const action = `${req.url.origin}${SSO_ACTION_PATH}?session_code=${session}&amp;client_id=iot`;
+		return {
+			status: 200,
+			data: `<html><body><form id="kc-form-login" action="${action}" method="post"><input name="username" type="text"/><input name="password" type="password"/></form></body></html>`,
+			headers: { 'set-cookie': [`AUTH_SESSION_ID=${session}; Path=/v1/sso/auth/realms/idm-apigw/`] },
+		};
+	}
+
+	_handleCredentials(req) {
+		const session = req.params.session_code;
+		const cookie = String(req.headers.Cookie || req.headers.cookie || '');
+		if (!this._sessions.has(session) || !cookie.includes(`AUTH_SESSION_ID=${session}`)) {
+			return { status: 400, data: '<html><body>Restart login cookie not found</body></html>' };
+		}
+		if (req.data?.username !== this.email || req.data?.password !== this.password) {
+			return {
+				status: 200,
+				data: '<html><body><span class="alert-error">Invalid username or password.</span><form action="x"><input name="username"/></form></body></html>',
+			};
+		}
+		this._sessions.delete(session);
+		const code = `code-${++this._seq}`;
+		this._authCodes.add(code);
+		return {
+			status: 302,
+			data: '',
+			headers: { location: `ondus://${req.url.host}${API_PREFIX}/oidc/token?code=${code}` },
+		};
+	}
+
+	_handleTokenExchange(req) {
+		const code = req.params.code;
+		if (!this._authCodes.has(code)) {
+			return { status: 400, data: { message: 'Invalid code' } };
+		}
+		this._authCodes.delete(code);
+		return { status: 200, data: this._issueTokens() };
+	}
+
+	_handleRefresh(req) {
+		const refreshToken = req.data?.refresh_token;
+		if (!this._refreshTokens.has(refreshToken)) {
+			return { status: 401, data: { message: 'Invalid refresh token' } };
+		}
+		this._refreshTokens.delete(refreshToken);
+		return { status: 200, data: this._issueTokens() };
+	}
+
+	_issueTokens() {
+		const seq = ++this._seq;
+		const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+		const payload = Buffer.from(
+			JSON.stringify({ sub: this.userId, exp: Math.floor(Date.now() / 1000) + this.tokenLifetime, seq }),
+		).toString('base64url');
+		const accessToken = `${header}.${payload}.mock-signature`;
+		const refreshToken = `refresh-token-${seq}`;
+		this._accessTokens.add(accessToken);
+		this._refreshTokens.add(refreshToken);
+		return {
+			access_token: accessToken,
+			refresh_token: refreshToken,
+			expires_in: this.tokenLifetime,
+			token_type: 'bearer',
+		};
+	}
+
+	_isAuthorized(req) {
+		const auth = String(req.headers.Authorization || req.headers.authorization || '');
+		return auth.startsWith('Bearer ') && this._accessTokens.has(auth.substring(7));
+	}
+
+	/* ------------------------------------------------------------------ */
+	/*  Response builders                                                 */
+	/* ------------------------------------------------------------------ */
+
+	_dashboard() {
+		return {
+			locations: this.locations.map(l => ({
+				id: l.id,
+				name: l.name,
+				rooms: l.rooms.map(r => ({
+					id: r.id,
+					name: r.name,
+					appliances: r.appliances.map(a => ({
+						...this._applianceView(a),
+						notifications: (a.notifications || []).slice(0, this.dashboardNotifications),
+					})),
+				})),
+			})),
+		};
+	}
+
+	_applianceView(appliance) {
+		return {
+			appliance_id: appliance.appliance_id,
+			type: appliance.type,
+			name: appliance.name,
+			registration_complete: appliance.registration_complete,
+			installation_date: appliance.installation_date,
+			config: { ...(appliance.config || {}) },
+			data_latest: JSON.parse(JSON.stringify(appliance.data_latest || {})),
+		};
+	}
+
+	_aggregated(appliance, params) {
+		const from = params.from || '0000-00-00';
+		const to = params.to || '9999-99-99';
+		const withdrawals = (appliance.withdrawals || []).filter(w => w.date >= from && w.date <= to);
+		return { data: { withdrawals } };
+	}
+
+	/* ------------------------------------------------------------------ */
+	/*  Helpers                                                           */
+	/* ------------------------------------------------------------------ */
+
+	_allAppliances() {
+		return this.locations.flatMap(l => l.rooms.flatMap(r => r.appliances));
+	}
+
+	_findAppliance(applianceId) {
+		for (const location of this.locations) {
+			for (const room of location.rooms) {
+				const appliance = room.appliances.find(a => a.appliance_id === applianceId);
+				if (appliance) {
+					return { location, room, appliance };
+				}
+			}
+		}
+		return undefined;
+	}
+
+	_takeFailure(method, path) {
+		const failure = this._failures.find(
+			f => (f.method === '*' || f.method === method) && this._matches(f.pattern, path),
+		);
+		if (!failure) {
+			return undefined;
+		}
+		failure.times--;
+		if (failure.times <= 0) {
+			this._failures.splice(this._failures.indexOf(failure), 1);
+		}
+		return failure;
+	}
+
+	_matches(pattern, path) {
+		return pattern instanceof RegExp ? pattern.test(path) : path.includes(pattern);
+	}
+
+	_parseBody(body) {
+		if (body === undefined || body === null || body === '') {
+			return undefined;
+		}
+		if (typeof body !== 'string') {
+			return body;
+		}
+		try {
+			return JSON.parse(body);
+		} catch {
+			return Object.fromEntries(new URLSearchParams(body).entries());
+		}
+	}
+}
+
+module.exports = {
+	GroheCloudMock,
+	senseFixture,
+	senseGuardFixture,
+	blueFixture,
+};